@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Run LLM annotators defined in config/annotators.json (see lib/annotators.js)
+ * over public/events.json, then write public/annotations.json: the annotators'
+ * titles, labels and colors, so views can color and filter by their fields.
+ *
+ * node scripts/annotate.js sentiment          # one annotator
+ * node scripts/annotate.js intent corrected   # several, one after the other
+ * node scripts/annotate.js --list             # defined annotators and how many events have each
+ * LIMIT=10 node scripts/annotate.js intent    # test run first (10 events)
+ * FORCE=1 node scripts/annotate.js intent     # redo events that already have the field
+ * ANNOTATORS=path/to/annotators.json          # another definitions file
+ *
+ * Labels corrected by hand (config/annotation-overrides.local.json, override
+ * with ANNOTATION_OVERRIDES=path; see lib/annotation-overrides.js) are applied
+ * first and always win: those events are never sent to the model, even with FORCE.
+ *
+ * Only the event types the annotators read are held in memory. Each value is
+ * appended to public/annotations.pending.jsonl as it arrives; when every
+ * annotator is done, one streaming pass writes them (and the manual labels)
+ * into events.json and removes that file. An interrupted run leaves it, and
+ * the next run starts from it.
+ *
+ * Requests go through lib/llm-client.js (LLM_* settings, retries, response cache).
+ * Text is redacted with config/redaction.json before it is sent (see lib/redact.js).
+ */
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { applyOverrides, readOverrides } from "./lib/annotation-overrides.js";
+import { annotateEvents, describeAnnotator, loadAnnotators, selectEvents } from "./lib/annotators.js";
+import { createEventsWriter, readEvents } from "./lib/event-store.js";
+import { createLlmClient } from "./lib/llm-client.js";
+import { createRedactor } from "./lib/redact.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, "..");
+const eventsPath = path.join(projectRoot, "public", "events.json");
+const manifestPath = path.join(projectRoot, "public", "annotations.json");
+const pendingPath = path.join(projectRoot, "public", "annotations.pending.jsonl");
+const annotatorsPath = process.env.ANNOTATORS ? path.resolve(process.env.ANNOTATORS) : path.join(projectRoot, "config", "annotators.json");
+const overridesPath = process.env.ANNOTATION_OVERRIDES
+  ? path.resolve(process.env.ANNOTATION_OVERRIDES)
+  : path.join(projectRoot, "config", "annotation-overrides.local.json");
+const redactionPath = process.env.REDACTION ? path.resolve(process.env.REDACTION) : path.join(projectRoot, "config", "redaction.json");
+const auditPath = path.join(projectRoot, "public", "redaction-audit.jsonl");
+const cacheDir = path.join(projectRoot, ".cache", "llm");
+
+const LIMIT = parseInt(process.env.LIMIT || "0", 10) || 0;
+const FORCE = process.env.FORCE === "1" || process.env.FORCE === "true";
+
+function writeManifest(annotators) {
+  const manifest = { generatedAt: new Date().toISOString(), annotators: annotators.map(describeAnnotator) };
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), "utf-8");
+}
+
+/** Fields an annotator writes. */
+const fieldsOf = (a) => (a.explain ? [a.field, `${a.field}Confidence`, `${a.field}Rationale`] : [a.field]);
+
+/** Values saved by an unfinished run: event id → { field: value }, null meaning removed. */
+function readPending() {
+  const pending = new Map();
+  if (!fs.existsSync(pendingPath)) return pending;
+  for (const line of fs.readFileSync(pendingPath, "utf-8").split("\n")) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // blank, or cut off by the interruption
+    }
+    pending.set(entry.id, { ...pending.get(entry.id), ...entry.fields });
+  }
+  return pending;
+}
+
+function applyPending(ev, pending) {
+  const fields = ev.id != null ? pending.get(ev.id) : undefined;
+  for (const [f, v] of Object.entries(fields ?? {})) {
+    if (v == null) delete ev[f];
+    else ev[f] = v;
+  }
+}
+
+/** Stream events.json through the pending values and manual labels into a new events.json. */
+async function writeEvents(annotators, pending, overrides) {
+  const meta = {};
+  const writer = createEventsWriter(eventsPath);
+  try {
+    for await (const ev of readEvents(eventsPath, meta)) {
+      applyPending(ev, pending);
+      for (const a of annotators) applyOverrides(a, [ev], overrides);
+      writer.write(ev);
+    }
+  } catch (e) {
+    writer.abort();
+    throw e;
+  }
+  writer.close(meta);
+}
+
+async function main() {
+  let annotators;
+  let overrides;
+  try {
+    annotators = loadAnnotators(annotatorsPath);
+    overrides = readOverrides(overridesPath);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  const names = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+  const list = process.argv.includes("--list");
+  const unknown = names.filter((n) => !annotators.some((a) => a.name === n));
+  if (unknown.length || (!names.length && !list)) {
+    if (unknown.length) console.error(`Unknown annotator(s): ${unknown.join(", ")}`);
+    console.error(`Usage: node scripts/annotate.js <name>... | --list\nDefined in ${annotatorsPath}: ${annotators.map((a) => a.name).join(", ")}`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(eventsPath)) {
+    console.error("events.json not found. Run: npm run parse");
+    process.exit(1);
+  }
+
+  // The annotated types, and for annotators with context, the types it quotes. Values are
+  // carried to events.json by id, so events without one (files parsed before ids) are left out
+  const selected = list ? annotators : annotators.filter((a) => names.includes(a.name));
+  const types = new Set(selected.flatMap((a) => [...a.types, ...(a.context?.types ?? [])]));
+  const pending = readPending();
+  if (pending.size) console.log(`Resuming: ${pending.size} event(s) annotated by an unfinished run (${pendingPath})`);
+  const events = [];
+  for await (const ev of readEvents(eventsPath)) {
+    if (!types.has(ev.type) || ev.id == null) continue;
+    applyPending(ev, pending);
+    events.push(ev);
+  }
+
+  if (list) {
+    for (const a of annotators) {
+      const { applied } = applyOverrides(a, events, overrides);
+      const total = selectEvents(a, events, { force: true }).length + applied;
+      const done = total - selectEvents(a, events).length;
+      const kind = a.labels ? `labels: ${a.labels.join(", ")}` : "free text";
+      const byHand = applied ? `, ${applied} by hand` : "";
+      console.log(`${a.name.padEnd(14)} ${String(done).padStart(6)}/${total}  ${a.types.join(", ")} → ${a.field} (${kind}${byHand})`);
+    }
+    writeManifest(annotators);
+    return;
+  }
+
+  const pendingFd = fs.openSync(pendingPath, "a");
+  for (const name of names) {
+    const a = annotators.find((x) => x.name === name);
+    let llm;
+    try {
+      llm = createLlmClient({ model: a.model, cacheDir });
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+    const before = events.filter((e) => a.types.includes(e.type) && e[a.field] != null).length;
+    console.log(`${a.title}: ${a.types.join(", ")} → ${a.field}. Model: ${llm.model} (${llm.baseUrl}). Existing: ${before}`);
+    const { applied, cleared } = applyOverrides(a, events, overrides);
+    if (applied || cleared) console.log(`Manual labels: ${applied} applied${cleared ? `, ${cleared} removed (to be labeled again)` : ""} from ${overridesPath}`);
+    if (LIMIT > 0) console.log(`Test mode: limiting to ${LIMIT} events`);
+
+    const redactor = createRedactor(redactionPath, auditPath, `annotate-${a.name}`);
+    const { ok, err } = await annotateEvents(a, events, {
+      llm,
+      redactor,
+      force: FORCE,
+      limit: LIMIT,
+      onAnnotated: (ev) => {
+        const fields = Object.fromEntries(fieldsOf(a).map((f) => [f, ev[f] ?? null]));
+        fs.appendFileSync(pendingFd, JSON.stringify({ id: ev.id, fields }) + "\n");
+        pending.set(ev.id, { ...pending.get(ev.id), ...fields });
+      },
+      onError: (ev, e) => console.error(`\n${ev.id ?? ev.time}: ${e.message}`),
+      onProgress: ({ done, total, ok, err }) => process.stdout.write(`\r${ok} ok, ${err} err (${done}/${total})`),
+    });
+    redactor.close();
+    if (redactor.audit.total) console.log(`\nRedacted ${redactor.audit.total} match(es) before sending; see ${auditPath}`);
+    console.log(`\nDone. ${ok} annotated, ${err} errors (${llm.stats.cached} from cache, ${llm.stats.retries} retries).`);
+  }
+  fs.closeSync(pendingFd);
+  await writeEvents(selected, pending, overrides);
+  fs.rmSync(pendingPath, { force: true });
+  writeManifest(annotators);
+  console.log(`Wrote ${eventsPath} and ${manifestPath}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -2,11 +2,20 @@
 /**
  * Build a standalone deployable dashboard for static hosting (GitHub Pages, etc.).
  * Output: deploy/ with index.html and events-slim.json — no server required.
- * Redacts secrets (Discord tokens, GitHub PATs, etc.) before deploy.
+ * Also bundles the dashboard (dashboard.html, via Vite) with semantic search: the
+ * embedding store, the MiniLM weights and the onnxruntime wasm, so prompts are
+ * embedded in the browser, plus topics.json for its topic river. --no-dashboard skips it.
+ * Redacts secrets and PII with config/redaction.json (see lib/redact.js) before deploy;
+ * events.json is already redacted at parse time, this catches rules added since.
+ * --pseudonymize (or PSEUDONYMIZE=1) replaces Discord users with their aliases
+ * from config/pseudonyms.local.json (see lib/pseudonymize.js) for sharing.
  */
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { build } from "vite";
+import { createPseudonymizer } from "./lib/pseudonymize.js";
+import { createAuditLog, loadRedactionRules, redactValue } from "./lib/redact.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "..");
@@ -15,30 +24,16 @@ const publicDir = path.join(projectRoot, "public");
 
 const eventsPath = path.join(publicDir, "events-slim.json");
 const viewPath = path.join(publicDir, "md-edits-view.html");
-
-/** Redact common secret patterns to avoid pushing to public repos. */
-function redactSecrets(text) {
-  if (typeof text !== "string") return text;
-  return text
-    .replace(/ghp_[A-Za-z0-9\\|_"$]+/g, "[REDACTED]")
-    .replace(/github_pat_[A-Za-z0-9_]+/g, "[REDACTED]")
-    .replace(/\b[MN][A-Za-z\d]{23,}\.[\w-]{6}\.[\w-]{27,}\b/g, "[REDACTED]") // Discord bot token
-    .replace(/\b[A-Za-z0-9_-]{59,}\.[A-Za-z0-9_-]{6}\.[A-Za-z0-9_-]{27}\b/g, "[REDACTED]")
-    .replace(/sk-[A-Za-z0-9]{48,}/g, "[REDACTED]")
-    .replace(/sk-proj-[A-Za-z0-9]{48,}/g, "[REDACTED]");
-}
-
-/** Recursively redact all string values in an object. */
-function redactObject(obj) {
-  if (typeof obj === "string") return redactSecrets(obj);
-  if (Array.isArray(obj)) return obj.map(redactObject);
-  if (obj && typeof obj === "object") {
-    const out = {};
-    for (const [k, v] of Object.entries(obj)) out[k] = redactObject(v);
-    return out;
-  }
-  return obj;
-}
+const redactionPath = process.env.REDACTION ? path.resolve(process.env.REDACTION) : path.join(projectRoot, "config", "redaction.json");
+const auditPath = path.join(publicDir, "redaction-audit.jsonl");
+const pseudonymMapPath = process.env.PSEUDONYM_MAP ? path.resolve(process.env.PSEUDONYM_MAP) : path.join(projectRoot, "config", "pseudonyms.local.json");
+const PSEUDONYMIZE = process.argv.includes("--pseudonymize") || process.env.PSEUDONYMIZE === "1" || process.env.PSEUDONYMIZE === "true";
+const DASHBOARD = !process.argv.includes("--no-dashboard");
+const embeddingsDir = path.join(publicDir, "embeddings");
+const modelsDir = path.join(publicDir, "models");
+const wasmDir = path.join(publicDir, "onnx-wasm");
+const topicsPath = path.join(publicDir, "topics.json");
+const annotationsPath = path.join(publicDir, "annotations.json");
 
 if (!fs.existsSync(eventsPath)) {
   console.error("events-slim.json not found. Run: npm run parse && npm run slim");
@@ -48,10 +43,19 @@ if (!fs.existsSync(eventsPath)) {
 fs.mkdirSync(deployDir, { recursive: true });
 
 // Copy events-slim.json with secret redaction (recursive to catch nested strings)
+const { rules } = loadRedactionRules(redactionPath);
+const audit = createAuditLog(auditPath, "deploy");
 const data = JSON.parse(fs.readFileSync(eventsPath, "utf-8"));
-data.events = (data.events || []).map(redactObject);
+data.events = (data.events || []).map((ev) => redactValue(rules, ev, (rule, n, field) => audit.record(rule, n, field, ev.id ? { eventId: ev.id } : {})));
 if (data.summary && typeof data.summary === "object") {
-  data.summary = redactObject(data.summary);
+  data.summary = redactValue(rules, data.summary, (rule, n, field) => audit.record(rule, n, `summary.${field}`));
+}
+// Learn every user first so mentions before someone's first message are replaced too
+const pseudonyms = PSEUDONYMIZE ? createPseudonymizer(pseudonymMapPath) : null;
+if (pseudonyms) {
+  for (const ev of data.events) pseudonyms.learnEvent(ev);
+  data.events = data.events.map((ev) => pseudonyms.event(ev));
+  pseudonyms.save();
 }
 fs.writeFileSync(path.join(deployDir, "events-slim.json"), JSON.stringify(data, null, 2), "utf-8");
 
@@ -59,11 +63,83 @@ fs.writeFileSync(path.join(deployDir, "events-slim.json"), JSON.stringify(data,
 let html = fs.readFileSync(viewPath, "utf-8");
 html = html.replace('fetch("/events-slim.json")', 'fetch("./events-slim.json")');
 html = html.replace("<title>MD File Edits</title>", "<title>MD File Edits — Bot Log Analysis</title>");
+html = html.replace(
+  '<a href="/god-file-view.html" style="color: var(--accent);">God file</a>',
+  '<a href="./god-file-view.html" style="color: var(--accent);">God file</a>' +
+    (DASHBOARD ? ' · <a href="./dashboard.html" style="color: var(--accent);">Semantic search</a>' : "")
+);
 fs.writeFileSync(path.join(deployDir, "index.html"), html);
 
+// God file, for links from the dashboard's search results (no shards in deploy, so it reads events-slim.json)
+let godFile = fs.readFileSync(path.join(publicDir, "god-file-view.html"), "utf-8");
+godFile = godFile.replaceAll('fetch("/events-slim.json")', 'fetch("./events-slim.json")').replaceAll('fetch("/annotations.json")', 'fetch("./annotations.json")').replaceAll('"/shards/', '"./shards/').replaceAll("`/shards/", "`./shards/");
+fs.writeFileSync(path.join(deployDir, "god-file-view.html"), godFile);
+// Annotation titles, labels and colors for the god file's filter (no prompts, no event data)
+if (fs.existsSync(annotationsPath)) fs.copyFileSync(annotationsPath, path.join(deployDir, "annotations.json"));
+
+// Dashboard bundle with relative asset URLs; publicDir off so no unredacted data is copied
+const notes = [];
+if (DASHBOARD) {
+  await build({
+    configFile: false,
+    root: projectRoot,
+    base: "./",
+    publicDir: false,
+    logLevel: "warn",
+    worker: { format: "es" },
+    build: {
+      outDir: deployDir,
+      emptyOutDir: false,
+      rollupOptions: { input: { dashboard: path.join(projectRoot, "dashboard.html") } },
+    },
+  });
+
+  // Embeddings: the int8 file alone when there is one (a quarter of the download)
+  const index = fs.existsSync(path.join(embeddingsDir, "index.json"))
+    ? JSON.parse(fs.readFileSync(path.join(embeddingsDir, "index.json"), "utf-8"))
+    : null;
+  const vectorsFile = index?.files?.int8 ?? index?.files?.float32;
+  if (vectorsFile && fs.existsSync(path.join(embeddingsDir, vectorsFile))) {
+    const outDir = path.join(deployDir, "embeddings");
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.copyFileSync(path.join(embeddingsDir, vectorsFile), path.join(outDir, vectorsFile));
+    const files = index.files.int8 ? { int8: vectorsFile } : { float32: vectorsFile };
+    fs.writeFileSync(path.join(outDir, "index.json"), JSON.stringify({ ...index, files }), "utf-8");
+    notes.push(`embeddings/ (${index.count} vectors, ${files.int8 ? "int8" : "float32"})`);
+  } else {
+    console.warn("No embeddings in public/embeddings/ (run: npm run embed); the dashboard will have no semantic matches");
+  }
+
+  // Topic labels and keywords come from message text, so they get the same redaction and aliases
+  if (fs.existsSync(topicsPath)) {
+    const topics = JSON.parse(fs.readFileSync(topicsPath, "utf-8"));
+    topics.topics = topics.topics.map((t) => {
+      const out = redactValue(rules, t, (rule, n, field) => audit.record(rule, n, `topics.${t.id}.${field}`));
+      if (!pseudonyms) return out;
+      return { ...out, label: pseudonyms.text(out.label), keywords: out.keywords.map((k) => pseudonyms.text(k)) };
+    });
+    fs.writeFileSync(path.join(deployDir, "topics.json"), JSON.stringify(topics), "utf-8");
+    notes.push(`topics.json (${topics.topics.length} topics)`);
+  }
+
+  if (fs.existsSync(modelsDir) && fs.existsSync(wasmDir)) {
+    for (const dir of [modelsDir, wasmDir]) fs.cpSync(dir, path.join(deployDir, path.basename(dir)), { recursive: true });
+    notes.push("models/, onnx-wasm/ (prompts embedded in the browser)");
+  } else {
+    console.warn("public/models/ or public/onnx-wasm/ missing (run: npm run download-model); semantic search prompts won't embed");
+  }
+}
+
+audit.close();
+
 const size = (fs.statSync(path.join(deployDir, "events-slim.json")).size / 1024 / 1024).toFixed(1);
 console.log(`Standalone build → deploy/`);
-console.log(`  index.html`);
+console.log(`  index.html, god-file-view.html`);
 console.log(`  events-slim.json (${size} MB)`);
+if (DASHBOARD) console.log(`  dashboard.html, assets/`);
+for (const note of notes) console.log(`  ${note}`);
+if (pseudonyms) console.log(`  Discord users pseudonymized (${pseudonyms.size} alias(es); mapping stays in ${path.relative(projectRoot, pseudonymMapPath)})`);
+if (audit.total) console.log(`  redacted ${audit.total} match(es) missed at parse time; see ${auditPath}`);
 console.log(`\nUpload to GitHub Pages: copy deploy/* to your repo or enable Pages on deploy/`);
 console.log(`Link from bots.baulab.info: add a link to your deployed URL`);
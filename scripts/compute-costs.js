@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Price the token usage recorded on assistant_message events with the local
+ * price table (config/prices.json, override with PRICES=path; see lib/prices.js).
+ * Cron runs are charged to their job through the cron event's runSessionId.
+ * Output: public/costs.json — daily spend per model, per-model and per-bot
+ * totals, the costliest sessions and per-cron-job cost (see lib/costs.js).
+ * events.json is not modified.
+ * Run after parse: node scripts/compute-costs.js
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { readEvents } from "./lib/event-store.js";
+import { createCostTally } from "./lib/costs.js";
+import { loadPrices } from "./lib/prices.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, "..");
+const eventsPath = path.join(projectRoot, "public", "events.json");
+const costsPath = path.join(projectRoot, "public", "costs.json");
+const pricesPath = process.env.PRICES ? path.resolve(process.env.PRICES) : path.join(projectRoot, "config", "prices.json");
+
+async function main() {
+  if (!fs.existsSync(eventsPath)) {
+    console.error("events.json not found. Run: npm run parse");
+    process.exit(1);
+  }
+  const prices = loadPrices(pricesPath);
+
+  const tally = createCostTally(prices);
+  for await (const e of readEvents(eventsPath)) tally.add(e);
+
+  const output = { generatedAt: new Date().toISOString(), ...tally.result() };
+  fs.writeFileSync(costsPath, JSON.stringify(output, null, 2), "utf-8");
+
+  const { totals, unpriced } = output;
+  console.log(`Priced ${totals.messages} assistant message(s): ${totals.cost.toFixed(2)} ${prices.currency}`);
+  if (tally.withoutUsage) console.log(`  ${tally.withoutUsage} assistant message(s) without usage`);
+  for (const [model, n] of Object.entries(unpriced)) {
+    console.warn(`  No price for ${model} (${n} message(s)); add it to ${path.relative(projectRoot, pricesPath)}`);
+  }
+  for (const m of output.models.slice(0, 10)) console.log(`  ${m.model}: ${m.cost.toFixed(2)} ${prices.currency} (${m.messages} messages)`);
+  console.log(`Output: ${costsPath}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Discover topics: cluster the embeddings of user and assistant messages
+ * (public/embeddings/, from `npm run embed`) with k-means and label each cluster.
+ *
+ * Labels are the cluster's most distinctive words (class-based TF-IDF over its
+ * messages). With --llm (or TOPICS_LLM=1) an LLM names each topic from its
+ * representative messages instead (OpenRouter unless LLM_BASE_URL is set; see
+ * lib/llm-client.js), and text is redacted with config/redaction.json before it
+ * is sent (see lib/redact.js).
+ *
+ * Output: public/topics.json
+ *   { generatedAt, model, labeler, topics: [{ id, label, keywords, size, representatives }], assignments: { eventId: topicId } }
+ * Topics are numbered largest first; representatives are the event ids closest to the centroid.
+ * TOPICS=<n> sets the number of topics (default about √(messages / 20), 4–30).
+ */
+import "dotenv/config";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { readEmbeddingStore } from "./lib/embedding-store.js";
+import { readEvents } from "./lib/event-store.js";
+import { createLlmClient } from "./lib/llm-client.js";
+import { createRedactor } from "./lib/redact.js";
+import { clusterVectors } from "./lib/vector-index.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, "..");
+const eventsPath = path.join(projectRoot, "public", "events.json");
+const embeddingsDir = path.join(projectRoot, "public", "embeddings");
+const outputPath = path.join(projectRoot, "public", "topics.json");
+const redactionPath = process.env.REDACTION ? path.resolve(process.env.REDACTION) : path.join(projectRoot, "config", "redaction.json");
+const auditPath = path.join(projectRoot, "public", "redaction-audit.jsonl");
+const cacheDir = path.join(projectRoot, ".cache", "llm");
+
+const MODEL = "qwen/qwen3-vl-32b-instruct";
+const MESSAGE_TYPES = new Set(["user_message", "assistant_message"]);
+const MIN_TOPICS = 4;
+const MAX_TOPICS = 30;
+const KEYWORDS = 6;
+const LABEL_WORDS = 3;
+const REPRESENTATIVES = 5;
+const LLM_SAMPLES = 8;
+const LLM_SAMPLE_CHARS = 300;
+const USE_LLM = process.argv.includes("--llm") || process.env.TOPICS_LLM === "1" || process.env.TOPICS_LLM === "true";
+const TOPICS = parseInt(process.env.TOPICS || "0", 10) || 0;
+
+// Common English words plus chat filler; never topic keywords
+const STOPWORDS = new Set(
+  `a about above after again all also am an and any are as at be because been before being below between both but by can could
+  did do does doing done don down during each even few for from further get got had has have having he her here hers him his how
+  i if in into is it its itself just let like make me more most much my no nor not now of off ok okay on once one only or other
+  our out over own please re really same see she should so some still such sure than thank thanks that the their them then there
+  these they this those through to too under until up us use used using very want was way we well were what when where which
+  while who whom why will with would yeah yes you your yours i'm i'll i've it's that's there's don't can't won't didn't isn't
+  let's here's you're we're they're what's how's who's where's`.split(/\s+/)
+);
+
+/** Lowercased words of a message, without stopwords, numbers, hashes or URLs. */
+function words(text) {
+  return (text.toLowerCase().replace(/https?:\/\/\S+/g, " ").match(/[a-z][a-z0-9_'.-]*[a-z0-9]/g) ?? []).filter(
+    (w) => w.length > 2 && !STOPWORDS.has(w) && !/^[0-9a-f]{12,}$/.test(w)
+  );
+}
+
+/**
+ * Class-based TF-IDF: a word scores high for a topic when it is frequent in the
+ * topic's messages and rare across all messages. Returns the top words per topic.
+ */
+function topicKeywords(textsByTopic) {
+  const tfs = textsByTopic.map((texts) => {
+    const tf = new Map();
+    for (const t of texts) for (const w of words(t)) tf.set(w, (tf.get(w) ?? 0) + 1);
+    return tf;
+  });
+  const total = new Map();
+  let allWords = 0;
+  for (const tf of tfs) {
+    for (const [w, n] of tf) {
+      total.set(w, (total.get(w) ?? 0) + n);
+      allWords += n;
+    }
+  }
+  const avgWords = allWords / (tfs.length || 1);
+  return tfs.map((tf) => {
+    const size = [...tf.values()].reduce((a, b) => a + b, 0) || 1;
+    return [...tf.entries()]
+      .filter(([, n]) => n > 1)
+      .map(([w, n]) => [w, (n / size) * Math.log(1 + avgWords / total.get(w))])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, KEYWORDS)
+      .map(([w]) => w);
+  });
+}
+
+async function llmLabel(llm, samples, keywords) {
+  const msg = await llm.chat(
+    `These messages from a chat between users and their AI agent belong to one topic. Name the topic in 2 to 5 words. Return only the name.
+
+Keywords: ${keywords.join(", ")}
+
+Messages:
+${samples.map((s) => `- ${s}`).join("\n")}`,
+    { max_tokens: 20 }
+  );
+  const label = msg.content?.trim().replace(/^["'*]+|["'*.]+$/g, "");
+  if (!label) throw new Error("Empty label");
+  return label.slice(0, 60);
+}
+
+async function main() {
+  let llm = null;
+  if (USE_LLM) {
+    try {
+      llm = createLlmClient({ model: MODEL, cacheDir });
+    } catch (e) {
+      console.error(`${e.message} (or run without --llm for keyword labels)`);
+      process.exit(1);
+    }
+  }
+  if (!fs.existsSync(eventsPath)) {
+    console.error("events.json not found. Run: npm run parse");
+    process.exit(1);
+  }
+  const store = readEmbeddingStore(embeddingsDir);
+  if (!store) {
+    console.error("No embeddings in public/embeddings/. Run: npm run embed");
+    process.exit(1);
+  }
+
+  const ids = [];
+  const texts = [];
+  const vectors = [];
+  for await (const e of readEvents(eventsPath)) {
+    if (!MESSAGE_TYPES.has(e.type) || !e.message?.trim()) continue;
+    const v = store.vectors.get(e.id);
+    if (!v) continue;
+    ids.push(e.id);
+    texts.push(e.message);
+    vectors.push(v);
+  }
+  if (ids.length < MIN_TOPICS) {
+    console.error(`Only ${ids.length} embedded message(s); need at least ${MIN_TOPICS}. Run: npm run embed`);
+    process.exit(1);
+  }
+
+  const k = Math.min(ids.length, TOPICS || Math.max(MIN_TOPICS, Math.min(MAX_TOPICS, Math.round(Math.sqrt(ids.length / 20)))));
+  console.log(`Clustering ${ids.length} messages into ${k} topics…`);
+  const { assign, score } = clusterVectors(vectors, store.dim, k);
+
+  // Rows per cluster, closest to the centroid first; empty clusters dropped, largest first
+  const clusters = Array.from({ length: k }, () => []);
+  for (let row = 0; row < ids.length; row++) clusters[assign[row]].push(row);
+  const ordered = clusters
+    .filter((rows) => rows.length)
+    .map((rows) => rows.sort((a, b) => score[b] - score[a]))
+    .sort((a, b) => b.length - a.length);
+
+  const keywords = topicKeywords(ordered.map((rows) => rows.map((row) => texts[row])));
+  const topics = ordered.map((rows, id) => ({
+    id,
+    label: keywords[id].slice(0, LABEL_WORDS).join(" · ") || `Topic ${id + 1}`,
+    keywords: keywords[id],
+    size: rows.length,
+    representatives: rows.slice(0, REPRESENTATIVES).map((row) => ids[row]),
+  }));
+
+  if (llm) {
+    console.log(`Labeling with ${llm.model}…`);
+    const redactor = createRedactor(redactionPath, auditPath, "discover-topics");
+    let ok = 0;
+    let err = 0;
+    await Promise.all(
+      topics.map(async (topic, i) => {
+        const samples = ordered[i].slice(0, LLM_SAMPLES).map((row) => {
+          const t = redactor.text(texts[row].replace(/\s+/g, " ").trim(), ids[row]);
+          return t.length > LLM_SAMPLE_CHARS ? t.slice(0, LLM_SAMPLE_CHARS) + "…" : t;
+        });
+        try {
+          topic.label = await llmLabel(llm, samples, topic.keywords);
+          ok++;
+        } catch (e) {
+          err++;
+          console.error(`Topic ${topic.id}: ${e.message}; keeping keyword label`);
+        }
+        process.stdout.write(`\r${ok} labeled, ${err} err (${ok + err}/${topics.length})`);
+      })
+    );
+    process.stdout.write("\n");
+    redactor.close();
+    if (redactor.audit.total) console.log(`Redacted ${redactor.audit.total} match(es) before sending; see ${auditPath}`);
+  }
+
+  const assignments = {};
+  topics.forEach((topic, id) => {
+    for (const row of ordered[id]) assignments[ids[row]] = topic.id;
+  });
+  const out = {
+    generatedAt: new Date().toISOString(),
+    model: store.model,
+    labeler: llm ? llm.model : "keywords",
+    topics,
+    assignments,
+  };
+  fs.writeFileSync(outputPath, JSON.stringify(out), "utf-8");
+
+  for (const t of topics) console.log(`  ${String(t.size).padStart(6)}  ${t.label}`);
+  console.log(`Wrote ${outputPath}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -2,6 +2,8 @@
 /**
  * Download MiniLM model to public/models/ for local semantic search.
  * Fixes "JSON Parse error: Unrecognized token '<'" from Hugging Face CDN/CORS.
+ * Also copies the onnxruntime-web wasm binaries to public/onnx-wasm/, for
+ * embedding prompts in the browser when the embed API isn't running.
  * Run: node scripts/download-model.js
  */
 import fs from "node:fs";
@@ -12,6 +14,8 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "..");
 // Match hub.js localPath: localModelPath + "Xenova/all-MiniLM-L6-v2/" + filename
 const modelDir = path.join(projectRoot, "public", "models", "Xenova", "all-MiniLM-L6-v2");
+const ortDistDir = path.join(projectRoot, "node_modules", "onnxruntime-web", "dist");
+const wasmDir = path.join(projectRoot, "public", "onnx-wasm");
 
 const BASE = "https://huggingface.co/Xenova/all-MiniLM-L6-v2/resolve/main";
 const FILES = [
@@ -30,6 +34,16 @@ async function download(url) {
 }
 
 async function main() {
+  // Same onnxruntime-web version transformers.js imports, so the binaries match its glue code
+  if (fs.existsSync(ortDistDir)) {
+    fs.mkdirSync(wasmDir, { recursive: true });
+    const wasm = fs.readdirSync(ortDistDir).filter((f) => f.endsWith(".wasm"));
+    for (const f of wasm) fs.copyFileSync(path.join(ortDistDir, f), path.join(wasmDir, f));
+    console.log(`Copied ${wasm.length} onnxruntime wasm file(s) to ${wasmDir}`);
+  } else {
+    console.warn("node_modules/onnxruntime-web not found (run npm install); in-browser embedding needs public/onnx-wasm/");
+  }
+
   fs.mkdirSync(modelDir, { recursive: true });
   fs.mkdirSync(path.join(modelDir, "onnx"), { recursive: true });
 
@@ -2,17 +2,63 @@
 /**
  * Embed API server - runs model in Node (same as embed-events.js).
  * POST /embed { "text": "..." } -> { "embedding": [0.1, ...] }
+ * GET /live -> Server-Sent Events, one `data:` per event appended to
+ *   public/events-live.jsonl by `npm run parse:watch`. The SSE id is the byte
+ *   offset, so a reconnecting EventSource resumes where it left off.
+ * GET /search -> { model, count } of public/embeddings/ (404 without embeddings)
+ * POST /search { text | vector, k?, minScore?, role?, type?, bot?, start?, end? }
+ *   -> { model, count, results: [{ id, score }] }, best first. Searches an
+ *   approximate nearest-neighbour index (lib/vector-index.js) built on first
+ *   use and rebuilt when the embeddings or events.json change.
+ * GET /overrides -> labels corrected by hand, { "<field>": { "<event id>": { label, was, at } } }
+ * POST /overrides { field, id, label, was? } -> { override } saves a correction
+ *   to config/annotation-overrides.local.json (label null removes it). `field`
+ *   must be a labeled annotator's (config/annotators.json), `label` one of its
+ *   labels. See lib/annotation-overrides.js.
+ * GET /bookmarks -> { bookmarks: { "<event id>": { tags, note, event, createdAt, updatedAt } } }
+ * POST /bookmarks { id, tags?, note?, event? } -> { bookmark } creates or updates
+ *   the bookmark of an event in config/bookmarks.local.json; `event` is its
+ *   time, type, category, botId and sessionId. See lib/bookmarks.js.
+ * DELETE /bookmarks?id=<event id> -> { removed }
+ *
+ * Listens on 127.0.0.1 only and sends no CORS headers: the views reach it
+ * through the Vite dev server's /api proxy, so other sites can't read from it
+ * or, since POST bodies must be application/json (which needs a preflight), write to it.
+ * Bodies over 1 MB get 413.
  * Run: node scripts/embed-api.js
  */
+import fs from "node:fs";
 import http from "node:http";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { readOverrides, setOverride } from "./lib/annotation-overrides.js";
+import { loadAnnotators } from "./lib/annotators.js";
+import { cleanBookmark, readBookmarks, removeBookmark, saveBookmark } from "./lib/bookmarks.js";
+import { readEmbeddingStore } from "./lib/embedding-store.js";
+import { readEvents } from "./lib/event-store.js";
+import { buildVectorIndex } from "./lib/vector-index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "..");
 const modelPath = path.join(projectRoot, "public", "models");
 const MODEL = "Xenova/all-MiniLM-L6-v2";
 const PORT = parseInt(process.env.EMBED_API_PORT || "3001", 10);
+const HOST = "127.0.0.1";
+const MAX_BODY_BYTES = 1024 * 1024;
+const livePath = path.join(projectRoot, "public", "events-live.jsonl");
+const LIVE_POLL_MS = 500;
+const LIVE_KEEPALIVE_MS = 15000;
+const eventsPath = path.join(projectRoot, "public", "events.json");
+const embeddingsDir = path.join(projectRoot, "public", "embeddings");
+const SEARCH_DEFAULT_K = 50;
+const SEARCH_MAX_K = 1000;
+const annotatorsPath = process.env.ANNOTATORS ? path.resolve(process.env.ANNOTATORS) : path.join(projectRoot, "config", "annotators.json");
+const overridesPath = process.env.ANNOTATION_OVERRIDES
+  ? path.resolve(process.env.ANNOTATION_OVERRIDES)
+  : path.join(projectRoot, "config", "annotation-overrides.local.json");
+const bookmarksPath = process.env.BOOKMARKS ? path.resolve(process.env.BOOKMARKS) : path.join(projectRoot, "config", "bookmarks.local.json");
+// Event ids are hex digests (parse-logs.js); anything else is refused before it becomes a key
+const EVENT_ID = /^[0-9a-f]{8,64}$/i;
 
 let extractor = null;
 
@@ -40,35 +86,278 @@ async function embed(text) {
   return Array.from(arr.slice(0, dim));
 }
 
+/** Complete lines of events-live.jsonl between byte offsets, as { line, end }. */
+function readLiveLines(start, end) {
+  if (end <= start) return [];
+  const buf = Buffer.alloc(end - start);
+  const fd = fs.openSync(livePath, "r");
+  try {
+    fs.readSync(fd, buf, 0, buf.length, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const lines = [];
+  let from = 0;
+  let nl;
+  while ((nl = buf.indexOf(0x0a, from)) !== -1) {
+    const line = buf.subarray(from, nl).toString("utf-8");
+    if (line.trim()) lines.push({ line, end: start + nl + 1 });
+    from = nl + 1;
+  }
+  return lines;
+}
+
+const liveClients = new Set();
+let liveOffset = 0; // bytes of events-live.jsonl already sent to connected clients
+let liveTimer = null;
+
+function sendLive(res, lines) {
+  for (const { line, end } of lines) res.write(`id: ${end}\ndata: ${line}\n\n`);
+}
+
+/** Push lines appended since the last poll to every client. */
+function pollLive() {
+  const size = fs.existsSync(livePath) ? fs.statSync(livePath).size : 0;
+  if (size < liveOffset) liveOffset = 0; // watcher restarted and truncated the file
+  const lines = readLiveLines(liveOffset, size);
+  if (lines.length === 0) return;
+  liveOffset = lines[lines.length - 1].end;
+  for (const res of liveClients) sendLive(res, lines);
+}
+
+function handleLive(req, res) {
+  pollLive();
+  const lastId = parseInt(req.headers["last-event-id"] ?? "", 10);
+  const start = lastId >= 0 && lastId <= liveOffset ? lastId : 0;
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.write("retry: 2000\n\n");
+  sendLive(res, readLiveLines(start, liveOffset));
+  liveClients.add(res);
+  liveTimer ??= setInterval(pollLive, LIVE_POLL_MS);
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), LIVE_KEEPALIVE_MS);
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    liveClients.delete(res);
+    if (liveClients.size === 0) {
+      clearInterval(liveTimer);
+      liveTimer = null;
+    }
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * The parsed JSON body of a POST, or undefined once an error was sent: 415 when
+ * it isn't application/json, 413 past MAX_BODY_BYTES (the connection is closed
+ * after the reply instead of reading the rest), 400 when it doesn't parse.
+ */
+async function readJson(req, res) {
+  if (!/^application\/json\b/i.test(req.headers["content-type"] ?? "")) {
+    sendJson(res, 415, { error: "Content-Type must be application/json" });
+    return undefined;
+  }
+  const chunks = [];
+  let size = 0;
+  const body = await new Promise((resolve, reject) => {
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+      else resolve(null);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")));
+    req.on("error", reject);
+  });
+  if (body == null) {
+    res.setHeader("Connection", "close");
+    sendJson(res, 413, { error: `Body larger than ${MAX_BODY_BYTES} bytes` });
+    return undefined;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    sendJson(res, 400, { error: "Invalid JSON" });
+    return undefined;
+  }
+}
+
+let searchIndex = null; // { key, model, ids, meta, index }
+let searchBuilding = null;
+
+/**
+ * The search index with per-row filter fields (role, type, time, bot) from
+ * events.json. Rebuilt when either file changes; null without embeddings.
+ */
+async function loadSearchIndex() {
+  const indexPath = path.join(embeddingsDir, "index.json");
+  if (!fs.existsSync(indexPath)) return null;
+  const key = [indexPath, eventsPath].map((p) => (fs.existsSync(p) ? fs.statSync(p).mtimeMs : 0)).join("|");
+  if (searchIndex?.key === key) return searchIndex;
+  searchBuilding ??= (async () => {
+    const started = Date.now();
+    const store = readEmbeddingStore(embeddingsDir);
+    if (!store) return null;
+    if (store.model !== MODEL) throw new Error(`Embeddings were made with ${store.model}, not ${MODEL}. Run: FORCE=1 npm run embed`);
+    const ids = [...store.vectors.keys()];
+    const rowOf = new Map(ids.map((id, i) => [id, i]));
+    const meta = new Array(ids.length).fill(null);
+    if (fs.existsSync(eventsPath)) {
+      for await (const ev of readEvents(eventsPath)) {
+        const row = rowOf.get(ev.id);
+        if (row !== undefined) meta[row] = { role: ev.role, type: ev.type, time: Date.parse(ev.time), bot: ev.botId ?? "default" };
+      }
+    }
+    const index = buildVectorIndex(ids.map((id) => store.vectors.get(id)), store.dim);
+    console.log(`Search index: ${ids.length} vectors in ${index.lists} list(s), built in ${Date.now() - started} ms`);
+    return { key, model: store.model, ids, meta, index };
+  })().finally(() => {
+    searchBuilding = null;
+  });
+  searchIndex = await searchBuilding;
+  return searchIndex;
+}
+
+/** Row filter for a search request; throws on invalid filters. Rows without a current event never match. */
+function searchFilter(meta, { role, type, bot, start, end }) {
+  const types = type == null ? null : new Set(Array.isArray(type) ? type : [type]);
+  const time = (v, name) => {
+    if (v == null) return null;
+    const t = Date.parse(v);
+    if (Number.isNaN(t)) throw new Error(`Invalid '${name}'`);
+    return t;
+  };
+  const from = time(start, "start");
+  const to = time(end, "end");
+  return (row) => {
+    const m = meta[row];
+    if (!m) return false;
+    if (role && m.role !== role) return false;
+    if (types && !types.has(m.type)) return false;
+    if (bot && m.bot !== bot) return false;
+    if (from != null && m.time < from) return false;
+    if (to != null && m.time > to) return false;
+    return true;
+  };
+}
+
+async function handleSearch(req, res) {
+  if (req.method === "GET") {
+    const indexPath = path.join(embeddingsDir, "index.json");
+    if (!fs.existsSync(indexPath)) return sendJson(res, 404, { error: "No embeddings. Run: npm run embed" });
+    const { model, count } = JSON.parse(fs.readFileSync(indexPath, "utf-8"));
+    return sendJson(res, 200, { model, count });
+  }
+
+  const query = await readJson(req, res);
+  if (query === undefined) return;
+  const k = query?.k ?? SEARCH_DEFAULT_K;
+  if (!Number.isInteger(k) || k < 1 || k > SEARCH_MAX_K) return sendJson(res, 400, { error: `'k' must be an integer from 1 to ${SEARCH_MAX_K}` });
+
+  if (query.minScore != null && typeof query.minScore !== "number") return sendJson(res, 400, { error: "'minScore' must be a number" });
+
+  try {
+    const search = await loadSearchIndex();
+    if (!search) return sendJson(res, 404, { error: "No embeddings. Run: npm run embed" });
+    let vector = query.vector;
+    if (vector != null) {
+      if (!Array.isArray(vector) || vector.length !== search.index.dim) return sendJson(res, 400, { error: `'vector' must be ${search.index.dim} numbers` });
+    } else if (typeof query.text === "string" && query.text.trim()) {
+      vector = await embed(query.text);
+    } else {
+      return sendJson(res, 400, { error: "Missing 'text' or 'vector'" });
+    }
+    let filter;
+    try {
+      filter = searchFilter(search.meta, query);
+    } catch (e) {
+      return sendJson(res, 400, { error: e.message });
+    }
+    const hits = search.index.search(vector, { k, filter, minScore: query.minScore ?? -1 });
+    sendJson(res, 200, { model: search.model, count: search.index.size, results: hits.map(({ row, score }) => ({ id: search.ids[row], score })) });
+  } catch (e) {
+    console.error("Search error:", e);
+    sendJson(res, 500, { error: e?.message || "Search failed" });
+  }
+}
+
+async function handleOverrides(req, res) {
+  try {
+    if (req.method === "GET") return sendJson(res, 200, readOverrides(overridesPath));
+
+    const data = await readJson(req, res);
+    if (data === undefined) return;
+    const { field, id, label, was } = data ?? {};
+    // Read on every request, so edits to annotators.json need no restart
+    const annotator = loadAnnotators(annotatorsPath).find((a) => a.field === field && a.labels);
+    if (!annotator) return sendJson(res, 400, { error: `'field' must be the field of a labeled annotator in ${annotatorsPath}` });
+    if (typeof id !== "string" || !EVENT_ID.test(id)) return sendJson(res, 400, { error: "Missing or invalid 'id'" });
+    if (label != null && !annotator.labels.includes(label)) return sendJson(res, 400, { error: `'label' must be null or one of ${annotator.labels.join(", ")}` });
+    const override = setOverride(overridesPath, field, id, label, annotator.labels.includes(was) ? was : null);
+    sendJson(res, 200, { override });
+  } catch (e) {
+    console.error("Overrides error:", e);
+    sendJson(res, 500, { error: e?.message || "Overrides failed" });
+  }
+}
+
+async function handleBookmarks(req, res) {
+  try {
+    if (req.method === "GET") return sendJson(res, 200, { bookmarks: readBookmarks(bookmarksPath) });
+
+    if (req.method === "DELETE") {
+      const id = new URL(req.url, "http://localhost").searchParams.get("id");
+      if (!id || !EVENT_ID.test(id)) return sendJson(res, 400, { error: "Missing or invalid 'id'" });
+      return sendJson(res, 200, { removed: removeBookmark(bookmarksPath, id) });
+    }
+
+    const data = await readJson(req, res);
+    if (data === undefined) return;
+    if (typeof data?.id !== "string" || !EVENT_ID.test(data.id)) return sendJson(res, 400, { error: "Missing or invalid 'id'" });
+    try {
+      cleanBookmark(data);
+    } catch (e) {
+      return sendJson(res, 400, { error: e.message });
+    }
+    sendJson(res, 200, { bookmark: saveBookmark(bookmarksPath, data.id, data) });
+  } catch (e) {
+    console.error("Bookmarks error:", e);
+    sendJson(res, 500, { error: e?.message || "Bookmarks failed" });
+  }
+}
+
 const server = http.createServer(async (req, res) => {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  if (req.method === "GET" && req.url.split("?")[0] === "/live") {
+    handleLive(req, res);
+    return;
+  }
 
-  if (req.method === "OPTIONS") {
-    res.writeHead(204);
-    res.end();
+  if (req.url.split("?")[0] === "/search" && (req.method === "GET" || req.method === "POST")) {
+    await handleSearch(req, res);
     return;
   }
 
-  if (req.method !== "POST" || req.url !== "/embed") {
-    res.writeHead(404, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ error: "Not found" }));
+  if (req.url.split("?")[0] === "/overrides" && (req.method === "GET" || req.method === "POST")) {
+    await handleOverrides(req, res);
     return;
   }
 
-  let body = "";
-  for await (const chunk of req) body += chunk;
+  if (req.url.split("?")[0] === "/bookmarks" && ["GET", "POST", "DELETE"].includes(req.method)) {
+    await handleBookmarks(req, res);
+    return;
+  }
 
-  let data;
-  try {
-    data = JSON.parse(body);
-  } catch {
-    res.writeHead(400, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ error: "Invalid JSON" }));
+  if (req.method !== "POST" || req.url !== "/embed") {
+    res.writeHead(404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ error: "Not found" }));
     return;
   }
 
+  const data = await readJson(req, res);
+  if (data === undefined) return;
+
   const text = data?.text;
   if (typeof text !== "string" || !text.trim()) {
     res.writeHead(400, { "Content-Type": "application/json" });
@@ -87,6 +376,6 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
-server.listen(PORT, () => {
-  console.log(`Embed API listening on http://localhost:${PORT}`);
+server.listen(PORT, HOST, () => {
+  console.log(`Embed API listening on http://${HOST}:${PORT}`);
 });
@@ -1,16 +1,26 @@
 #!/usr/bin/env node
 /**
- * Add embedding vectors to events.json for semantic search.
+ * Embed events for semantic search into the binary store public/embeddings/
+ * (see lib/embedding-store.js), keyed by event id.
  * Uses Xenova/all-MiniLM-L6-v2 (384-dim). Run after parse.
- * node scripts/embed-events.js
+ * node scripts/embed-events.js [--int8]
+ *
+ * Only events without a vector (or whose text changed) are embedded; FORCE=1
+ * re-embeds everything. --int8 (or EMBED_INT8=1) also writes the quantized
+ * variant. Inline `embedding` arrays left in events.json by older runs are
+ * moved into the store.
  */
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { readEmbeddingStore, textHash, writeEmbeddingStore } from "./lib/embedding-store.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "..");
 const eventsPath = path.join(projectRoot, "public", "events.json");
+const storeDir = path.join(projectRoot, "public", "embeddings");
+const FORCE = process.env.FORCE === "1" || process.env.FORCE === "true";
+const INT8 = process.argv.includes("--int8") || process.env.EMBED_INT8 === "1" || process.env.EMBED_INT8 === "true";
 
 const MODEL = "Xenova/all-MiniLM-L6-v2";
 const BATCH_SIZE = 32;
@@ -30,38 +40,84 @@ async function main() {
 
   const data = JSON.parse(fs.readFileSync(eventsPath, "utf-8"));
   const events = data.events ?? [];
-  const withText = events.map((e, i) => ({ ev: e, i, text: getText(e) })).filter((x) => x.text);
 
-  if (withText.length === 0) {
+  // Inline `embedding` arrays from older runs move into the store
+  const inline = new Map();
+  let moved = 0;
+  for (const ev of events) {
+    if (!ev.embedding) continue;
+    if (ev.id && ev.embedding.length) inline.set(ev.id, ev.embedding);
+    delete ev.embedding;
+    moved++;
+  }
+  if (moved) {
+    delete data.embeddingModel;
+    fs.writeFileSync(eventsPath, JSON.stringify(data, null, 2), "utf-8");
+    console.log(`Moved ${moved} inline embeddings out of ${eventsPath}`);
+  }
+
+  let store = FORCE ? null : readEmbeddingStore(storeDir);
+  if (store && store.model !== MODEL) {
+    console.log(`Embeddings were made with ${store.model}; re-embedding with ${MODEL}`);
+    store = null;
+  }
+
+  // Keep vectors of events that still exist with the same text; the rest need embedding
+  const vectors = new Map();
+  const hashes = new Map();
+  const todo = [];
+  let noId = 0;
+  for (const ev of events) {
+    const text = getText(ev);
+    if (!text) continue;
+    if (!ev.id) {
+      noId++;
+      continue;
+    }
+    const hash = textHash(text);
+    const kept = store?.hashes.get(ev.id) === hash ? store.vectors.get(ev.id) : !FORCE && inline.has(ev.id) ? Float32Array.from(inline.get(ev.id)) : null;
+    if (kept) {
+      vectors.set(ev.id, kept);
+      hashes.set(ev.id, hash);
+    } else {
+      todo.push({ ev, text, hash });
+    }
+  }
+  if (noId) console.log(`Skipped ${noId} events without an id. Run: npm run parse:full`);
+  if (vectors.size + todo.length === 0) {
     console.log("No events with message text to embed.");
     return;
   }
 
-  console.log(`Loading model ${MODEL}...`);
-  const { pipeline } = await import("@xenova/transformers");
-  const extractor = await pipeline("feature-extraction", MODEL, {
-    pooling: "mean",
-    normalize: true,
-  });
+  let dim = store?.dim ?? vectors.values().next().value?.length ?? 384;
+  if (todo.length) {
+    console.log(`Loading model ${MODEL}...`);
+    const { pipeline } = await import("@xenova/transformers");
+    const extractor = await pipeline("feature-extraction", MODEL, {
+      pooling: "mean",
+      normalize: true,
+    });
 
-  console.log(`Embedding ${withText.length} events...`);
-  for (let i = 0; i < withText.length; i += BATCH_SIZE) {
-    const batch = withText.slice(i, i + BATCH_SIZE);
-    const texts = batch.map((b) => b.text);
-    const out = await extractor(texts, { padding: true, truncation: true });
-    const arr = Array.isArray(out.data) ? out.data : Array.from(out.data);
-    const dim = out.dims?.[out.dims.length - 1] ?? 384;
-    for (let j = 0; j < batch.length; j++) {
-      const start = j * dim;
-      batch[j].ev.embedding = Array.from(arr.slice(start, start + dim));
+    console.log(`Embedding ${todo.length} events (${vectors.size} unchanged)...`);
+    for (let i = 0; i < todo.length; i += BATCH_SIZE) {
+      const batch = todo.slice(i, i + BATCH_SIZE);
+      const texts = batch.map((b) => b.text);
+      const out = await extractor(texts, { padding: true, truncation: true });
+      const arr = out.data instanceof Float32Array ? out.data : Float32Array.from(out.data);
+      dim = out.dims?.[out.dims.length - 1] ?? 384;
+      for (let j = 0; j < batch.length; j++) {
+        const start = j * dim;
+        vectors.set(batch[j].ev.id, arr.slice(start, start + dim));
+        hashes.set(batch[j].ev.id, batch[j].hash);
+      }
+      process.stdout.write(`\r  ${Math.min(i + BATCH_SIZE, todo.length)} / ${todo.length}`);
     }
-    process.stdout.write(`\r  ${Math.min(i + BATCH_SIZE, withText.length)} / ${withText.length}`);
+    console.log("");
   }
-  console.log("");
 
-  data.embeddingModel = MODEL;
-  fs.writeFileSync(eventsPath, JSON.stringify(data, null, 2), "utf-8");
-  console.log(`Wrote embeddings to ${eventsPath}`);
+  const files = writeEmbeddingStore(storeDir, { model: MODEL, dim, vectors, hashes }, { int8: INT8 });
+  const size = (f) => (fs.statSync(path.join(storeDir, f)).size / 1024 / 1024).toFixed(1);
+  console.log(`Wrote ${vectors.size} embeddings to ${storeDir} (${Object.values(files).map((f) => `${f} ${size(f)}MB`).join(", ")})`);
 }
 
 main().catch((e) => {
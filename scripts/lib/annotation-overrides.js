@@ -0,0 +1,74 @@
+/**
+ * Manual corrections of annotation labels, kept apart from events.json so a
+ * re-parse or re-annotation never loses them. One file, by field then event id:
+ *
+ *   { "sentiment": { "<event id>": { "label": "upset", "was": "neutral", "at": "2026-…" } } }
+ *
+ * `was` is the model's label when the correction was made. Written by the
+ * review mode of user-sentiment-view.html through the API (POST /overrides);
+ * scripts/annotate.js applies it before annotating, and an override always
+ * wins: the event gets `<field>Source: "human"` and is never sent to the model.
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+/** The overrides in `filePath`, or {} when there is no file yet. */
+export function readOverrides(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    throw new Error(`${filePath}: ${err.message}`);
+  }
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) throw new Error(`${filePath}: expected { "<field>": { "<event id>": { "label": … } } }`);
+  return overrides;
+}
+
+/**
+ * Record `label` for event `id` (null removes the override) and save. Returns
+ * the stored entry, or null when removed.
+ */
+export function setOverride(filePath, field, id, label, was = null) {
+  const overrides = readOverrides(filePath);
+  const byId = (overrides[field] ??= {});
+  let entry = null;
+  if (label == null) {
+    delete byId[id];
+    if (!Object.keys(byId).length) delete overrides[field];
+  } else {
+    // Keep the model's label from the first correction, not an earlier override
+    entry = { label, was: byId[id]?.was ?? was, at: new Date().toISOString() };
+    byId[id] = entry;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(overrides, null, 2), "utf-8");
+  fs.renameSync(tmp, filePath);
+  return entry;
+}
+
+/**
+ * Put the overrides for annotator `a` on `events` in place. An event whose
+ * override was removed loses its value, so the next run labels it again.
+ * Returns { applied, cleared }.
+ */
+export function applyOverrides(a, events, overrides) {
+  const byId = overrides[a.field] ?? {};
+  const source = `${a.field}Source`;
+  let applied = 0;
+  let cleared = 0;
+  for (const ev of events) {
+    const o = ev.id != null ? byId[ev.id] : undefined;
+    if (o) {
+      ev[a.field] = o.label;
+      ev[source] = "human";
+      applied++;
+    } else if (ev[source] === "human") {
+      delete ev[a.field];
+      delete ev[source];
+      cleared++;
+    }
+  }
+  return { applied, cleared };
+}
@@ -0,0 +1,274 @@
+/**
+ * Declarative LLM annotations (config/annotators.json). Each annotator labels
+ * events of some types and writes the result to one event field:
+ *
+ *   { "name": "intent",              // CLI name: node scripts/annotate.js intent
+ *     "title": "Request intent",     // shown in views (default: name)
+ *     "field": "intent",             // event field written (default: name)
+ *     "types": ["user_message"],     // event types to annotate
+ *     "require": ["category"],       // other fields an event must have (optional)
+ *     "prompt": "… {{message}} …",   // string or array of lines; {{field}} inserts an event field
+ *     "labels": ["question", …],     // allowed labels; omit for free text
+ *     "labelNames": { … }, "colors": { … },  // display name / color per label (optional)
+ *     "default": "chat",             // label when the reply names none (else it counts as an error)
+ *     "context": { "turns": 3 },     // {{context}}: earlier messages of the same session (optional)
+ *     "explain": true,               // reply is JSON with label, confidence and rationale (optional)
+ *     "model": "…", "maxTokens": 20, "maxInputChars": 2000 }
+ *
+ * Every inserted field is redacted before it goes to the model; {{message}} is
+ * also cut to maxInputChars. Only events with a non-empty message are
+ * annotated. Events that already have the field are skipped unless `force`, so
+ * an interrupted run resumes where it stopped. A failed event keeps the value
+ * it had; one without a value is retried by the next run. Events labeled by
+ * hand (`<field>Source: "human"`, see lib/annotation-overrides.js) are always skipped.
+ *
+ * `context` takes the `turns` messages of `types` (default user and assistant
+ * messages) before the event in the same bot and session, each cut to
+ * `maxChars`, as "User: …" / "Assistant: …" lines.
+ *
+ * With `explain`, the prompt asks for {"label": …, "confidence": 0–1,
+ * "rationale": …}; confidence and rationale go to `<field>Confidence` and
+ * `<field>Rationale`. A reply that is not JSON still counts by its label.
+ */
+import fs from "node:fs";
+
+const DEFAULT_MODEL = "qwen/qwen3-vl-32b-instruct";
+const DEFAULT_MAX_TOKENS = 60;
+const DEFAULT_MAX_INPUT_CHARS = 2000;
+const DEFAULT_CONTEXT_TYPES = ["user_message", "assistant_message"];
+const DEFAULT_CONTEXT_CHARS = 500;
+const MAX_RATIONALE_CHARS = 300;
+const ROLE_NAMES = { user_message: "User", assistant_message: "Assistant" };
+const NAME = /^[A-Za-z][\w-]*$/;
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Fields the parser sets; an annotation must not overwrite them
+const RESERVED_FIELDS = new Set(["id", "time", "type", "category", "message", "sessionId", "botId", "userName", "userHandle"]);
+
+function compileAnnotator(a, i, configPath) {
+  const where = `${configPath} annotator ${i + 1}${a?.name ? ` (${a.name})` : ""}`;
+  if (typeof a?.name !== "string" || !NAME.test(a.name)) throw new Error(`${where}: "name" must be a word (letters, digits, _ or -)`);
+  const field = a.field ?? a.name;
+  if (!NAME.test(field) || RESERVED_FIELDS.has(field)) throw new Error(`${where}: "field" must be a word other than ${[...RESERVED_FIELDS].join(", ")}`);
+  if (!Array.isArray(a.types) || !a.types.length) throw new Error(`${where}: "types" must list at least one event type`);
+  const prompt = Array.isArray(a.prompt) ? a.prompt.join("\n") : a.prompt;
+  if (typeof prompt !== "string" || !prompt.includes("{{")) throw new Error(`${where}: "prompt" must be a string (or lines) with at least one {{field}}`);
+  if (a.labels != null && (!Array.isArray(a.labels) || !a.labels.length || a.labels.some((l) => !/^[a-z0-9_]+$/.test(l)))) {
+    throw new Error(`${where}: "labels" must be a non-empty list of lowercase snake_case words`);
+  }
+  if (a.default != null && !a.labels?.includes(a.default)) throw new Error(`${where}: "default" must be one of "labels"`);
+  if (a.context != null && !(Number.isInteger(a.context.turns) && a.context.turns > 0)) throw new Error(`${where}: "context.turns" must be a positive integer`);
+  if (a.context?.types != null && (!Array.isArray(a.context.types) || !a.context.types.length)) throw new Error(`${where}: "context.types" must list at least one event type`);
+  if (/\{\{\s*context\s*\}\}/.test(prompt) !== (a.context != null)) throw new Error(`${where}: use {{context}} in "prompt" exactly when "context" is set`);
+  if (a.explain && !a.labels) throw new Error(`${where}: "explain" needs "labels"`);
+  return {
+    name: a.name,
+    title: a.title ?? a.name,
+    field,
+    types: a.types,
+    require: a.require ?? [],
+    prompt,
+    labels: a.labels ?? null,
+    labelNames: a.labelNames ?? {},
+    colors: a.colors ?? {},
+    default: a.default ?? null,
+    context: a.context
+      ? { turns: a.context.turns, types: a.context.types ?? DEFAULT_CONTEXT_TYPES, maxChars: a.context.maxChars ?? DEFAULT_CONTEXT_CHARS }
+      : null,
+    explain: a.explain === true,
+    model: a.model ?? DEFAULT_MODEL,
+    maxTokens: a.maxTokens ?? DEFAULT_MAX_TOKENS,
+    maxInputChars: a.maxInputChars ?? DEFAULT_MAX_INPUT_CHARS,
+  };
+}
+
+/** Load and check an annotators file. Returns the annotators in file order. */
+export function loadAnnotators(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`${configPath}: ${err.message}`);
+  }
+  if (!Array.isArray(config?.annotators)) throw new Error(`${configPath}: expected { "annotators": [...] }`);
+  const annotators = config.annotators.map((a, i) => compileAnnotator(a, i, configPath));
+  const seen = new Set();
+  for (const a of annotators) {
+    if (seen.has(a.name) || seen.has(`field:${a.field}`)) throw new Error(`${configPath}: annotator name or field "${a.name}" used twice`);
+    seen.add(a.name).add(`field:${a.field}`);
+  }
+  return annotators;
+}
+
+/** What views need to color and filter by an annotation (no prompts or models). */
+export function describeAnnotator(a) {
+  const { name, title, field, types, labels, labelNames, colors, explain } = a;
+  return { name, title, field, types, labels, labelNames, colors, default: a.default, explain };
+}
+
+/**
+ * Events the annotator applies to, with `force` deciding whether done ones
+ * count. Events labeled by hand never do.
+ */
+export function selectEvents(a, events, { force = false } = {}) {
+  const types = new Set(a.types);
+  const source = `${a.field}Source`;
+  return events.filter(
+    (e) =>
+      types.has(e.type) &&
+      e.message?.trim() &&
+      a.require.every((f) => e[f] != null && e[f] !== "") &&
+      e[source] !== "human" &&
+      (force || e[a.field] == null)
+  );
+}
+
+const cutText = (text, max) => {
+  const t = text.trim();
+  return t.length > max ? t.slice(0, max) + "…" : t;
+};
+
+/**
+ * For each of `targets`, the up to `context.turns` messages before it in the
+ * same bot and session, oldest first. Events are taken in time order.
+ */
+function contextEvents(a, events, targets) {
+  const wanted = new Set(targets);
+  const types = new Set(a.context.types);
+  const recent = new Map(); // bot + session → last messages
+  const result = new Map();
+  const ordered = events.map((e, i) => ({ e, i })).sort((x, y) => Date.parse(x.e.time) - Date.parse(y.e.time) || x.i - y.i);
+  for (const { e } of ordered) {
+    if (e.sessionId == null) continue;
+    const key = `${e.botId ?? "default"}\u0000${e.sessionId}`;
+    const last = recent.get(key) ?? [];
+    if (wanted.has(e)) result.set(e, [...last]);
+    if (types.has(e.type) && e.message?.trim()) {
+      last.push(e);
+      if (last.length > a.context.turns) last.shift();
+      recent.set(key, last);
+    }
+  }
+  return result;
+}
+
+/** The {{context}} text: one "Role: message" line per earlier message; `redact(event)` gives its redacted text. */
+function renderContext(a, earlier, redact) {
+  if (!earlier?.length) return "(no earlier messages in this session)";
+  return earlier.map((c) => `${ROLE_NAMES[c.type] ?? c.type}: ${cutText(redact(c), a.context.maxChars).replace(/\s*\n\s*/g, " ")}`).join("\n");
+}
+
+/**
+ * The prompt for one event. `redact(text, field)` gives the redacted text of
+ * each field the prompt inserts; `context` is the (already redacted) {{context}} text.
+ */
+export function renderPrompt(a, ev, redact, context = "") {
+  return a.prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, f) => {
+    if (f === "context") return context;
+    if (ev[f] == null) return "";
+    const text = redact(String(ev[f]), f);
+    return f === "message" ? cutText(text, a.maxInputChars) : text;
+  });
+}
+
+/** The label a reply names, or null. */
+function matchLabel(a, text) {
+  const reply = text?.toLowerCase().replace(/[\s-]+/g, "_").replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, "") ?? "";
+  if (a.labels.includes(reply)) return reply;
+  let best = null;
+  for (const l of a.labels) {
+    const m = new RegExp(`(?:^|[^a-z0-9])${escapeRegExp(l)}(?![a-z0-9])`).exec(reply);
+    if (!m) continue;
+    const at = m.index + m[0].length - l.length;
+    if (!best || at < best.at || (at === best.at && l.length > best.label.length)) best = { label: l, at };
+  }
+  return best?.label ?? null;
+}
+
+/** The first {...} in a reply, parsed, or null. */
+function parseJsonObject(text) {
+  const m = text?.match(/\{[\s\S]*\}/);
+  if (!m) return null;
+  try {
+    const obj = JSON.parse(m[0]);
+    return obj && typeof obj === "object" && !Array.isArray(obj) ? obj : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn a reply message into { value, confidence, rationale }; value is null
+ * when there is none, confidence and rationale are null unless `explain`.
+ * Labels: the reply normalized to snake_case, else the first label it mentions
+ * as a whole word ("very_upset" rather than the "upset" inside it), else the default.
+ * With `explain`, the label, a 0–1 confidence (percentages are scaled) and the
+ * rationale come from the JSON object in the reply, if there is one.
+ * Free text: the content, or for models that only fill `reasoning`, the text
+ * after "ANSWER:" or its tail.
+ */
+export function parseReply(a, msg) {
+  let text = msg?.content?.trim();
+  if (!a.labels) {
+    if (!text && msg?.reasoning) {
+      const r = msg.reasoning.trim();
+      const m = r.match(/ANSWER:?\s*\n?(.+?)(?:\n|$)/s);
+      text = m ? m[1].trim().slice(0, 100) : r.slice(-80).trim();
+    }
+    return { value: text || null, confidence: null, rationale: null };
+  }
+  const obj = a.explain ? parseJsonObject(text) : null;
+  if (!obj) return { value: matchLabel(a, text) ?? a.default, confidence: null, rationale: null };
+  const label = matchLabel(a, obj.label == null ? "" : String(obj.label));
+  // A confidence is about the label the model chose, not the default
+  let confidence = Number(obj.confidence);
+  if (!Number.isFinite(confidence) || confidence < 0 || !label) confidence = null;
+  else if (confidence > 1) confidence = Math.min(1, confidence / 100);
+  const rationale = typeof obj.rationale === "string" && obj.rationale.trim() ? cutText(obj.rationale, MAX_RATIONALE_CHARS) : null;
+  return { value: label ?? a.default, confidence: confidence == null ? null : Math.round(confidence * 100) / 100, rationale };
+}
+
+/**
+ * Annotate `events` in place. The LLM client bounds concurrency; `onAnnotated`
+ * runs with each event that got a value, `onProgress` after each event with
+ * { done, total, ok, err }. Returns { ok, err, total }.
+ */
+export async function annotateEvents(a, events, { llm, redactor, force = false, limit = 0, onAnnotated, onProgress, onError } = {}) {
+  let todo = selectEvents(a, events, { force });
+  if (limit > 0) todo = todo.slice(0, limit);
+  const earlier = a.context ? contextEvents(a, events, todo) : null;
+  // A message is context for several events; redact (and audit) it once
+  const redacted = new Map();
+  const redact = (e) => {
+    if (!redacted.has(e)) redacted.set(e, redactor.text(e.message, e.id));
+    return redacted.get(e);
+  };
+  let ok = 0;
+  let err = 0;
+  let done = 0;
+  await Promise.all(
+    todo.map(async (ev) => {
+      try {
+        const context = earlier ? renderContext(a, earlier.get(ev), redact) : "";
+        const fieldText = (text, f) => (f === "message" ? redact(ev) : redactor.text(text, ev.id, f));
+        const msg = await llm.chat(renderPrompt(a, ev, fieldText, context), { max_tokens: a.maxTokens });
+        const { value, confidence, rationale } = parseReply(a, msg);
+        if (value == null) throw new Error(a.labels ? `reply names no label: ${JSON.stringify(msg?.content ?? "")}` : "empty reply");
+        ev[a.field] = value;
+        if (a.explain) {
+          for (const [suffix, v] of [["Confidence", confidence], ["Rationale", rationale]]) {
+            if (v == null) delete ev[a.field + suffix];
+            else ev[a.field + suffix] = v;
+          }
+        }
+        onAnnotated?.(ev);
+        ok++;
+      } catch (e) {
+        err++;
+        onError?.(ev, e);
+      }
+      done++;
+      onProgress?.({ done, total: todo.length, ok, err });
+    })
+  );
+  return { ok, err, total: todo.length };
+}
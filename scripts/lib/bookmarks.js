@@ -0,0 +1,75 @@
+/**
+ * Analyst bookmarks: events marked while investigating, with tags and a
+ * markdown note. One local file by event id (config/bookmarks.local.json,
+ * gitignored), written through the API (POST/DELETE /bookmarks in embed-api.js):
+ *
+ *   { "bookmarks": { "<event id>": {
+ *       "tags": ["incident", "cron"], "note": "Cron **failed** after …",
+ *       "event": { "time", "type", "category", "botId", "sessionId" },
+ *       "createdAt": "2026-…", "updatedAt": "2026-…" } } }
+ *
+ * `event` keeps where the bookmark points, so it can be listed and exported
+ * without loading the events.
+ */
+import fs from "node:fs";
+import path from "node:path";
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LEN = 40;
+export const MAX_NOTE_LEN = 20000;
+const EVENT_FIELDS = ["time", "type", "category", "botId", "sessionId"];
+
+/** The bookmarks in `filePath` by event id, or {} when there is no file yet. */
+export function readBookmarks(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    throw new Error(`${filePath}: ${err.message}`);
+  }
+  if (!data?.bookmarks || typeof data.bookmarks !== "object" || Array.isArray(data.bookmarks)) throw new Error(`${filePath}: expected { "bookmarks": { "<event id>": … } }`);
+  return data.bookmarks;
+}
+
+function writeBookmarks(filePath, bookmarks) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write then rename, so a crash never leaves half a file
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ bookmarks }, null, 2), "utf-8");
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Check and tidy a bookmark from a request: tags trimmed, lowercased and
+ * deduplicated, note trimmed, only the known event fields. Throws on invalid input.
+ */
+export function cleanBookmark({ tags = [], note = "", event = {} } = {}) {
+  if (!Array.isArray(tags) || tags.some((t) => typeof t !== "string")) throw new Error("'tags' must be a list of strings");
+  const clean = [...new Set(tags.map((t) => t.trim().toLowerCase().replace(/\s+/g, "-")).filter(Boolean))];
+  if (clean.length > MAX_TAGS || clean.some((t) => t.length > MAX_TAG_LEN)) throw new Error(`At most ${MAX_TAGS} tags of ${MAX_TAG_LEN} characters`);
+  if (typeof note !== "string" || note.length > MAX_NOTE_LEN) throw new Error(`'note' must be text of at most ${MAX_NOTE_LEN} characters`);
+  if (!event || typeof event !== "object") throw new Error("'event' must be an object");
+  const kept = Object.fromEntries(EVENT_FIELDS.filter((f) => typeof event[f] === "string" && event[f]).map((f) => [f, event[f]]));
+  return { tags: clean, note: note.trim(), event: kept };
+}
+
+/** Create or update the bookmark of event `id` and save. Returns the stored bookmark. */
+export function saveBookmark(filePath, id, input) {
+  const bookmarks = readBookmarks(filePath);
+  const { tags, note, event } = cleanBookmark(input);
+  const now = new Date().toISOString();
+  const old = bookmarks[id];
+  bookmarks[id] = { tags, note, event: { ...old?.event, ...event }, createdAt: old?.createdAt ?? now, updatedAt: now };
+  writeBookmarks(filePath, bookmarks);
+  return bookmarks[id];
+}
+
+/** Remove the bookmark of event `id`. Returns whether there was one. */
+export function removeBookmark(filePath, id) {
+  const bookmarks = readBookmarks(filePath);
+  if (!Object.hasOwn(bookmarks, id)) return false;
+  delete bookmarks[id];
+  writeBookmarks(filePath, bookmarks);
+  return true;
+}
@@ -0,0 +1,126 @@
+/**
+ * Spend from the token usage on assistant_message events, for
+ * scripts/compute-costs.js: totals per day and model, model, bot and session,
+ * and per cron job through the cron event's runSessionId.
+ */
+import { TOKEN_KINDS, costOf, priceFor } from "./prices.js";
+
+const TOP_SESSIONS = 50;
+
+function createTotals() {
+  return { cost: 0, messages: 0, input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+}
+
+function addUsage(t, usage, cost) {
+  t.cost += cost;
+  t.messages++;
+  for (const kind of TOKEN_KINDS) t[kind] += usage[kind] ?? 0;
+}
+
+function addTotals(t, other) {
+  t.cost += other.cost;
+  t.messages += other.messages;
+  for (const kind of TOKEN_KINDS) t[kind] += other[kind];
+}
+
+const round = (t) => ({ ...t, cost: Math.round(t.cost * 1e6) / 1e6 });
+// Session and job IDs are only unique within one bot
+const botKey = (botId, id) => `${botId ?? ""}|${id}`;
+
+/**
+ * Feed every event (time order) to add(); result() gives the costs.json
+ * sections. `withoutUsage` counts assistant messages that had no usage.
+ */
+export function createCostTally(prices) {
+  const totals = createTotals();
+  const byDayModel = new Map();
+  const byModel = new Map();
+  const byBot = new Map();
+  const bySession = new Map();
+  const unpriced = {};
+  const jobs = new Map();
+  let withoutUsage = 0;
+
+  return {
+    add(e) {
+      if (e.type === "cron" && e.sessionId) {
+        const key = botKey(e.botId, e.sessionId);
+        if (!jobs.has(key)) jobs.set(key, { jobId: e.sessionId, botId: e.botId, runs: 0, sessions: new Set() });
+        const job = jobs.get(key);
+        job.runs++;
+        if (e.runSessionId) job.sessions.add(botKey(e.botId, e.runSessionId));
+        return;
+      }
+      if (e.type !== "assistant_message") return;
+      if (!e.usage) {
+        withoutUsage++;
+        return;
+      }
+      const model = e.model || "unknown";
+      const price = priceFor(prices, e.model, e.provider);
+      if (!price) unpriced[model] = (unpriced[model] ?? 0) + 1;
+      const cost = price ? costOf(e.usage, price, prices.per) : 0;
+      addUsage(totals, e.usage, cost);
+
+      const day = e.time.slice(0, 10);
+      const dayKey = `${day}|${model}`;
+      if (!byDayModel.has(dayKey)) byDayModel.set(dayKey, { day, model, ...createTotals() });
+      addUsage(byDayModel.get(dayKey), e.usage, cost);
+
+      if (!byModel.has(model)) byModel.set(model, { model, priced: !!price, ...createTotals() });
+      addUsage(byModel.get(model), e.usage, cost);
+
+      if (e.botId) {
+        if (!byBot.has(e.botId)) byBot.set(e.botId, { botId: e.botId, ...createTotals() });
+        addUsage(byBot.get(e.botId), e.usage, cost);
+      }
+
+      const sessionId = e.sessionId || "unknown";
+      const sessionKey = botKey(e.botId, sessionId);
+      if (!bySession.has(sessionKey)) {
+        bySession.set(sessionKey, { sessionId, ...(e.botId && { botId: e.botId }), start: e.time, models: new Set(), ...createTotals() });
+      }
+      const s = bySession.get(sessionKey);
+      s.models.add(model);
+      addUsage(s, e.usage, cost);
+    },
+
+    result() {
+      const jobBySession = new Map();
+      const cronJobs = [];
+      for (const { jobId, botId, runs, sessions } of jobs.values()) {
+        const t = createTotals();
+        for (const sessionKey of sessions) {
+          jobBySession.set(sessionKey, jobId);
+          const s = bySession.get(sessionKey);
+          if (s) addTotals(t, s);
+        }
+        cronJobs.push({ jobId, ...(botId && { botId }), runs, sessions: sessions.size, ...round(t) });
+      }
+      cronJobs.sort((a, b) => b.cost - a.cost || a.jobId.localeCompare(b.jobId));
+
+      const sessions = [...bySession.values()]
+        .sort((a, b) => b.cost - a.cost || b.input + b.output - (a.input + a.output))
+        .slice(0, TOP_SESSIONS)
+        .map(({ models, ...s }) => {
+          const key = botKey(s.botId, s.sessionId);
+          return { ...round(s), models: [...models], ...(jobBySession.has(key) && { cronJob: jobBySession.get(key) }) };
+        });
+
+      return {
+        currency: prices.currency,
+        totals: round(totals),
+        daily: [...byDayModel.values()].sort((a, b) => a.day.localeCompare(b.day) || a.model.localeCompare(b.model)).map(round),
+        models: [...byModel.values()].sort((a, b) => b.cost - a.cost || b.messages - a.messages).map(round),
+        bots: [...byBot.values()].sort((a, b) => b.cost - a.cost || a.botId.localeCompare(b.botId)).map(round),
+        sessions,
+        cronJobs,
+        unpriced,
+      };
+    },
+
+    get withoutUsage() {
+      return withoutUsage;
+    },
+  };
+}
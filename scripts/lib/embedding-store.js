@@ -0,0 +1,94 @@
+/**
+ * Binary embedding store, so events.json and the slim files carry no
+ * 384-number arrays. public/embeddings/:
+ *
+ *   index.json   { model, dim, count, ids: [...], hashes: [...], files: { float32: "vectors.f32", int8?: "vectors.i8" } }
+ *   vectors.f32  count × dim little-endian Float32; row i belongs to event ids[i]
+ *   vectors.i8   count little-endian Float32 scales, then count × dim Int8; value = int8 × scale
+ *
+ * `hashes[i]` is a short hash of the text row i was embedded from, so changed
+ * events (e.g. re-redacted) get re-embedded.
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+export const FLOAT32_FILE = "vectors.f32";
+export const INT8_FILE = "vectors.i8";
+
+export function textHash(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 12);
+}
+
+/**
+ * Load a store written by writeEmbeddingStore. Returns { model, dim, vectors, hashes }
+ * (Maps keyed by event id) or null when there is none. Prefers the Float32 file.
+ */
+export function readEmbeddingStore(dir) {
+  const indexPath = path.join(dir, "index.json");
+  if (!fs.existsSync(indexPath)) return null;
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`${indexPath}: ${err.message}`);
+  }
+  const { model, dim, ids = [], hashes = [], files = {} } = index;
+  const vectors = new Map();
+  if (files.float32 && fs.existsSync(path.join(dir, files.float32))) {
+    const buf = fs.readFileSync(path.join(dir, files.float32));
+    const all = new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+    ids.forEach((id, i) => vectors.set(id, all.subarray(i * dim, (i + 1) * dim)));
+  } else if (files.int8 && fs.existsSync(path.join(dir, files.int8))) {
+    const buf = fs.readFileSync(path.join(dir, files.int8));
+    const scales = new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + ids.length * 4));
+    const q = new Int8Array(buf.buffer, buf.byteOffset + ids.length * 4, ids.length * dim);
+    ids.forEach((id, i) => vectors.set(id, Float32Array.from(q.subarray(i * dim, (i + 1) * dim), (v) => v * scales[i])));
+  } else {
+    return null;
+  }
+  return { model, dim, vectors, hashes: new Map(ids.map((id, i) => [id, hashes[i]])) };
+}
+
+/** Symmetric int8 quantization: the largest component maps to ±127. */
+export function quantizeInt8(vec) {
+  let max = 0;
+  for (const v of vec) max = Math.max(max, Math.abs(v));
+  const scale = max / 127 || 1;
+  return { scale, q: Int8Array.from(vec, (v) => Math.round(v / scale)) };
+}
+
+/**
+ * Write the store. `vectors` and `hashes` are Maps keyed by event id; rows are
+ * written in `vectors` order. With `int8`, also writes the quantized file
+ * (about a quarter of the size); without it, an old one is removed.
+ */
+export function writeEmbeddingStore(dir, { model, dim, vectors, hashes }, { int8 = false } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const ids = [...vectors.keys()];
+  const f32 = new Float32Array(ids.length * dim);
+  ids.forEach((id, i) => f32.set(vectors.get(id), i * dim));
+  fs.writeFileSync(path.join(dir, FLOAT32_FILE), Buffer.from(f32.buffer));
+
+  const files = { float32: FLOAT32_FILE };
+  const int8Path = path.join(dir, INT8_FILE);
+  if (int8) {
+    const out = Buffer.alloc(ids.length * 4 + ids.length * dim);
+    const scales = new Float32Array(ids.length);
+    const q = new Int8Array(out.buffer, out.byteOffset + ids.length * 4, ids.length * dim);
+    ids.forEach((id, i) => {
+      const { scale, q: row } = quantizeInt8(vectors.get(id));
+      scales[i] = scale;
+      q.set(row, i * dim);
+    });
+    Buffer.from(scales.buffer).copy(out, 0);
+    fs.writeFileSync(int8Path, out);
+    files.int8 = INT8_FILE;
+  } else {
+    fs.rmSync(int8Path, { force: true });
+  }
+
+  const index = { model, dim, count: ids.length, files, ids, hashes: ids.map((id) => hashes.get(id) ?? null) };
+  fs.writeFileSync(path.join(dir, "index.json"), JSON.stringify(index), "utf-8");
+  return files;
+}
@@ -0,0 +1,90 @@
+/**
+ * Declarative event-detection rules (config/event-rules.json). Each rule turns a
+ * matching cron summary, tool call or tool result into an extra event:
+ *
+ *   { "type": "email_sent", "category": "email", "label": "Emails sent", "color": "#22c55e",
+ *     "source": "toolCall" | "toolResult" | "cron",
+ *     "tool": "exec" | ["exec", "process"],   // toolCall/toolResult only; omit for any tool
+ *     "args": [...],    // toolCall: patterns on JSON.stringify(arguments)
+ *     "result": [...],  // toolResult: patterns on the result text
+ *     "text": [...],    // cron: patterns on the run summary
+ *     "exclude": [...] }
+ *
+ * Every pattern must match and no `exclude` pattern may. A pattern is a regex
+ * string (case-insensitive) or { "regex": "...", "flags": "..." }. Rules with the
+ * same `type` share the first `label`/`color` given.
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+
+const SOURCES = { cron: "text", toolCall: "args", toolResult: "result" };
+
+function compilePattern(p, where) {
+  const { regex, flags = "i" } = typeof p === "string" ? { regex: p } : p ?? {};
+  if (typeof regex !== "string") throw new Error(`${where}: pattern must be a string or { regex, flags }`);
+  try {
+    return new RegExp(regex, flags.replace(/[gy]/g, "")); // stateless .test()
+  } catch (err) {
+    throw new Error(`${where}: ${err.message}`);
+  }
+}
+
+function compileRule(rule, i, rulesPath) {
+  const where = `${rulesPath} rule ${i + 1}${rule?.type ? ` (${rule.type})` : ""}`;
+  if (!rule?.type || typeof rule.type !== "string") throw new Error(`${where}: missing "type"`);
+  const field = SOURCES[rule.source];
+  if (!field) throw new Error(`${where}: "source" must be one of ${Object.keys(SOURCES).join(", ")}`);
+  for (const key of Object.values(SOURCES)) {
+    if (key !== field && rule[key]) throw new Error(`${where}: "${key}" patterns don't apply to source "${rule.source}"`);
+  }
+  if (rule.tool && rule.source === "cron") throw new Error(`${where}: "tool" doesn't apply to source "cron"`);
+  const list = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+  return {
+    type: rule.type,
+    category: rule.category ?? rule.type,
+    source: rule.source,
+    tools: rule.tool ? new Set(list(rule.tool)) : null,
+    match: list(rule[field]).map((p) => compilePattern(p, where)),
+    exclude: list(rule.exclude).map((p) => compilePattern(p, where)),
+  };
+}
+
+/**
+ * Load and compile a rules file. Returns { rules, types, hash }: `types` maps each
+ * event type to { label, color } in first-seen order; `hash` changes whenever the
+ * file does, so callers can tell stale output apart.
+ */
+export function loadEventRules(rulesPath) {
+  const raw = fs.readFileSync(rulesPath, "utf-8");
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${rulesPath}: ${err.message}`);
+  }
+  if (!Array.isArray(config?.rules)) throw new Error(`${rulesPath}: expected { "rules": [...] }`);
+  const rules = config.rules.map((r, i) => compileRule(r, i, rulesPath));
+  const types = {};
+  for (const r of config.rules) {
+    const t = (types[r.type] ??= {});
+    t.label ??= r.label;
+    t.color ??= r.color;
+  }
+  for (const [type, t] of Object.entries(types)) {
+    t.label ??= type.replace(/_/g, " ");
+    if (t.color == null) delete t.color;
+  }
+  const hash = crypto.createHash("sha1").update(raw).digest("hex");
+  return { rules, types, hash };
+}
+
+/** Rules from `source` that match `text` (and `tool`, for tool rules), in file order. */
+export function matchRules(rules, source, { tool, text }) {
+  return rules.filter(
+    (r) =>
+      r.source === source &&
+      (!r.tools || r.tools.has(tool)) &&
+      r.match.every((re) => re.test(text)) &&
+      !r.exclude.some((re) => re.test(text))
+  );
+}
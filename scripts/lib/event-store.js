@@ -0,0 +1,246 @@
+/**
+ * Memory-bounded helpers for large event sets:
+ * - createEventSpool: external merge sort (sorted runs on disk, k-way merge)
+ * - readEvents: stream events out of an events.json without parsing it whole
+ * - createEventsWriter: write events.json incrementally, byte-identical to
+ *   JSON.stringify({ events, ...meta }, null, 2)
+ */
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { readLines } from "./read-lines.js";
+
+/** Events held in memory before a sorted run is flushed to disk. */
+const RUN_SIZE = parseInt(process.env.PARSE_RUN_SIZE || "50000", 10) || 50000;
+const WRITE_BUFFER = 1024 * 1024;
+
+/**
+ * Sort key of an event time: epoch ms, or Infinity when it doesn't parse, so
+ * such events sort last and the comparator stays consistent.
+ */
+export function timeKey(time) {
+  const t = new Date(time).getTime();
+  return Number.isNaN(t) ? Infinity : t;
+}
+
+function compareEntries(a, b) {
+  return a.t - b.t || a.seq - b.seq || a.source - b.source;
+}
+
+/** Minimal binary heap keyed by compareEntries. */
+function createHeap() {
+  const items = [];
+  function up(i) {
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (compareEntries(items[i], items[p]) >= 0) break;
+      [items[i], items[p]] = [items[p], items[i]];
+      i = p;
+    }
+  }
+  function down(i) {
+    for (;;) {
+      const l = i * 2 + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < items.length && compareEntries(items[l], items[m]) < 0) m = l;
+      if (r < items.length && compareEntries(items[r], items[m]) < 0) m = r;
+      if (m === i) break;
+      [items[i], items[m]] = [items[m], items[i]];
+      i = m;
+    }
+  }
+  return {
+    get size() { return items.length; },
+    push(x) { items.push(x); up(items.length - 1); },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) { items[0] = last; down(0); }
+      return top;
+    },
+  };
+}
+
+/**
+ * K-way merge of async iterables that each yield { t, seq, ev } in (t, seq) order.
+ * Ties are broken by seq, then by source position.
+ */
+export async function* mergeSorted(sources) {
+  const heap = createHeap();
+  const iters = sources.map((s) => s[Symbol.asyncIterator]());
+  for (let i = 0; i < iters.length; i++) {
+    const { value, done } = await iters[i].next();
+    if (!done) heap.push({ ...value, source: i });
+  }
+  while (heap.size) {
+    const top = heap.pop();
+    yield top;
+    const { value, done } = await iters[top.source].next();
+    if (!done) heap.push({ ...value, source: top.source });
+  }
+}
+
+async function* readRun(runPath) {
+  for await (const { line } of readLines(runPath)) {
+    if (!line) continue;
+    const [t, seq, ev] = JSON.parse(line);
+    // JSON has no Infinity: unparseable times come back as null
+    yield { t: t ?? Infinity, seq, ev };
+  }
+}
+
+async function* fromArray(entries) {
+  yield* entries;
+}
+
+/**
+ * Collects events in insertion order and hands them back sorted by time
+ * (stable), spilling sorted runs to a temp dir once RUN_SIZE is exceeded.
+ */
+export function createEventSpool({ runSize = RUN_SIZE } = {}) {
+  let buffer = [];
+  let seq = 0;
+  let tmpDir = null;
+  const runs = [];
+
+  function flush() {
+    if (buffer.length === 0) return;
+    if (!tmpDir) tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "parse-logs-"));
+    buffer.sort(compareEntries);
+    const runPath = path.join(tmpDir, `run-${runs.length}.jsonl`);
+    fs.writeFileSync(runPath, buffer.map((x) => JSON.stringify([x.t, x.seq, x.ev])).join("\n") + "\n", "utf-8");
+    runs.push(runPath);
+    buffer = [];
+  }
+
+  return {
+    get size() { return seq; },
+    add(ev) {
+      buffer.push({ t: timeKey(ev.time), seq: seq++, ev });
+      if (buffer.length >= runSize) flush();
+    },
+    /** Sorted { t, seq, ev } entries across all runs and the in-memory tail. */
+    entries() {
+      buffer.sort(compareEntries);
+      return mergeSorted([...runs.map(readRun), fromArray(buffer)]);
+    },
+    close() {
+      if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+      buffer = [];
+    },
+  };
+}
+
+/**
+ * Drop repeated events (same bot+instant+type+category+message), keeping the first.
+ * Input must be time-sorted, so duplicates only ever share a time bucket. The
+ * bucket is the parsed instant, so "…Z" and "…+00:00" spellings still match;
+ * events with unparseable times share the Infinity bucket and compare by string.
+ * An event's `dedupeKey`, when set, stands in for the message (the parser sets it
+ * to a keyed hash of the text before redaction, so events differing only in a
+ * redacted secret stay apart). It is stored with the event, so events read back
+ * from events.json compare the same way as newly parsed ones.
+ */
+export async function* dedupeSorted(entries) {
+  let lastT = null;
+  let seen = new Set();
+  for await (const entry of entries) {
+    const e = entry.ev;
+    if (entry.t !== lastT) {
+      lastT = entry.t;
+      seen = new Set();
+    }
+    const when = Number.isFinite(entry.t) ? entry.t : e.time;
+    const key = `${e.botId ?? ""}|${when}|${e.type}|${e.category}|${e.dedupeKey ?? e.message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    yield entry;
+  }
+}
+
+/**
+ * Stream events from an events.json. Files written by this repo
+ * (JSON.stringify(data, null, 2) with `events` first) are read one event at a
+ * time; anything else falls back to a full JSON.parse. Remaining top-level
+ * fields (summary, embeddingModel, …) are copied into `meta` once done.
+ */
+export async function* readEvents(filePath, meta = {}) {
+  const lines = readLines(filePath);
+  const first = await lines.next();
+  const second = await lines.next();
+  const head = [first.value?.line, second.value?.line];
+  const streamable = head[0] === "{" && (head[1] === '  "events": [' || head[1] === '  "events": [],');
+  if (!streamable) {
+    await lines.return();
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    const { events, ...rest } = data;
+    Object.assign(meta, rest);
+    yield* events ?? [];
+    return;
+  }
+
+  let inEvents = head[1] === '  "events": [';
+  let block = [];
+  const tail = [];
+  for await (const { line } of lines) {
+    if (!inEvents) {
+      tail.push(line);
+      continue;
+    }
+    if (line === "  ]" || line === "  ],") {
+      inEvents = false;
+      continue;
+    }
+    block.push(line);
+    if (line === "    }" || line === "    }," || line === "    {}" || line === "    {},") {
+      yield JSON.parse(block.join("\n").replace(/,$/, ""));
+      block = [];
+    }
+  }
+  const rest = tail.join("\n").trim();
+  if (rest && rest !== "}") Object.assign(meta, JSON.parse(`{${rest}`));
+}
+
+/**
+ * Incremental events.json writer. Writes to `<file>.tmp` and renames on close,
+ * so readers never see a half-written file.
+ */
+export function createEventsWriter(filePath) {
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  let pending = "";
+  let count = 0;
+
+  function out(s) {
+    pending += s;
+    if (pending.length >= WRITE_BUFFER) {
+      fs.writeSync(fd, pending);
+      pending = "";
+    }
+  }
+
+  out('{\n  "events": [');
+  return {
+    get count() { return count; },
+    write(ev) {
+      out((count++ ? ",\n" : "\n") + JSON.stringify(ev, null, 2).replace(/^/gm, "    "));
+    },
+    close(meta = {}) {
+      out(count ? "\n  ]" : "]");
+      for (const [k, v] of Object.entries(meta)) {
+        if (v === undefined) continue;
+        out(`,\n  ${JSON.stringify(k)}: ${JSON.stringify(v, null, 2).replace(/\n/g, "\n  ")}`);
+      }
+      out("\n}");
+      fs.writeSync(fd, pending);
+      fs.closeSync(fd);
+      fs.renameSync(tmpPath, filePath);
+    },
+    abort() {
+      fs.closeSync(fd);
+      fs.rmSync(tmpPath, { force: true });
+    },
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Chat completions client for the summarize, annotate and topic scripts. Speaks
+ * the OpenAI API, so it works with OpenRouter (the default) and with local
+ * servers such as llama.cpp (`llama-server`) or vLLM.
+ *
+ * Settings (environment, or options to createLlmClient; the environment wins):
+ *   LLM_BASE_URL     API root, default https://openrouter.ai/api/v1 (llama.cpp: http://localhost:8080/v1)
+ *   LLM_API_KEY      bearer token; falls back to OPENROUTER_API_KEY. Only required for OpenRouter.
+ *   LLM_MODEL        model name, instead of each script's default
+ *   LLM_CONCURRENCY  requests in flight at once
+ *   LLM_MAX_RETRIES  retries on 429, 5xx, timeouts and network errors (default 5)
+ *   LLM_TIMEOUT_MS   per-request timeout (default 120000)
+ *   LLM_CACHE=0      skip the response cache
+ *
+ * Retries back off exponentially (1 s, 2 s, 4 s, … up to 60 s, with jitter), or
+ * wait as long as a Retry-After header asks, again up to 60 s. Successful
+ * responses are cached on disk, one file per sha256 of base URL + model +
+ * messages + parameters, so reruns over unchanged input cost nothing.
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+export const DEFAULT_BASE_URL = "https://openrouter.ai/api/v1";
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_TIMEOUT_MS = 120000;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 60000;
+
+const envInt = (name) => parseInt(process.env[name] || "", 10) || undefined;
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const retryable = (status) => status === 429 || status >= 500;
+
+class HttpError extends Error {
+  constructor(status, message, retryAfterMs) {
+    super(message);
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** The Retry-After wait in ms, at most BACKOFF_MAX_MS: a server asking for an hour doesn't stall the run. */
+function retryAfterMs(res) {
+  const h = res.headers.get("retry-after");
+  if (!h) return undefined;
+  const secs = Number(h);
+  const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(h) - Date.now();
+  return Number.isNaN(ms) ? undefined : Math.min(BACKOFF_MAX_MS, Math.max(0, ms));
+}
+
+/** At most `limit` calls of run() in flight; the rest wait their turn. */
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+/**
+ * Create a client. `model` and `concurrency` are the calling script's defaults;
+ * `cacheDir` is where responses are cached (omit for no cache). Throws when
+ * OpenRouter is the target and no key is set.
+ */
+export function createLlmClient({ model, baseUrl, apiKey, concurrency, maxRetries, timeoutMs, cacheDir } = {}) {
+  baseUrl = (process.env.LLM_BASE_URL || baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, "");
+  apiKey = process.env.LLM_API_KEY || apiKey || process.env.OPENROUTER_API_KEY || "";
+  model = process.env.LLM_MODEL || model;
+  concurrency = envInt("LLM_CONCURRENCY") ?? concurrency ?? DEFAULT_CONCURRENCY;
+  maxRetries = envInt("LLM_MAX_RETRIES") ?? maxRetries ?? DEFAULT_MAX_RETRIES;
+  timeoutMs = envInt("LLM_TIMEOUT_MS") ?? timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  if (process.env.LLM_CACHE === "0" || process.env.LLM_CACHE === "false") cacheDir = null;
+  if (!model) throw new Error("No model: pass one or set LLM_MODEL");
+  if (!apiKey && baseUrl === DEFAULT_BASE_URL) {
+    throw new Error("Set OPENROUTER_API_KEY (get one at https://openrouter.ai/keys) or LLM_API_KEY, or point LLM_BASE_URL at a local server");
+  }
+
+  const limit = createLimiter(Math.max(1, concurrency));
+  const stats = { requests: 0, cached: 0, retries: 0 };
+
+  const cachePath = (key) => path.join(cacheDir, key.slice(0, 2), `${key}.json`);
+
+  function readCache(key) {
+    if (!cacheDir) return null;
+    try {
+      return JSON.parse(fs.readFileSync(cachePath(key), "utf-8")).message ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  function writeCache(key, message) {
+    if (!cacheDir) return;
+    const file = cachePath(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write then rename, so a concurrent reader never sees half a file
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ model, at: new Date().toISOString(), message }), "utf-8");
+    fs.renameSync(tmp, file);
+  }
+
+  async function request(body) {
+    const res = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new HttpError(res.status, `${baseUrl} ${res.status}: ${await res.text()}`, retryAfterMs(res));
+    const data = await res.json();
+    const message = data.choices?.[0]?.message;
+    if (!message) throw new Error(`${baseUrl}: no choices in response`);
+    return message;
+  }
+
+  return {
+    model,
+    baseUrl,
+    stats,
+
+    /**
+     * Send `messages` (or one user prompt string) and return the reply message
+     * ({ content, reasoning?, … }). `params` go into the request body (max_tokens, temperature, …).
+     */
+    async chat(messages, params = {}) {
+      if (typeof messages === "string") messages = [{ role: "user", content: messages }];
+      const body = { model, messages, ...params };
+      // The same model name on another server is another model
+      const key = crypto.createHash("sha256").update(`${baseUrl}\n${JSON.stringify(body)}`).digest("hex");
+      const hit = readCache(key);
+      if (hit) {
+        stats.cached++;
+        return hit;
+      }
+      return limit(async () => {
+        for (let attempt = 0; ; attempt++) {
+          try {
+            stats.requests++;
+            const message = await request(body);
+            writeCache(key, message);
+            return message;
+          } catch (err) {
+            // HTTP errors other than 429/5xx (bad request, auth) won't improve on retry
+            const canRetry = err instanceof HttpError ? retryable(err.status) : err.name === "TimeoutError" || err instanceof TypeError;
+            if (!canRetry || attempt >= maxRetries) throw err;
+            stats.retries++;
+            const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+            await sleep(err.retryAfterMs ?? backoff);
+          }
+        }
+      });
+    },
+  };
+}
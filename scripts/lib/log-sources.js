@@ -0,0 +1,63 @@
+/**
+ * Named log sources, one per bot. Every extracted event is tagged with its
+ * source's `botId`. Resolution order:
+ *
+ *   1. config/sources.json (or SOURCES=path): { "sources": { "alpha": "logs/alpha", "beta": "~/beta/logs" } }
+ *      Paths are relative to the project root. Only the listed directories are parsed.
+ *   2. logs/bots/<botId>/: each subdirectory is a bot; anything else in logs/ is bot "default".
+ *      (A file under two roots belongs to the more specific one; see parse-logs.js.)
+ *   3. Otherwise all of logs/ is bot "default".
+ *
+ * A file's `rel` (manifest key and event-ID prefix) is its path relative to logs/
+ * when it lives there, so IDs from single-bot trees don't change; files outside
+ * logs/ use "@<botId>/<path relative to the source>".
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+export const DEFAULT_BOT = "default";
+const BOTS_DIR = "bots";
+const BOT_ID_RE = /^[\w.-]+$/;
+
+const expandHome = (p) => (p.startsWith("~") ? path.join(process.env.HOME || "", p.slice(1)) : p);
+
+/** [{ botId, root }] for this tree. */
+export function resolveSources(projectRoot, logsDir, configPath) {
+  if (fs.existsSync(configPath)) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+    } catch (err) {
+      throw new Error(`${configPath}: ${err.message}`);
+    }
+    const entries = Object.entries(config?.sources ?? {});
+    if (!entries.length) throw new Error(`${configPath}: expected { "sources": { "<botId>": "<path>" } }`);
+    return entries.map(([botId, dir]) => {
+      if (!BOT_ID_RE.test(botId)) throw new Error(`${configPath}: bot ID "${botId}" may only contain letters, digits, "_", "-" and "."`);
+      if (typeof dir !== "string") throw new Error(`${configPath}: path for "${botId}" must be a string`);
+      return { botId, root: path.resolve(projectRoot, expandHome(dir)) };
+    });
+  }
+  const botsDir = path.join(logsDir, BOTS_DIR);
+  const bots = fs.existsSync(botsDir)
+    ? fs.readdirSync(botsDir, { withFileTypes: true }).filter((e) => e.isDirectory() && BOT_ID_RE.test(e.name)).map((e) => e.name).sort()
+    : [];
+  if (!bots.length) return [{ botId: DEFAULT_BOT, root: logsDir }];
+  return [
+    { botId: DEFAULT_BOT, root: logsDir },
+    ...bots.map((botId) => ({ botId, root: path.join(botsDir, botId) })),
+  ];
+}
+
+/** Manifest key / event-ID file name for a file of `src`. */
+export function sourceRel(src, file, logsDir) {
+  const inLogs = path.relative(logsDir, file);
+  if (!inLogs.startsWith("..") && !path.isAbsolute(inLogs)) return inLogs.split(path.sep).join("/");
+  return `@${src.botId}/${path.relative(src.root, file).split(path.sep).join("/")}`;
+}
+
+/** Changes whenever the bot → directory mapping does. */
+export function hashSources(sources) {
+  return crypto.createHash("sha1").update(JSON.stringify(sources.map((s) => [s.botId, s.root]))).digest("hex");
+}
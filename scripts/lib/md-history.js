@@ -0,0 +1,215 @@
+/**
+ * Replay of workspace MD file writes and edits into per-file version histories,
+ * for scripts/md-history.js (see there for the rules).
+ */
+import crypto from "node:crypto";
+import path from "node:path";
+import { DEFAULT_BOT } from "./log-sources.js";
+
+const TRUNCATED = "\n…[truncated]";
+/** Longest run of patches before a content entry is stored in full again. */
+const MAX_PATCH_CHAIN = 20;
+
+function normalizePath(p) {
+  return path.posix.normalize(String(p).replace(/\\/g, "/"));
+}
+
+/** History key of an md_write event: its normalized path, or the best guess when it has no directory. */
+function filePathOf(e, pathsByName) {
+  const p = e.path ? normalizePath(e.path) : null;
+  if (p?.includes("/")) return p;
+  const known = pathsByName.get(`${e.botId ?? ""}|${p ? path.posix.basename(p) : e.category}`);
+  return known?.size === 1 ? [...known][0] : p ?? e.category;
+}
+
+/**
+ * Line patch turning `base` into `text`: the lines between their common prefix
+ * and suffix are replaced. Edits touch one region, so this is usually small.
+ */
+export function linePatch(base, text) {
+  const a = base.split("\n");
+  const b = text.split("\n");
+  let at = 0;
+  while (at < a.length && at < b.length && a[at] === b[at]) at++;
+  let same = 0;
+  while (same < a.length - at && same < b.length - at && a[a.length - 1 - same] === b[b.length - 1 - same]) same++;
+  return { at, remove: a.length - at - same, lines: b.slice(at, b.length - same) };
+}
+
+/**
+ * Content table: hash → full text, or { base, at, remove, lines } meaning "the
+ * lines of `base` with `remove` lines at `at` replaced by `lines`". Identical
+ * contents share one entry; a change is stored as a patch on the previous
+ * version when that is under half the size of the text.
+ */
+function createContentTable() {
+  const contents = {};
+  const depth = new Map();
+  return {
+    contents,
+    /** Store `text` (whose previous version is `base` with hash `baseHash`, if known). Returns its hash. */
+    add(text, base, baseHash) {
+      const hash = crypto.createHash("sha1").update(text).digest("hex").slice(0, 16);
+      if (hash in contents) return hash;
+      if (base != null && depth.get(baseHash) < MAX_PATCH_CHAIN) {
+        const patch = linePatch(base, text);
+        if (patch.lines.join("\n").length < text.length / 2) {
+          contents[hash] = { base: baseHash, ...patch };
+          depth.set(hash, depth.get(baseHash) + 1);
+          return hash;
+        }
+      }
+      contents[hash] = text;
+      depth.set(hash, 0);
+      return hash;
+    },
+  };
+}
+
+/** Arguments JSON of an md_write event, or null when it isn't JSON (e.g. truncated). */
+function parseArgs(message) {
+  if (!message.startsWith("{")) return null;
+  try {
+    return JSON.parse(message);
+  } catch {
+    return null;
+  }
+}
+
+/** Normalize the edit argument shapes we've seen into [{ oldText, newText, replaceAll }]. */
+function editsFromArgs(args) {
+  const list = Array.isArray(args.edits) ? args.edits : [args];
+  return list
+    .map((e) => ({
+      oldText: e.oldText ?? e.old_text ?? e.old_string ?? e.oldString,
+      newText: e.newText ?? e.new_text ?? e.new_string ?? e.newString ?? "",
+      replaceAll: Boolean(e.replace_all ?? e.replaceAll),
+    }))
+    .filter((e) => typeof e.oldText === "string");
+}
+
+function applyEdit(content, { oldText, newText, replaceAll }) {
+  const at = content.indexOf(oldText);
+  if (at === -1) return null;
+  if (replaceAll) return content.split(oldText).join(newText);
+  return content.slice(0, at) + newText + content.slice(at + oldText.length);
+}
+
+/**
+ * Apply a unified diff (`@@ -a,b +c,d @@` hunks). Returns the new content, or
+ * null when a context/removed line doesn't match.
+ */
+export function applyUnifiedDiff(content, diff) {
+  const lines = content.split("\n");
+  const out = [];
+  let pos = 0;
+  let hunks = 0;
+  const diffLines = diff.split("\n");
+  for (let i = 0; i < diffLines.length; i++) {
+    const h = diffLines[i].match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+    if (!h) continue;
+    hunks++;
+    const start = Math.max(0, parseInt(h[1], 10) - 1);
+    if (start < pos) return null;
+    out.push(...lines.slice(pos, start));
+    pos = start;
+    for (i++; i < diffLines.length && !diffLines[i].startsWith("@@"); i++) {
+      const l = diffLines[i];
+      if (l.startsWith("\\")) continue; // "\ No newline at end of file"
+      const body = l.slice(1);
+      if (l.startsWith("+")) out.push(body);
+      else if (l.startsWith("-") || l.startsWith(" ") || l === "") {
+        if (lines[pos] !== body) return null;
+        if (!l.startsWith("-")) out.push(body);
+        pos++;
+      }
+    }
+    i--;
+  }
+  if (hunks === 0) return null;
+  return [...out, ...lines.slice(pos)].join("\n");
+}
+
+/**
+ * Feed every event to scan() (learns the tool calls present and the full paths
+ * per file name), then every event in time order to apply(). result() gives
+ * { files, contents } for md-history.json.
+ */
+export function createMdHistory() {
+  const callIds = new Set();
+  const pathsByName = new Map();
+  const files = {};
+  const table = createContentTable();
+
+  return {
+    scan(e) {
+      if (e.type !== "md_write") return;
+      if ((e.op === "write" || e.op === "edit") && e.toolCallId) callIds.add(`${e.botId ?? ""}|${e.toolCallId}`);
+      const p = e.path ? normalizePath(e.path) : null;
+      if (p?.includes("/")) {
+        const name = `${e.botId ?? ""}|${path.posix.basename(p)}`;
+        if (!pathsByName.has(name)) pathsByName.set(name, new Set());
+        pathsByName.get(name).add(p);
+      }
+    },
+
+    apply(e) {
+      if (e.type !== "md_write" || !e.op) return;
+      if (e.op === "diff" && e.toolCallId && callIds.has(`${e.botId ?? ""}|${e.toolCallId}`)) return;
+      // Each bot has its own workspace, so its MD files are separate histories
+      const filePath = filePathOf(e, pathsByName);
+      const key = e.botId && e.botId !== DEFAULT_BOT ? `${e.botId}:${filePath}` : filePath;
+      const file = (files[key] ??= { path: filePath, content: null, contentHash: null, versions: [], ...(e.botId && { botId: e.botId }) });
+      const message = e.message ?? "";
+      const version = { eventId: e.id, time: e.time, op: e.op, sessionId: e.sessionId, status: "ok" };
+      let next = file.content;
+
+      if (message.endsWith(TRUNCATED)) {
+        version.status = "truncated";
+        next = e.op === "write" ? message.slice(0, -TRUNCATED.length) : null;
+      } else if (e.op === "write") {
+        const args = parseArgs(message);
+        next = args && ("path" in args || "file_path" in args) ? String(args.content ?? "") : message;
+      } else if (e.op === "edit") {
+        const edits = editsFromArgs(parseArgs(message) ?? {});
+        version.edits = edits.map(({ oldText, newText }) => ({ oldText, newText }));
+        if (edits.length === 0) version.status = "unparsed";
+        else if (file.content == null) version.status = "unknown_base";
+        else {
+          for (const edit of edits) {
+            const applied = applyEdit(next, edit);
+            if (applied == null) {
+              version.status = "mismatch";
+              next = file.content;
+              break;
+            }
+            next = applied;
+          }
+        }
+      } else if (e.op === "diff") {
+        version.diff = message;
+        if (file.content == null) version.status = "unknown_base";
+        else {
+          const applied = applyUnifiedDiff(file.content, message);
+          if (applied == null) version.status = "mismatch";
+          else next = applied;
+        }
+      }
+
+      if (next !== file.content) file.contentHash = next == null ? null : table.add(next, file.content, file.contentHash);
+      file.content = next;
+      version.contentHash = file.contentHash;
+      version.bytes = next == null ? null : Buffer.byteLength(next);
+      file.versions.push(version);
+    },
+
+    result() {
+      const output = { files: {}, contents: table.contents };
+      for (const [key, { path: filePath, versions, botId }] of Object.entries(files).sort(([a], [b]) => a.localeCompare(b))) {
+        const flagged = versions.filter((v) => v.status !== "ok").length;
+        output.files[key] = { path: filePath, name: path.posix.basename(filePath), ...(botId && { botId }), versions, flagged };
+      }
+      return output;
+    },
+  };
+}
@@ -0,0 +1,92 @@
+/**
+ * Per-file accounting of what the parser did with every log line, for
+ * public/parse-diagnostics.json and the data-quality view. Each consumed line is
+ * one of:
+ *   parsed   produced at least one event
+ *   skipped  recognized but deliberately not turned into events (reason says why)
+ *   unknown  a record type the parser doesn't know; usually a log format change
+ * Skipped and unknown lines are grouped by reason, with a few sample lines each.
+ */
+import fs from "node:fs";
+
+const MAX_SAMPLES = 3;
+const SAMPLE_LEN = 300;
+
+function createFileStats(botId) {
+  return { botId, lines: 0, parsed: 0, skipped: 0, unknown: 0, reasons: {} };
+}
+
+/** `redact(text, rel, lineNo)` is applied to sample lines before they are kept. */
+export function createDiagnostics({ redact = (text) => text } = {}) {
+  const files = {};
+
+  return {
+    files,
+
+    /**
+     * Count one line of `rel`. `outcome` is "parsed", or { kind: "skipped" | "unknown", reason }.
+     * `lineNo` is 1-based.
+     */
+    line(rel, botId, outcome, lineNo, text) {
+      const f = (files[rel] ??= createFileStats(botId));
+      f.lines++;
+      if (outcome === "parsed") {
+        f.parsed++;
+        return;
+      }
+      const { kind, reason } = outcome;
+      f[kind]++;
+      const r = (f.reasons[reason] ??= { kind, count: 0, samples: [] });
+      r.count++;
+      if (r.samples.length < MAX_SAMPLES) {
+        const clean = redact(text, rel, lineNo);
+        r.samples.push({ line: lineNo, text: clean.length > SAMPLE_LEN ? clean.slice(0, SAMPLE_LEN) + "…" : clean });
+      }
+    },
+  };
+}
+
+/**
+ * Add the counts of an earlier report (incremental parse: that run covered the
+ * bytes before this one). Samples from the earlier report come first.
+ */
+export function mergeDiagnostics(diag, previous) {
+  for (const [rel, prev] of Object.entries(previous?.files ?? {})) {
+    const f = (diag.files[rel] ??= createFileStats(prev.botId));
+    for (const k of ["lines", "parsed", "skipped", "unknown"]) f[k] += prev[k] ?? 0;
+    for (const [reason, p] of Object.entries(prev.reasons ?? {})) {
+      const r = f.reasons[reason];
+      f.reasons[reason] = r
+        ? { kind: p.kind, count: p.count + r.count, samples: [...p.samples, ...r.samples].slice(0, MAX_SAMPLES) }
+        : p;
+    }
+  }
+}
+
+/**
+ * Report with per-file stats plus totals and per-reason totals across files.
+ * `complete` is false when an incremental run had no earlier report to add to.
+ */
+export function diagnosticsReport(diag, { complete = true } = {}) {
+  const totals = { files: 0, lines: 0, parsed: 0, skipped: 0, unknown: 0 };
+  const reasons = {};
+  for (const f of Object.values(diag.files)) {
+    totals.files++;
+    for (const k of ["lines", "parsed", "skipped", "unknown"]) totals[k] += f[k];
+    for (const [reason, r] of Object.entries(f.reasons)) {
+      const t = (reasons[reason] ??= { kind: r.kind, count: 0, files: 0 });
+      t.count += r.count;
+      t.files++;
+    }
+  }
+  const files = Object.fromEntries(Object.entries(diag.files).sort(([a], [b]) => a.localeCompare(b)));
+  return { generatedAt: new Date().toISOString(), complete, totals, reasons, files };
+}
+
+export function loadDiagnostics(reportPath) {
+  try {
+    return JSON.parse(fs.readFileSync(reportPath, "utf-8"));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Per-file checkpoints for incremental parsing. For every log file we remember
+ * how far we parsed (byte offset and newline count) plus hashes of the first
+ * and last few KB before that offset. Session/cron logs are append-only, so on
+ * the next run only bytes past the offset need parsing; a shrunken file or a
+ * changed hash means the file was truncated or rotated.
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+
+// Bumped whenever extracted events gain fields, so older outputs get one full re-parse.
+// v2: stable event IDs. v3: op/path/toolCallId on md_write. v4: toolCallId on tool calls/results.
+// v5: model/usage on assistant_message, runSessionId on cron. v6: botId on every event.
+const MANIFEST_VERSION = 6;
+const FINGERPRINT_BYTES = 4096;
+
+function hashRange(filePath, start, end) {
+  const len = Math.max(0, end - start);
+  const buf = Buffer.alloc(len);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    let read = 0;
+    while (read < len) {
+      const n = fs.readSync(fd, buf, read, len - read, start + read);
+      if (n === 0) break;
+      read += n;
+    }
+    return crypto.createHash("sha1").update(buf.subarray(0, read)).digest("hex");
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** Checkpoint entry for a file parsed up to `offset` (`lines` newlines before it). */
+export function checkpointFile(filePath, { offset, lines }) {
+  const stat = fs.statSync(filePath);
+  return {
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    offset,
+    lines,
+    head: hashRange(filePath, 0, Math.min(offset, FINGERPRINT_BYTES)),
+    tail: hashRange(filePath, Math.max(0, offset - FINGERPRINT_BYTES), offset),
+  };
+}
+
+/**
+ * What to do with a file given its previous checkpoint:
+ * { action: "new" | "unchanged" | "append" | "changed", reason? }.
+ * "changed" means the parsed prefix no longer matches (truncated, rotated or rewritten).
+ */
+export function compareToCheckpoint(filePath, entry) {
+  if (!entry) return { action: "new" };
+  const stat = fs.statSync(filePath);
+  if (stat.size < entry.offset) return { action: "changed", reason: `truncated (${entry.offset} → ${stat.size} bytes)` };
+  const head = hashRange(filePath, 0, Math.min(entry.offset, FINGERPRINT_BYTES));
+  const tail = hashRange(filePath, Math.max(0, entry.offset - FINGERPRINT_BYTES), entry.offset);
+  if (head !== entry.head || tail !== entry.tail) return { action: "changed", reason: "content before last offset changed (rotated or rewritten)" };
+  if (stat.size === entry.offset) return { action: "unchanged" };
+  return { action: "append" };
+}
+
+export function loadManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) return null;
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    return manifest?.version === MANIFEST_VERSION && manifest.files ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+/** `extra` holds run-wide fields (e.g. rulesHash) that callers compare on load. */
+export function saveManifest(manifestPath, files, extra = {}) {
+  const manifest = { version: MANIFEST_VERSION, updatedAt: new Date().toISOString(), ...extra, files };
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), "utf-8");
+}
@@ -0,0 +1,64 @@
+/**
+ * Local model price table (config/prices.json):
+ *
+ *   { "currency": "USD", "per": 1000000,
+ *     "models": { "anthropic/claude-sonnet-4": { "input": 3, "output": 15, "cacheRead": 0.3, "cacheWrite": 3.75 } } }
+ *
+ * Prices are per `per` tokens. cacheRead/cacheWrite default to the input price.
+ * A model matches its exact key, or the key with its provider prefix added or
+ * dropped; a dated snapshot ("claude-sonnet-4-20250514", "gpt-4o-2024-08-06")
+ * also matches its undated key. Nothing else matches: an unknown variant such as
+ * "gpt-4o-mini-xyz" has no price rather than its base model's.
+ */
+import fs from "node:fs";
+
+export const TOKEN_KINDS = ["input", "output", "cacheRead", "cacheWrite"];
+
+export function loadPrices(pricesPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(pricesPath, "utf-8"));
+  } catch (err) {
+    throw new Error(`${pricesPath}: ${err.message}`);
+  }
+  if (!config?.models || typeof config.models !== "object") throw new Error(`${pricesPath}: expected { "models": { ... } }`);
+  const models = new Map();
+  for (const [name, p] of Object.entries(config.models)) {
+    if (typeof p?.input !== "number" || typeof p?.output !== "number") {
+      throw new Error(`${pricesPath}: model "${name}" needs numeric "input" and "output" prices`);
+    }
+    models.set(name.toLowerCase(), {
+      input: p.input,
+      output: p.output,
+      cacheRead: p.cacheRead ?? p.input,
+      cacheWrite: p.cacheWrite ?? p.input,
+    });
+  }
+  return { currency: config.currency ?? "USD", per: config.per ?? 1_000_000, models };
+}
+
+const baseName = (name) => name.slice(name.lastIndexOf("/") + 1);
+const DATE_SUFFIX = /-(?:\d{8}|\d{4}-\d{2}-\d{2})$/;
+
+/** Price entry for a model, or null when the table has none. */
+export function priceFor(prices, model, provider) {
+  if (!model) return null;
+  const name = model.toLowerCase();
+  for (const n of new Set([name, name.replace(DATE_SUFFIX, "")])) {
+    const candidates = n.includes("/") ? [n, baseName(n)] : provider ? [`${provider.toLowerCase()}/${n}`, n] : [n];
+    for (const c of candidates) if (prices.models.has(c)) return prices.models.get(c);
+    // No provider known: a key with that exact model name, if only one provider has it
+    if (!n.includes("/") && !provider) {
+      const keys = [...prices.models.keys()].filter((k) => baseName(k) === n);
+      if (keys.length === 1) return prices.models.get(keys[0]);
+    }
+  }
+  return null;
+}
+
+/** Cost of one message's token counts ({ input, output, cacheRead, cacheWrite }). */
+export function costOf(usage, price, per) {
+  let cost = 0;
+  for (const kind of TOKEN_KINDS) cost += ((usage[kind] ?? 0) * price[kind]) / per;
+  return cost;
+}
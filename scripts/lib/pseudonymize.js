@@ -0,0 +1,172 @@
+/**
+ * Stable pseudonyms for Discord users, for datasets shared outside the server.
+ * Each person gets an alias like "user-7f3a": an HMAC of their handle (or name)
+ * under a secret salt. userName/userHandle on events become the alias, and in
+ * event text every "@mention" of a known handle or name (any case) is replaced,
+ * as is a known display name written exactly as seen ("Alice"). Handles are only
+ * replaced after "@", and names that are common words ("max", "will") only
+ * there too, so ordinary words in messages are left alone.
+ *
+ * The salt and the alias → identity mapping are kept in a private local file
+ * (config/pseudonyms.local.json, override with PSEUDONYM_MAP=path; gitignored):
+ *
+ *   { "salt": "…", "users": { "user-7f3a": { "handles": ["alice42"], "names": ["alice"] } } }
+ *
+ * so aliases stay the same across runs and can be looked up again. A first run
+ * generates the salt (or takes PSEUDONYM_SALT, to get the same aliases on
+ * another machine).
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+
+const ALIAS_PREFIX = "user-";
+// Shorter names are aliased in userName/userHandle but not searched for in text
+const MIN_MENTION_LENGTH = 3;
+// Display names that are everyday words: only replaced as "@name"
+const COMMON_WORDS = new Set(
+  `able about above after again all also and any april are art august back bad bear best big bill bird black blue bob bold book boss bot
+  bright buck can cap case cash chance chip city clay cloud code cool crow dawn day dear dev did dot down dream duke each earl easy echo
+  eight end even ever fall far fast few fine fire first five fix for fox free frank friday from fun gale game get ghost giant glen go
+  gold good gray great green grey guy hack half happy has have hazel heart help her here hero high him his hope hot how hunter ice iris
+  ivy jack jade jay jewel joy june just keen kid kind king lake last late lead less let light like lily link long lord love lucky mark
+  mars may max more most much must new next nice nick night nine none noon not now nova off old one only open our out over page pat
+  peach pearl penny pepper pink play pro queen quick rain ray real red rich river robin rock rose ruby rust sage said same sand say
+  see set seven shadow she should shy six sky slim smith snow some sonny star steel still stone storm sugar summer sun sunny sure
+  swift tank ten that the their them then there these they thing this three tiger top true two unknown user very violet wade want
+  was way well were what when where which who why will win winter wolf wood work would yes you young your zero`.split(/\s+/)
+);
+// Event fields that never mention users
+const SKIP_FIELDS = new Set(["id", "time", "type", "botId", "sessionId", "runId", "toolCallId", "dedupeKey", "embedding"]);
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export function createPseudonymizer(mapPath, { salt: envSalt = process.env.PSEUDONYM_SALT } = {}) {
+  let map = { salt: null, users: {} };
+  if (fs.existsSync(mapPath)) {
+    try {
+      map = JSON.parse(fs.readFileSync(mapPath, "utf-8"));
+    } catch (err) {
+      throw new Error(`${mapPath}: ${err.message}`);
+    }
+    if (typeof map?.salt !== "string" || typeof map.users !== "object") throw new Error(`${mapPath}: expected { "salt": "…", "users": { … } }`);
+    if (envSalt && envSalt !== map.salt) throw new Error(`PSEUDONYM_SALT differs from the salt in ${mapPath}; aliases would change`);
+  }
+  map.salt ??= envSalt || crypto.randomBytes(16).toString("hex");
+
+  /** Lowercased name or handle → alias */
+  const byKey = new Map();
+  /** Display name as seen → alias, for bare mentions */
+  const byName = new Map();
+  for (const [alias, u] of Object.entries(map.users)) {
+    for (const k of [...(u.handles ?? []), ...(u.names ?? [])]) byKey.set(k.toLowerCase(), alias);
+    for (const n of u.names ?? []) byName.set(n, alias);
+  }
+  let mentionRe = null;
+  let nameRe = null;
+  let dirty = false;
+
+  function newAlias(key) {
+    const hex = crypto.createHmac("sha256", map.salt).update(key).digest("hex");
+    for (let len = 4; ; len += 2) {
+      const alias = ALIAS_PREFIX + hex.slice(0, len);
+      if (!map.users[alias]) return alias;
+    }
+  }
+
+  function remember(alias, field, value) {
+    const u = (map.users[alias] ??= { handles: [], names: [] });
+    if (!u[field].includes(value)) u[field].push(value);
+    byKey.set(value.toLowerCase(), alias);
+    if (field === "names") byName.set(value, alias);
+    mentionRe = null;
+    nameRe = null;
+    dirty = true;
+  }
+
+  /** Alternation of `keys`, longest first, as a whole word. */
+  const wordsPattern = (keys) => `(${keys.sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}_])`;
+
+  /** "@" + any known name or handle, case-insensitive. */
+  function mentions() {
+    if (mentionRe) return mentionRe;
+    const keys = [...byKey.keys()].filter((k) => k.length >= MIN_MENTION_LENGTH);
+    mentionRe = keys.length ? new RegExp(`(?<![\\p{L}\\p{N}_])@${wordsPattern(keys)}`, "giu") : null;
+    return mentionRe;
+  }
+
+  /** Known display names without "@": exact case, no common words. */
+  function bareNames() {
+    if (nameRe) return nameRe;
+    const keys = [...byName.keys()].filter((n) => n.length >= MIN_MENTION_LENGTH && !COMMON_WORDS.has(n.toLowerCase()));
+    nameRe = keys.length ? new RegExp(`(?<![\\p{L}\\p{N}_@])${wordsPattern(keys)}`, "gu") : null;
+    return nameRe;
+  }
+
+  const isAlias = (s) => s in map.users;
+
+  /** Alias for a user, registering them on first sight. Already-pseudonymized input passes through. */
+  function learn(name, handle) {
+    if (!name && !handle) return null;
+    const id = handle ?? name;
+    if (isAlias(id)) return id;
+    // The handle identifies a person; a display name shared by two people stays with the first
+    const alias = byKey.get(id.toLowerCase()) ?? newAlias(id.toLowerCase());
+    if (handle && !byKey.has(handle.toLowerCase())) remember(alias, "handles", handle);
+    if (name && !byKey.has(name.toLowerCase())) remember(alias, "names", name);
+    return alias;
+  }
+
+  function text(s) {
+    if (typeof s !== "string" || !s || !byKey.size) return s;
+    let out = s;
+    const at = mentions();
+    if (at) out = out.replace(at, (m, key) => "@" + byKey.get(key.toLowerCase()));
+    const bare = bareNames();
+    if (bare) out = out.replace(bare, (m, name) => byName.get(name));
+    return out;
+  }
+
+  function value(v) {
+    if (typeof v === "string") return text(v);
+    if (Array.isArray(v)) return v.map(value);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, value(x)]));
+    return v;
+  }
+
+  return {
+    learn,
+    text,
+
+    /** Learn the event's user (if any) without changing it. */
+    learnEvent(ev) {
+      if (ev.userName || ev.userHandle) learn(ev.userName, ev.userHandle);
+    },
+
+    /** Copy of `ev` with userName/userHandle replaced by the alias and mentions replaced in text. */
+    event(ev) {
+      const out = {};
+      for (const [k, v] of Object.entries(ev)) out[k] = SKIP_FIELDS.has(k) ? v : value(v);
+      if (ev.userName || ev.userHandle) {
+        out.userName = learn(ev.userName, ev.userHandle);
+        delete out.userHandle;
+      }
+      return out;
+    },
+
+    /** Changes with the salt and the matching rules (v2: exact-case names, "@" for handles), so stored output can be told apart. */
+    get hash() {
+      return crypto.createHash("sha1").update(`pseudonyms:v2:${map.salt}`).digest("hex");
+    },
+
+    get size() {
+      return Object.keys(map.users).length;
+    },
+
+    /** Write the mapping file if new users were seen. */
+    save() {
+      if (!dirty && fs.existsSync(mapPath)) return;
+      fs.writeFileSync(mapPath, JSON.stringify(map, null, 2) + "\n", { encoding: "utf-8", mode: 0o600 });
+      dirty = false;
+    },
+  };
+}
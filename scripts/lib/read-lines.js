@@ -0,0 +1,43 @@
+/**
+ * Read a text file line by line without loading it into memory.
+ * Splits on "\n" only (same as content.split("\n")) and reports byte offsets,
+ * so callers can resume from a known position later.
+ */
+import fs from "node:fs";
+
+const CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Yields { line, start, end, complete } for every line from byte `start` on.
+ * `end` is the byte offset just past the line's "\n"; `complete` is false for a
+ * trailing line that has no newline yet (e.g. a log still being written).
+ */
+export async function* readLines(filePath, { start = 0 } = {}) {
+  const stream = fs.createReadStream(filePath, { start, highWaterMark: CHUNK_SIZE });
+  let pending = [];
+  let pendingLen = 0;
+  let offset = start;
+  for await (const chunk of stream) {
+    let from = 0;
+    let nl;
+    while ((nl = chunk.indexOf(0x0a, from)) !== -1) {
+      const part = chunk.subarray(from, nl);
+      const buf = pendingLen ? Buffer.concat([...pending, part]) : part;
+      const lineStart = offset;
+      offset += buf.length + 1;
+      pending = [];
+      pendingLen = 0;
+      yield { line: buf.toString("utf-8"), start: lineStart, end: offset, complete: true };
+      from = nl + 1;
+    }
+    if (from < chunk.length) {
+      const rest = chunk.subarray(from);
+      pending.push(Buffer.from(rest));
+      pendingLen += rest.length;
+    }
+  }
+  if (pendingLen) {
+    const buf = Buffer.concat(pending);
+    yield { line: buf.toString("utf-8"), start: offset, end: offset + buf.length, complete: false };
+  }
+}
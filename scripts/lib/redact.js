@@ -0,0 +1,165 @@
+/**
+ * Secret and PII redaction, shared by the parser (events.json never holds the
+ * secrets), every script that sends log text to an LLM, and the standalone build.
+ *
+ * config/redaction.json (override with REDACTION=path):
+ *
+ *   { "builtins": ["github_token", "openai_key", "email", …],   // omit for all of BUILTIN_PATTERNS
+ *     "patterns": [{ "name": "internal_host", "regex": "\\b[\\w-]+\\.corp\\.example\\b", "flags": "i" }],
+ *     "replacement": "[REDACTED:{name}]" }
+ *
+ * Without the file all built-in patterns apply. Every match is replaced by
+ * `replacement` ({name} is the pattern name). The audit log
+ * (public/redaction-audit.jsonl) records which pattern matched how often in
+ * which event field, never the matched text.
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+
+export const BUILTIN_PATTERNS = {
+  github_token: /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g,
+  discord_token: /\b(?:[MN][A-Za-z\d]{23,}\.[\w-]{6}\.[\w-]{27,}|[\w-]{59,}\.[\w-]{6}\.[\w-]{27})\b/g,
+  anthropic_key: /\bsk-ant-[A-Za-z0-9_-]{20,}/g,
+  openrouter_key: /\bsk-or-(?:v1-)?[A-Za-z0-9]{32,}/g,
+  openai_key: /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}/g,
+  aws_access_key: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g,
+  google_api_key: /\bAIza[\w-]{35}\b/g,
+  slack_token: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+  bearer_token: /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/g,
+  private_key: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  // International (+…) numbers, or North American ones with separators; bare digit runs are IDs/timestamps
+  phone: /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){2,3}|\(\d{3}\)\s?\d{3}-\d{4}|\b\d{3}[.-]\d{3}[.-]\d{4})\b/g,
+};
+
+const DEFAULT_REPLACEMENT = "[REDACTED:{name}]";
+
+function compilePattern(p, i, configPath) {
+  const where = `${configPath} pattern ${i + 1}${p?.name ? ` (${p.name})` : ""}`;
+  if (!p?.name || typeof p.name !== "string") throw new Error(`${where}: missing "name"`);
+  if (typeof p.regex !== "string") throw new Error(`${where}: "regex" must be a string`);
+  try {
+    return { name: p.name, regex: new RegExp(p.regex, (p.flags ?? "").replace(/g/g, "") + "g") };
+  } catch (err) {
+    throw new Error(`${where}: ${err.message}`);
+  }
+}
+
+/**
+ * Load the redaction config. Returns { rules: [{ name, regex, replacement }], hash };
+ * `hash` changes whenever the config does, so the parser can re-redact old output.
+ */
+export function loadRedactionRules(configPath) {
+  const raw = fs.existsSync(configPath) ? fs.readFileSync(configPath, "utf-8") : null;
+  let config = {};
+  if (raw != null) {
+    try {
+      config = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`${configPath}: ${err.message}`);
+    }
+  }
+  const builtins = config.builtins ?? Object.keys(BUILTIN_PATTERNS);
+  if (!Array.isArray(builtins)) throw new Error(`${configPath}: "builtins" must be a list of pattern names`);
+  for (const name of builtins) {
+    if (!BUILTIN_PATTERNS[name]) throw new Error(`${configPath}: unknown builtin "${name}" (known: ${Object.keys(BUILTIN_PATTERNS).join(", ")})`);
+  }
+  if (config.patterns != null && !Array.isArray(config.patterns)) throw new Error(`${configPath}: "patterns" must be a list`);
+  const template = config.replacement ?? DEFAULT_REPLACEMENT;
+  const rules = [
+    ...builtins.map((name) => ({ name, regex: BUILTIN_PATTERNS[name] })),
+    ...(config.patterns ?? []).map((p, i) => compilePattern(p, i, configPath)),
+  ].map((r) => ({ ...r, replacement: template.replaceAll("{name}", r.name) }));
+  const hash = crypto.createHash("sha1").update(raw ?? "builtin").digest("hex");
+  return { rules, hash };
+}
+
+/** Apply every rule to `text`. `onHit(name, count)` is called for each rule that matched. */
+export function redactText(rules, text, onHit) {
+  if (typeof text !== "string" || !text) return text;
+  let out = text;
+  for (const r of rules) {
+    let n = 0;
+    out = out.replace(r.regex, () => {
+      n++;
+      return r.replacement;
+    });
+    if (n) onHit?.(r.name, n);
+  }
+  return out;
+}
+
+/**
+ * Redact every string in `value` (objects and arrays recursively).
+ * `onHit(name, count, field)` gets the dotted path of the string that matched.
+ */
+export function redactValue(rules, value, onHit, field = "") {
+  if (typeof value === "string") return redactText(rules, value, (name, n) => onHit?.(name, n, field));
+  if (Array.isArray(value)) return value.map((v, i) => redactValue(rules, v, onHit, field ? `${field}.${i}` : String(i)));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redactValue(rules, v, onHit, field ? `${field}.${k}` : k);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Collects audit entries for one run of `stage` ("parse", "summarize-mods", …) and
+ * writes them to the JSONL audit log on close(). Entries: { at, stage, rule, count,
+ * field, eventId?, file?, line? }. `replace` drops the stage's earlier entries
+ * first (a full re-parse re-redacts everything).
+ */
+export function createAuditLog(auditPath, stage) {
+  const at = new Date().toISOString();
+  const entries = new Map();
+  let total = 0;
+
+  return {
+    get total() {
+      return total;
+    },
+
+    /** Record `count` matches of `rule` at `where` ({ eventId?, file?, line? }) in `field`. */
+    record(rule, count, field, where = {}) {
+      total += count;
+      const key = `${where.eventId ?? ""}|${where.file ?? ""}|${where.line ?? ""}|${field}|${rule}`;
+      const e = entries.get(key);
+      if (e) e.count += count;
+      else entries.set(key, { at, stage, rule, count, field, ...where });
+    },
+
+    close({ replace = false } = {}) {
+      const lines = [...entries.values()].map((e) => JSON.stringify(e) + "\n");
+      if (replace && fs.existsSync(auditPath)) {
+        const kept = fs.readFileSync(auditPath, "utf-8").split("\n").filter((l) => {
+          if (!l.trim()) return false;
+          try {
+            return JSON.parse(l).stage !== stage;
+          } catch {
+            return false;
+          }
+        });
+        fs.writeFileSync(auditPath, kept.map((l) => l + "\n").join("") + lines.join(""), "utf-8");
+      } else if (lines.length) {
+        fs.appendFileSync(auditPath, lines.join(""), "utf-8");
+      }
+    },
+  };
+}
+
+/**
+ * Redactor for scripts that send event text to an LLM, auditing under `stage`.
+ * text(value, eventId, field) returns the redacted string; call close() when done.
+ */
+export function createRedactor(configPath, auditPath, stage) {
+  const { rules } = loadRedactionRules(configPath);
+  const audit = createAuditLog(auditPath, stage);
+  return {
+    rules,
+    audit,
+    text: (value, eventId, field = "message") =>
+      redactText(rules, value, (name, n) => audit.record(name, n, field, eventId ? { eventId } : {})),
+    close: () => audit.close(),
+  };
+}
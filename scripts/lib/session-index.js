@@ -0,0 +1,72 @@
+/**
+ * Per-session aggregates built from the time-sorted event stream, for
+ * public/sessions.json. Events without a sessionId are ignored; cron jobs use
+ * their jobId as sessionId and are marked kind "cron". Sessions are per bot, so
+ * two bots with the same session file name stay apart.
+ */
+
+const ROLE_BY_TYPE = { user_message: "user", assistant_message: "assistant" };
+
+export function createSessionIndex() {
+  const sessions = new Map();
+
+  return {
+    add(ev) {
+      if (!ev.sessionId) return;
+      const key = `${ev.botId ?? ""}|${ev.sessionId}`;
+      let s = sessions.get(key);
+      if (!s) {
+        s = {
+          sessionId: ev.sessionId,
+          ...(ev.botId && { botId: ev.botId }),
+          kind: "session",
+          start: ev.time,
+          end: ev.time,
+          events: 0,
+          messages: { user: 0, assistant: 0, toolResult: 0 },
+          toolCalls: 0,
+          tools: {},
+          mdFiles: {},
+          failures: 0,
+          users: new Map(),
+        };
+        sessions.set(key, s);
+      }
+      if (ev.time < s.start) s.start = ev.time;
+      if (ev.time > s.end) s.end = ev.time;
+      s.events++;
+      if (ev.subsystem === "cron") s.kind = "cron";
+
+      const role = ROLE_BY_TYPE[ev.type];
+      if (role) s.messages[role]++;
+      if ((ev.type === "success" || ev.type === "failure") && ev.subsystem === "session") s.messages.toolResult++;
+      if (ev.type === "failure" || (ev.type === "cron" && ev.category === "failure")) s.failures++;
+      if (ev.type === "tool_call") {
+        s.toolCalls++;
+        s.tools[ev.category] = (s.tools[ev.category] ?? 0) + 1;
+      }
+      if (ev.type === "md_write" && ev.category) s.mdFiles[ev.category] = (s.mdFiles[ev.category] ?? 0) + 1;
+      if (ev.type === "user_message" && ev.userName) {
+        const u = s.users.get(ev.userName) ?? { userName: ev.userName, messages: 0 };
+        if (ev.userHandle) u.userHandle = ev.userHandle;
+        u.messages++;
+        s.users.set(ev.userName, u);
+      }
+    },
+
+    get size() {
+      return sessions.size;
+    },
+
+    /** Sessions sorted by start time, with durationMs and users as an array. */
+    toJSON() {
+      return [...sessions.values()]
+        .sort((a, b) => a.start.localeCompare(b.start) || a.sessionId.localeCompare(b.sessionId) || (a.botId ?? "").localeCompare(b.botId ?? ""))
+        .map(({ users, ...s }) => ({
+          ...s,
+          durationMs: new Date(s.end).getTime() - new Date(s.start).getTime(),
+          users: [...users.values()].sort((a, b) => b.messages - a.messages),
+        }));
+    },
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Tool call ↔ result pairing and per-tool stats for scripts/pair-tool-calls.js.
+ * A call's result is the success/failure event with its toolCallId; calls without
+ * an ID take the next result of the same tool in the same session. Tool call IDs
+ * and session IDs are only unique within one bot, so keys include the botId.
+ */
+
+export const RESULT_PREVIEW_LEN = 200;
+
+/** The preview of a tool result text: its first RESULT_PREVIEW_LEN chars on one line. */
+export const resultPreview = (text) => text.slice(0, RESULT_PREVIEW_LEN).replace(/\n/g, " ").trim();
+
+export const isToolResult = (e) => (e.type === "success" || e.type === "failure") && e.subsystem === "session" && Boolean(e.category);
+
+const idKey = (e) => `${e.botId ?? ""}|${e.toolCallId}`;
+const fallbackKey = (e) => `${e.botId ?? ""}|${e.sessionId || ""}|${e.category}`;
+
+/**
+ * Feed every result to addResult() (time order), then each tool_call to pair()
+ * (time order), which returns a copy of the call with durationMs, outcome and
+ * resultPreview, or outcome "no_result".
+ */
+export function createToolPairer() {
+  const byId = new Map();
+  const queues = new Map();
+
+  return {
+    addResult(e) {
+      const result = {
+        t: new Date(e.time).getTime(),
+        outcome: e.type === "failure" ? "error" : "success",
+        // The parser stores a longer preview when the message was cut shorter
+        preview: e.resultPreview ?? resultPreview(e.message || ""),
+      };
+      if (e.toolCallId) byId.set(idKey(e), result);
+      else {
+        const key = fallbackKey(e);
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push(result);
+      }
+    },
+
+    pair(e) {
+      const t = new Date(e.time).getTime();
+      let result = e.toolCallId ? byId.get(idKey(e)) : undefined;
+      if (!result) {
+        const queue = queues.get(fallbackKey(e));
+        while (queue?.length && queue[0].t < t) queue.shift();
+        result = queue?.shift();
+      }
+      const { durationMs, outcome, resultPreview, ...rest } = e;
+      return result
+        ? { ...rest, durationMs: Math.max(0, result.t - t), outcome: result.outcome, resultPreview: result.preview }
+        : { ...rest, outcome: "no_result" };
+    },
+  };
+}
+
+/** Nearest-rank percentile of ascending `sorted`, or null when it is empty. */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const i = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[i];
+}
+
+/** Call count, errors and latency of paired calls; finish() gives the error rate over answered calls and p50/p95. */
+export function createToolStats() {
+  let calls = 0;
+  let errors = 0;
+  let noResult = 0;
+  const durations = [];
+
+  return {
+    add(call) {
+      calls++;
+      if (call.outcome === "error") errors++;
+      if (call.outcome === "no_result") noResult++;
+      if (call.durationMs != null) durations.push(call.durationMs);
+    },
+
+    finish() {
+      const sorted = durations.sort((a, b) => a - b);
+      const answered = calls - noResult;
+      return {
+        calls,
+        errors,
+        noResult,
+        errorRate: answered ? errors / answered : null,
+        p50Ms: percentile(sorted, 50),
+        p95Ms: percentile(sorted, 95),
+      };
+    },
+  };
+}
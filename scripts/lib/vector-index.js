@@ -0,0 +1,145 @@
+/**
+ * Approximate nearest-neighbour search over embeddings, for embed-api.js.
+ *
+ * IVF (inverted file) index: k-means splits the rows into about √n clusters.
+ * A query is compared with the cluster centroids, then the rows of the closest
+ * `nprobe` clusters are scored exactly (cosine). When fewer than k rows in
+ * those clusters pass the filter, more clusters are probed, up to all of them,
+ * so selective filters still fill k. Small stores are scanned in full.
+ *
+ * The same k-means clusters message embeddings into topics (discover-topics.js).
+ */
+
+const EXACT_BELOW = 5000;
+const MAX_LISTS = 256;
+const TRAIN_PER_LIST = 32;
+const KMEANS_ITERATIONS = 6;
+
+function normalize(v) {
+  let n = 0;
+  for (let i = 0; i < v.length; i++) n += v[i] * v[i];
+  n = Math.sqrt(n) || 1;
+  const out = new Float32Array(v.length);
+  for (let i = 0; i < v.length; i++) out[i] = v[i] / n;
+  return out;
+}
+
+function dot(matrix, row, dim, q) {
+  let s = 0;
+  const off = row * dim;
+  for (let i = 0; i < dim; i++) s += matrix[off + i] * q[i];
+  return s;
+}
+
+function nearest(centroids, nlist, dim, matrix, row) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c < nlist; c++) {
+    let s = 0;
+    const co = c * dim;
+    const ro = row * dim;
+    for (let i = 0; i < dim; i++) s += centroids[co + i] * matrix[ro + i];
+    if (s > bestScore) {
+      bestScore = s;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/** Deterministic shuffle (so the same store always builds the same index). */
+function sampleRows(n, count) {
+  const rows = Array.from({ length: n }, (_, i) => i);
+  let seed = 0x2545f491;
+  for (let i = 0; i < Math.min(count, n - 1); i++) {
+    seed = (seed * 1103515245 + 12345) >>> 0;
+    const j = i + (seed % (n - i));
+    [rows[i], rows[j]] = [rows[j], rows[i]];
+  }
+  return rows.slice(0, count);
+}
+
+/** Spherical k-means on a sample of rows; returns nlist unit-length centroids. */
+function trainCentroids(matrix, n, dim, nlist, sampleSize = nlist * TRAIN_PER_LIST, iterations = KMEANS_ITERATIONS) {
+  const sample = sampleRows(n, Math.min(n, sampleSize));
+  const centroids = new Float32Array(nlist * dim);
+  sample.slice(0, nlist).forEach((row, c) => centroids.set(matrix.subarray(row * dim, (row + 1) * dim), c * dim));
+  for (let it = 0; it < iterations; it++) {
+    const sums = new Float32Array(nlist * dim);
+    for (const row of sample) {
+      const c = nearest(centroids, nlist, dim, matrix, row);
+      for (let i = 0; i < dim; i++) sums[c * dim + i] += matrix[row * dim + i];
+    }
+    for (let c = 0; c < nlist; c++) {
+      const sum = sums.subarray(c * dim, (c + 1) * dim);
+      // An empty cluster keeps its old centroid
+      if (sum.some((v) => v !== 0)) centroids.set(normalize(sum), c * dim);
+    }
+  }
+  return centroids;
+}
+
+/**
+ * Cluster `vectors` (Float32Array rows, all `dim` long) into at most k groups by
+ * cosine similarity. Trains on up to `sampleSize` rows, then assigns every row.
+ * Returns { centroids, assign, score }: assign[i] is row i's cluster and score[i]
+ * its similarity to that cluster's centroid.
+ */
+export function clusterVectors(vectors, dim, k, { iterations = 20, sampleSize = 20000 } = {}) {
+  const n = vectors.length;
+  const matrix = new Float32Array(n * dim);
+  vectors.forEach((v, i) => matrix.set(normalize(v), i * dim));
+  k = Math.max(1, Math.min(k, n));
+  const centroids = trainCentroids(matrix, n, dim, k, Math.max(k, sampleSize), iterations);
+  const assign = new Int32Array(n);
+  const score = new Float32Array(n);
+  for (let row = 0; row < n; row++) {
+    const c = nearest(centroids, k, dim, matrix, row);
+    assign[row] = c;
+    score[row] = dot(matrix, row, dim, centroids.subarray(c * dim, (c + 1) * dim));
+  }
+  return { centroids, assign, score };
+}
+
+/**
+ * Build an index over `vectors` (a list of Float32Array rows, all `dim` long).
+ * search(query, { k, minScore, filter(row), nprobe }) returns [{ row, score }],
+ * best first.
+ */
+export function buildVectorIndex(vectors, dim) {
+  const n = vectors.length;
+  const matrix = new Float32Array(n * dim);
+  vectors.forEach((v, i) => matrix.set(normalize(v), i * dim));
+
+  const nlist = n < EXACT_BELOW ? 1 : Math.min(MAX_LISTS, Math.round(Math.sqrt(n)));
+  const centroids = nlist > 1 ? trainCentroids(matrix, n, dim, nlist) : new Float32Array(dim);
+  const lists = Array.from({ length: nlist }, () => []);
+  for (let row = 0; row < n; row++) lists[nlist > 1 ? nearest(centroids, nlist, dim, matrix, row) : 0].push(row);
+
+  return {
+    size: n,
+    dim,
+    lists: nlist,
+
+    search(query, { k = 50, minScore = -1, filter = null, nprobe = Math.max(1, Math.ceil(nlist / 10)) } = {}) {
+      const q = normalize(query);
+      const order = Array.from({ length: nlist }, (_, c) => c);
+      if (nlist > 1) {
+        const cs = order.map((c) => dot(centroids, c, dim, q));
+        order.sort((a, b) => cs[b] - cs[a]);
+      }
+      const hits = [];
+      let probed = 0;
+      while (probed < nlist && (probed < nprobe || hits.length < k)) {
+        for (const row of lists[order[probed]]) {
+          if (filter && !filter(row)) continue;
+          const score = dot(matrix, row, dim, q);
+          if (score >= minScore) hits.push({ row, score });
+        }
+        probed++;
+      }
+      hits.sort((a, b) => b.score - a.score);
+      return hits.slice(0, k);
+    },
+  };
+}
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Rebuild the version history of each workspace MD file by replaying its
+ * write/edit tool calls in time order.
+ * Outputs: public/md-history.json
+ * Run after parse: node scripts/md-history.js
+ *
+ * - write: the file content becomes the written content.
+ * - edit: oldText → newText applied to the current content (first occurrence,
+ *   or every occurrence with replace_all). An oldText that isn't in the current
+ *   content is flagged as a mismatch and the content is left unchanged.
+ * - A tool-result diff (details.diff) is only applied when its tool call isn't
+ *   in the logs; otherwise it's redundant with the call.
+ *
+ * Edits before the first write of a file have no known base content; they are
+ * recorded (status "unknown_base") but the content stays unknown until a write.
+ *
+ * Files are keyed by their normalized path, so two NOTES.md in different
+ * directories are separate histories. Events without a directory in their path
+ * (result diffs, bare names) go to the one path seen with that name, if there's
+ * only one. Versions point into a deduplicated content table by hash; an entry is
+ * the full text or a line patch on an earlier entry (see lib/md-history.js).
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { readEvents } from "./lib/event-store.js";
+import { createMdHistory } from "./lib/md-history.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, "..");
+const inputPath = path.join(projectRoot, "public", "events.json");
+const outputPath = path.join(projectRoot, "public", "md-history.json");
+
+async function main() {
+  if (!fs.existsSync(inputPath)) {
+    console.error("events.json not found. Run: npm run parse");
+    process.exit(1);
+  }
+
+  // Pass 1: which tool calls we have, so result diffs for them can be skipped, and
+  // the full paths seen for each file name
+  const history = createMdHistory();
+  for await (const e of readEvents(inputPath)) history.scan(e);
+
+  // Pass 2: replay in time order (events.json is sorted)
+  for await (const e of readEvents(inputPath)) history.apply(e);
+
+  const output = { generatedAt: new Date().toISOString(), ...history.result() };
+  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2), "utf-8");
+
+  for (const [name, { versions, flagged }] of Object.entries(output.files)) {
+    const counts = {};
+    for (const v of versions) counts[v.status] = (counts[v.status] ?? 0) + 1;
+    console.log(`${name}: ${versions.length} version(s)${flagged ? ` — ${JSON.stringify(counts)}` : ""}`);
+  }
+  console.log(`Output: ${outputPath}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
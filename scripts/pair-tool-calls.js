@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Join every tool_call event to its tool result (the success/failure event with
+ * the same toolCallId) and add to the call:
+ *   durationMs    result time − call time
+ *   outcome       "success" | "error" | "no_result"
+ *   resultPreview first 200 chars of the result (of its full text: the parser
+ *                 keeps a longer preview when it cuts the message)
+ * Calls without an ID fall back to the next result of the same tool in the same
+ * session (see lib/tool-calls.js). Also writes per-tool call counts, error rates
+ * and p50/p95 latency, overall and per time bucket.
+ * Outputs: public/events.json (updated in place), public/tool-stats.json
+ * Run after parse: node scripts/pair-tool-calls.js
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createEventsWriter, readEvents } from "./lib/event-store.js";
+import { createToolPairer, createToolStats, isToolResult } from "./lib/tool-calls.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, "..");
+const eventsPath = path.join(projectRoot, "public", "events.json");
+const statsPath = path.join(projectRoot, "public", "tool-stats.json");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+async function main() {
+  if (!fs.existsSync(eventsPath)) {
+    console.error("events.json not found. Run: npm run parse");
+    process.exit(1);
+  }
+
+  // Pass 1: results by toolCallId, plus per session+tool queues for calls without an ID
+  const pairer = createToolPairer();
+  let firstTime = null;
+  let lastTime = null;
+  for await (const e of readEvents(eventsPath)) {
+    firstTime ??= e.time;
+    lastTime = e.time;
+    if (isToolResult(e)) pairer.addResult(e);
+  }
+
+  const span = firstTime ? new Date(lastTime).getTime() - new Date(firstTime).getTime() : 0;
+  const bucket = span <= 3 * DAY_MS ? "hour" : "day";
+  const bucketMs = bucket === "hour" ? HOUR_MS : DAY_MS;
+
+  // Pass 2: annotate calls and stream everything back out
+  const meta = {};
+  const writer = createEventsWriter(eventsPath);
+  const perTool = new Map();
+  const perBucket = new Map();
+  let paired = 0;
+  let unpaired = 0;
+  try {
+    for await (const e of readEvents(eventsPath, meta)) {
+      if (e.type !== "tool_call") {
+        writer.write(e);
+        continue;
+      }
+      const call = pairer.pair(e);
+      if (call.outcome !== "no_result") paired++;
+      else unpaired++;
+      writer.write(call);
+
+      if (!perTool.has(e.category)) perTool.set(e.category, createToolStats());
+      perTool.get(e.category).add(call);
+      const t = new Date(e.time).getTime();
+      const start = new Date(Math.floor(t / bucketMs) * bucketMs).toISOString();
+      const key = `${start}|${e.category}`;
+      if (!perBucket.has(key)) perBucket.set(key, { start, tool: e.category, stats: createToolStats() });
+      perBucket.get(key).stats.add(call);
+    }
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
+  writer.close(meta);
+
+  const tools = Object.fromEntries(
+    [...perTool.entries()].map(([tool, s]) => [tool, s.finish()]).sort((a, b) => b[1].calls - a[1].calls)
+  );
+  const series = [...perBucket.values()]
+    .sort((a, b) => a.start.localeCompare(b.start) || a.tool.localeCompare(b.tool))
+    .map(({ start, tool, stats }) => ({ start, tool, ...stats.finish() }));
+  fs.writeFileSync(statsPath, JSON.stringify({ generatedAt: new Date().toISOString(), bucket, tools, series }, null, 2), "utf-8");
+
+  console.log(`Paired ${paired} tool call(s) with results, ${unpaired} without a result`);
+  for (const [tool, s] of Object.entries(tools).slice(0, 10)) {
+    console.log(`  ${tool}: ${s.calls} calls, ${s.errorRate == null ? "–" : (s.errorRate * 100).toFixed(1) + "%"} errors, p50 ${s.p50Ms ?? "–"} ms, p95 ${s.p95Ms ?? "–"} ms`);
+  }
+  console.log(`Output: ${eventsPath}, ${statsPath}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -1,18 +1,76 @@
 #!/usr/bin/env node
 /**
  * Parse openclaw logs and extract events for visualization.
- * Outputs: public/events.json
+ * Outputs: public/events.json, public/sessions.json (per-session index)
  * Run: node scripts/parse-logs.js
+ *
+ * Streams: logs are read line by line, events are sorted with an external merge
+ * (sorted runs spilled to a temp dir) and events.json is written incrementally,
+ * so memory stays bounded regardless of log volume.
+ *
+ * Incremental: public/events.manifest.json records how far each file was parsed.
+ * The next run parses only appended bytes and new files and merges them into the
+ * existing events.json. A truncated or rotated file triggers a full re-parse, as
+ * do --full and any change to the rules file, the redaction config, pseudonymization
+ * or the log sources.
+ *
+ * Multi-bot: logs/bots/<botId>/ or config/sources.json (override with SOURCES=path)
+ * name several log sources; every event carries its `botId`. See lib/log-sources.js.
+ *
+ * Redaction: secrets and PII matching config/redaction.json (override with
+ * REDACTION=path) are replaced in every event before it is stored; what was
+ * redacted where goes to public/redaction-audit.jsonl. See lib/redact.js.
+ *
+ * --pseudonymize (or PSEUDONYMIZE=1): Discord users become stable aliases ("user-7f3a")
+ * in event fields and message text; the private mapping is config/pseudonyms.local.json
+ * (PSEUDONYM_MAP=path). See lib/pseudonymize.js.
+ *
+ * Diagnostics: every consumed line is counted as parsed, skipped or unknown (by
+ * reason, with samples) in public/parse-diagnostics.json; see lib/parse-diagnostics.js.
+ *
+ * Integration events (email_sent, moltbook_post, …) come from declarative rules in
+ * config/event-rules.json (override with EVENT_RULES=path); see lib/event-rules.js.
+ *
+ * --watch: after parsing, keep tailing logs/ (and OPENCLAW_LOG_DIR) and append
+ * newly extracted events to public/events-live.jsonl, which embed-api.js streams
+ * to the dashboard. events.json is left alone; the next parse picks the lines up.
  */
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { readLines } from "./lib/read-lines.js";
+import { createEventSpool, createEventsWriter, dedupeSorted, mergeSorted, readEvents, timeKey } from "./lib/event-store.js";
+import { loadEventRules, matchRules } from "./lib/event-rules.js";
+import { loadAnnotators } from "./lib/annotators.js";
+import { createSessionIndex } from "./lib/session-index.js";
+import { DEFAULT_BOT, hashSources, resolveSources, sourceRel } from "./lib/log-sources.js";
+import { createAuditLog, loadRedactionRules, redactText, redactValue } from "./lib/redact.js";
+import { createPseudonymizer } from "./lib/pseudonymize.js";
+import { createDiagnostics, diagnosticsReport, loadDiagnostics, mergeDiagnostics } from "./lib/parse-diagnostics.js";
+import { checkpointFile, compareToCheckpoint, loadManifest, saveManifest } from "./lib/parse-manifest.js";
+import { resultPreview } from "./lib/tool-calls.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "..");
 const logsDir = path.join(projectRoot, "logs");
 const publicDir = path.join(projectRoot, "public");
 const outputPath = path.join(publicDir, "events.json");
+const manifestPath = path.join(publicDir, "events.manifest.json");
+const sessionsPath = path.join(publicDir, "sessions.json");
+const diagnosticsPath = path.join(publicDir, "parse-diagnostics.json");
+const auditPath = path.join(publicDir, "redaction-audit.jsonl");
+const dedupeSecretPath = path.join(projectRoot, "config", "dedupe-secret.local.json");
+const pseudonymMapPath = process.env.PSEUDONYM_MAP ? path.resolve(process.env.PSEUDONYM_MAP) : path.join(projectRoot, "config", "pseudonyms.local.json");
+const redactionPath = process.env.REDACTION ? path.resolve(process.env.REDACTION) : path.join(projectRoot, "config", "redaction.json");
+const annotatorsPath = process.env.ANNOTATORS ? path.resolve(process.env.ANNOTATORS) : path.join(projectRoot, "config", "annotators.json");
+const rulesPath = process.env.EVENT_RULES ? path.resolve(process.env.EVENT_RULES) : path.join(projectRoot, "config", "event-rules.json");
+const livePath = path.join(publicDir, "events-live.jsonl");
+const sourcesPath = process.env.SOURCES ? path.resolve(process.env.SOURCES) : path.join(projectRoot, "config", "sources.json");
+const FULL = process.argv.includes("--full");
+const WATCH = process.argv.includes("--watch");
+const PSEUDONYMIZE = process.argv.includes("--pseudonymize") || process.env.PSEUDONYMIZE === "1" || process.env.PSEUDONYMIZE === "true";
+const WATCH_INTERVAL_MS = parseInt(process.env.WATCH_INTERVAL_MS || "1000", 10) || 1000;
 
 // Workspace MD files we care about
 const MD_FILES = [
@@ -26,8 +84,18 @@ const MD_FILES = [
   "BOOTSTRAP.md",
 ];
 
-function getLogFiles() {
-  if (!fs.existsSync(logsDir)) return [];
+// Session record types that carry nothing to visualize (model switches, compaction markers, …)
+const IGNORED_TYPES = new Set(["custom", "custom_message", "model_change", "thinking_level_change", "compaction", "branch_summary", "label"]);
+const SESSION_ROLES = new Set(["user", "assistant", "toolResult"]);
+
+// Structural fields that never carry log text, so redaction leaves them alone
+const UNREDACTED_FIELDS = new Set(["id", "time", "type", "category", "level", "subsystem", "botId", "sessionId", "runId", "runSessionId", "toolCallId", "model", "provider", "op", "bytes", "usage"]);
+
+const skipped = (reason) => ({ kind: "skipped", reason });
+const unknown = (reason) => ({ kind: "unknown", reason });
+
+function getLogFiles(root = logsDir) {
+  if (!fs.existsSync(root)) return [];
   const files = [];
   function walk(dir) {
     const entries = fs.readdirSync(dir, { withFileTypes: true });
@@ -37,10 +105,24 @@ function getLogFiles() {
       else if (e.isFile() && (e.name.endsWith(".log") || e.name.endsWith(".jsonl"))) files.push(full);
     }
   }
-  walk(logsDir);
+  walk(root);
   return files.sort();
 }
 
+/**
+ * Log files of every source as [{ file, rel, botId }]. A file under several roots
+ * (logs/ and logs/bots/alpha/) belongs to the most specific one.
+ */
+function getSourceFiles(sources) {
+  const owner = new Map();
+  for (const src of [...sources].sort((a, b) => b.root.length - a.root.length)) {
+    for (const file of getLogFiles(src.root)) if (!owner.has(file)) owner.set(file, src);
+  }
+  return [...owner.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([file, src]) => ({ file, rel: sourceRel(src, file, logsDir), botId: src.botId }));
+}
+
 function parseJsonLine(line) {
   try {
     return JSON.parse(line.trim());
@@ -194,17 +276,83 @@ function buildAssistantMessageText(content) {
   return text ? (text + (thinking ? " " + thinking : "")) : thinking;
 }
 
-const events = [];
+/**
+ * Token counts from an assistant message's `usage`: OpenClaw's input/output/cacheRead/cacheWrite,
+ * or the Anthropic/OpenAI field names. Returns null when there are no counts.
+ */
+function extractUsage(usage) {
+  if (!usage || typeof usage !== "object") return null;
+  const num = (...vals) => {
+    const v = vals.find((x) => typeof x === "number" && Number.isFinite(x));
+    return v ?? 0;
+  };
+  const counts = {
+    input: num(usage.input, usage.input_tokens, usage.prompt_tokens),
+    output: num(usage.output, usage.output_tokens, usage.completion_tokens),
+    cacheRead: num(usage.cacheRead, usage.cache_read_input_tokens),
+    cacheWrite: num(usage.cacheWrite, usage.cache_creation_input_tokens),
+  };
+  return Object.values(counts).some(Boolean) ? counts : null;
+}
+
+/** Receives extracted events: the merge-sort spool in main(), a live batch in --watch. */
+let sink = null;
 const mdWriteCounts = Object.fromEntries(MD_FILES.map((f) => [f, 0]));
 const mdWriteBytes = Object.fromEntries(MD_FILES.map((f) => [f, 0]));
+/** Compiled config/event-rules.json; loaded in main(). */
+let eventRules = null;
+/** Changes when the bot → directory mapping does; events then need re-tagging. */
+let sourcesHash = null;
+
+/** Where the events currently being extracted come from: file, line, content block. */
+let source = null;
+/** Compiled config/redaction.json; loaded in main(). */
+let redaction = null;
+/** HMAC key for the dedupe keys of redacted events; loaded in main(). */
+let dedupeSecret = null;
+/** Discord user aliases with --pseudonymize, else null; created in main(). */
+let pseudonyms = null;
+/** Redaction audit for this run; not kept in --watch (the next parse audits those lines). */
+let audit = null;
+/** Per-line parse accounting (lib/parse-diagnostics.js); not kept in --watch. */
+let diagnostics = null;
+
+/**
+ * Stable event ID: hash of log file (relative to logs/), line number, content block
+ * index (for per-block events like tool calls) and event type. Re-parsing the same
+ * logs always yields the same IDs, and appending logs never shifts existing ones.
+ */
+function eventId(type) {
+  const base = `${source.file}:${source.line}:${source.block ?? "-"}:${type}`;
+  const n = source.seen.get(base) ?? 0;
+  source.seen.set(base, n + 1);
+  const key = n ? `${base}#${n}` : base;
+  return crypto.createHash("sha1").update(key).digest("hex").slice(0, 16);
+}
 
 function addEvent(ev) {
-  events.push(ev);
+  const id = eventId(ev.type);
+  const where = { eventId: id, file: source.file, line: source.line + 1 };
+  const message = ev.message;
+  for (const [k, v] of Object.entries(ev)) {
+    if (!UNREDACTED_FIELDS.has(k)) ev[k] = redactValue(redaction.rules, v, (rule, n, field) => audit?.record(rule, n, field, where), k);
+  }
+  // Dedupe on what was logged, not the redacted text, so events that only differ in a secret aren't merged.
+  // The key is stored with the event, so incremental merges compare it too; keyed, so it can't be used to guess the secret.
+  const dedupeKey = ev.message !== message ? `hmac:${crypto.createHmac("sha256", dedupeSecret).update(String(message)).digest("hex").slice(0, 32)}` : undefined;
+  // Users are only learned here; aliases are applied when writing, once every name in the run is known
+  pseudonyms?.learnEvent(ev);
+  sink.add({ id, ...ev, botId: source.botId, ...(dedupeKey && { dedupeKey }) });
+  source.events++;
 }
 
+/**
+ * Extract events from one session or cron record. Returns why the record may have
+ * yielded nothing ({ kind, reason }); only used for diagnostics when it did.
+ */
 function processJsonlEvent(obj, sessionId, isCron) {
   const ts = getTimestamp(obj);
-  if (!ts) return;
+  if (!ts) return skipped("no_timestamp");
   const tsDate = new Date(ts);
 
   if (isCron) {
@@ -218,15 +366,11 @@ function processJsonlEvent(obj, sessionId, isCron) {
       subsystem: "cron",
       runId: obj.jobId,
       sessionId: obj.jobId,
+      // The session the run executed in, so its token usage can be charged to the job
+      ...(obj.sessionId && { runSessionId: obj.sessionId }),
     });
-    const ml = msg.toLowerCase();
-    if (ml.includes("email") && (ml.includes("sent") || ml.includes("responded") || ml.includes("reply")) && !ml.includes("0 responded")) {
-      addEvent({ time: tsDate.toISOString(), type: "email_sent", category: "email", message: summarizePrompt(msg), level: "info", subsystem: "cron", runId: obj.jobId, sessionId: obj.jobId });
-    }
-    if (ml.includes("moltbook") && (ml.includes("post") || ml.includes("browse"))) {
-      if (ml.includes("posted") || ml.includes("created") || ml.includes("new post")) {
-        addEvent({ time: tsDate.toISOString(), type: "moltbook_post", category: "post", message: summarizePrompt(msg), level: "info", subsystem: "cron", runId: obj.jobId, sessionId: obj.jobId });
-      }
+    for (const rule of matchRules(eventRules.rules, "cron", { text: msg })) {
+      addEvent({ time: tsDate.toISOString(), type: rule.type, category: rule.category, message: summarizePrompt(msg), level: "info", subsystem: "cron", runId: obj.jobId, sessionId: obj.jobId });
     }
     const mdFile = extractMdFile(msg);
     if (mdFile) {
@@ -250,7 +394,7 @@ function processJsonlEvent(obj, sessionId, isCron) {
 
   // Session event
   const msg = obj.message;
-  if (!msg) return;
+  if (!msg) return obj.type === "session" ? skipped("session_header") : skipped("no_message");
 
   const content = msg.content || [];
   const fullText = content
@@ -259,7 +403,8 @@ function processJsonlEvent(obj, sessionId, isCron) {
     .join(" ");
 
   // Tool call (from content)
-  for (const c of content) {
+  for (const [block, c] of content.entries()) {
+    source.block = block;
     if (c && c.type === "toolCall" && c.name) {
       addEvent({
         time: tsDate.toISOString(),
@@ -270,6 +415,7 @@ function processJsonlEvent(obj, sessionId, isCron) {
         subsystem: "session",
         runId: obj.id,
         sessionId,
+        ...(c.id && { toolCallId: c.id }),
       });
       const argsStr = JSON.stringify(c.arguments || {});
       const toolName = (c.name || "").replace(/^functions\./, "");
@@ -290,27 +436,24 @@ function processJsonlEvent(obj, sessionId, isCron) {
             runId: obj.id,
             sessionId,
             ...(bytes != null && { bytes }),
+            // For md-history.js: write → message is the file content, edit → the arguments JSON
+            op: toolName,
+            ...(path && { path }),
+            ...(c.id && { toolCallId: c.id }),
           });
         }
       }
-      if (c.name === "send_email" || c.name === "sessions_send") {
-        addEvent({ time: tsDate.toISOString(), type: "email_sent", category: "email", message: summarizePrompt(argsStr), level: "info", subsystem: "session", runId: obj.id, sessionId });
-      }
-      if (c.name === "exec" && (argsStr.includes("moltbook") || argsStr.includes("moltbook.com"))) {
-        if (/moltbook\.sh\s+create|moltbook\.sh\s+post|api\/posts.*POST|POST.*moltbook\.com\/api\/posts/i.test(argsStr)) {
-          addEvent({ time: tsDate.toISOString(), type: "moltbook_post", category: "post", message: summarizePrompt(argsStr), level: "info", subsystem: "session", runId: obj.id, sessionId });
-        }
-        if (/moltbook\.sh\s+reply|api\/posts\/[^/]+\/comments|reply.*POST/i.test(argsStr)) {
-          addEvent({ time: tsDate.toISOString(), type: "moltbook_comment", category: "comment", message: summarizePrompt(argsStr), level: "info", subsystem: "session", runId: obj.id, sessionId });
-        }
+      for (const rule of matchRules(eventRules.rules, "toolCall", { tool: c.name, text: argsStr })) {
+        addEvent({ time: tsDate.toISOString(), type: rule.type, category: rule.category, message: summarizePrompt(argsStr), level: "info", subsystem: "session", runId: obj.id, sessionId });
       }
     }
   }
+  source.block = null;
 
   // User message (for semantic search) — skip Discord bot messages
   if (msg.role === "user" && fullText.trim()) {
     const parsed = parseDiscordUserMessage(fullText);
-    if (parsed.isBot) return; // Skip messages from other Discord bots
+    if (parsed.isBot) return skipped("bot_message"); // Skip messages from other Discord bots
     const cleanText = parsed.message;
     const displayMsg = cleanText.length > 1500 ? cleanText.slice(0, 1500) + "…" : cleanText;
     addEvent({
@@ -331,6 +474,7 @@ function processJsonlEvent(obj, sessionId, isCron) {
 
   // Assistant message (for semantic search)
   if (msg.role === "assistant" && fullText.trim()) {
+    const usage = extractUsage(msg.usage);
     const cleanText = buildAssistantMessageText(content);
     const displayMsg = cleanText.length > 1500 ? cleanText.slice(0, 1500) + "…" : cleanText;
     addEvent({
@@ -344,6 +488,9 @@ function processJsonlEvent(obj, sessionId, isCron) {
       sessionId,
       role: "assistant",
       embeddingText: cleanText.length > 512 ? cleanText.slice(0, 512) : cleanText,
+      ...(msg.model && { model: msg.model }),
+      ...(msg.provider && { provider: msg.provider }),
+      ...(usage && { usage }),
     });
   }
 
@@ -351,15 +498,21 @@ function processJsonlEvent(obj, sessionId, isCron) {
   if (msg.role === "toolResult" && msg.toolName) {
     const resultText = (msg.content || []).map((x) => x?.text || "").join(" ");
     const isError = resultText.includes("error") || resultText.includes("Error") || msg.isError;
+    const text = resultText || JSON.stringify(msg.details || {});
+    const message = summarizePrompt(text);
+    // pair-tool-calls previews more of the result than the message keeps
+    const preview = resultPreview(text);
     addEvent({
       time: tsDate.toISOString(),
       type: isError ? "failure" : "success",
       category: msg.toolName,
-      message: summarizePrompt(resultText || JSON.stringify(msg.details || {})),
+      message,
+      ...(preview !== message && { resultPreview: preview }),
       level: isError ? "error" : "info",
       subsystem: "session",
       runId: obj.id,
       sessionId,
+      ...(msg.toolCallId && { toolCallId: msg.toolCallId }),
     });
     const toolName = (msg.toolName || "").replace(/^functions\./, "");
     if ((toolName === "write" || toolName === "edit") && /successfully\s+(wrote|replaced|updated)/i.test(resultText)) {
@@ -383,233 +536,493 @@ function processJsonlEvent(obj, sessionId, isCron) {
             runId: obj.id,
             sessionId,
             ...(bytes != null && { bytes }),
+            op: "diff",
+            ...(msg.toolCallId && { toolCallId: msg.toolCallId }),
           });
         }
       }
     }
-    const rt = resultText.toLowerCase();
-    const doneMatch = resultText.match(/Done:\s*(\d+)\s+unread,\s*(\d+)\s+responded/i);
-    if ((msg.toolName === "process" || msg.toolName === "exec") && rt.includes("email") && (
-      /sent\s+email|reply\s+sent|email\s+sent|responded\s+to/i.test(rt) ||
-      (doneMatch && parseInt(doneMatch[2], 10) > 0)
-    )) {
-      addEvent({ time: tsDate.toISOString(), type: "email_sent", category: "email", message: summarizePrompt(resultText), level: "info", subsystem: "session", runId: obj.id, sessionId });
-    }
-    if ((msg.toolName === "process" || msg.toolName === "exec") && (rt.includes("moltbook") || rt.includes("moltbook.com")) && (/"success"\s*:\s*true|post\s+created|created\s+post/i.test(rt))) {
-      addEvent({ time: tsDate.toISOString(), type: "moltbook_post", category: "post", message: summarizePrompt(resultText), level: "info", subsystem: "session", runId: obj.id, sessionId });
-    }
-    if ((msg.toolName === "process" || msg.toolName === "exec") && (rt.includes("moltbook") || rt.includes("moltbook.com")) && (/"success"\s*:\s*true|reply\s+posted|comment\s+posted|posted\s+reply/i.test(rt))) {
-      addEvent({ time: tsDate.toISOString(), type: "moltbook_comment", category: "comment", message: summarizePrompt(resultText), level: "info", subsystem: "session", runId: obj.id, sessionId });
+    // Rule-defined events (email_sent, moltbook_post, … — see config/event-rules.json)
+    for (const rule of matchRules(eventRules.rules, "toolResult", { tool: msg.toolName, text: resultText })) {
+      addEvent({ time: tsDate.toISOString(), type: rule.type, category: rule.category, message: summarizePrompt(resultText), level: "info", subsystem: "session", runId: obj.id, sessionId });
     }
   }
 
   // md_write now only from write/edit tool calls and results (not from assistant text mentions — that included reads)
+
+  if (!msg.role) return unknown("no_role");
+  if (!SESSION_ROLES.has(msg.role)) return unknown(`role:${msg.role}`);
+  if (msg.role === "toolResult" && !msg.toolName) return unknown("tool_result_without_tool_name");
+  return skipped("empty_content");
 }
 
-function processLogFile(filePath) {
-  const content = fs.readFileSync(filePath, "utf-8");
-  const lines = content.split("\n").filter(Boolean);
+/**
+ * Parse one log file from `from.offset` on. Returns the new checkpoint position:
+ * the byte offset after the last consumed line and the number of newlines before it.
+ * A trailing line without newline is only consumed if it already parses as JSON.
+ * Event IDs use `rel` (see lib/log-sources.js); a file tailed in OPENCLAW_LOG_DIR
+ * uses its path relative to that directory, so it gets the same IDs once
+ * copy-logs.js has moved it into logs/.
+ */
+async function processLogFile(filePath, from = { offset: 0, lines: 0 }, { rel, botId = DEFAULT_BOT }) {
   const isCron = filePath.includes("cron_snap");
   const sessionId = path.basename(filePath, path.extname(filePath));
+  const pos = { offset: from.offset, lines: from.lines };
 
-  for (const line of lines) {
+  for await (const { line, end, complete } of readLines(filePath, { start: from.offset })) {
+    source = { file: rel, botId, line: pos.lines, block: null, seen: new Map(), events: 0 };
     const obj = parseJsonLine(line);
-    if (!obj) continue;
+    if (complete || obj) pos.offset = end;
+    if (complete) pos.lines++;
+    if (!complete && !obj) continue;
+    const outcome = extractLine(obj, line, isCron, sessionId);
+    diagnostics?.line(rel, botId, source.events ? "parsed" : outcome, source.line + 1, line);
+  }
+  return pos;
+}
 
-    // Handle session/cron jsonl format
-    if (obj.type === "message" || obj.type === "session" || (isCron && (obj.ts || obj.runAtMs))) {
-      processJsonlEvent(obj, sessionId, isCron);
-      continue;
-    }
+/** Extract the events of one log line. Returns why it may have yielded nothing (see processJsonlEvent). */
+function extractLine(obj, line, isCron, sessionId) {
+  if (!obj) return line.trim() ? unknown("invalid_json") : skipped("blank_line");
 
-    const ts = getTimestamp(obj);
-    const msg = getMessage(obj);
-    const level = getLevel(obj);
-    const subsystem = getSubsystem(obj);
+  // Handle session/cron jsonl format
+  if (obj.type === "message" || obj.type === "session" || (isCron && (obj.ts || obj.runAtMs))) {
+    return processJsonlEvent(obj, sessionId, isCron);
+  }
 
-    if (!ts || !msg) continue;
+  const ts = getTimestamp(obj);
+  const msg = getMessage(obj);
+  const level = getLevel(obj);
+  const subsystem = getSubsystem(obj);
 
-    const tsDate = new Date(ts);
+  // Session records of other types fall through to here; they never match the plain-log patterns
+  const typeOutcome = typeof obj.type === "string" ? (IGNORED_TYPES.has(obj.type) ? skipped : unknown)(`type:${obj.type}`) : null;
+  if (!ts) return typeOutcome ?? skipped("no_timestamp");
+  if (!msg) return typeOutcome ?? skipped("no_message");
 
-    // MD file write / update (plain logs: only if message indicates write, not read)
-    const ml = msg.toLowerCase();
-    const isWrite = /\b(wrote|written|updated|edited|replaced)\b/i.test(ml) || extractBytes(msg) != null;
-    const mdFile = extractMdFile(msg);
-    if (mdFile && isWrite) {
-      mdWriteCounts[mdFile] = (mdWriteCounts[mdFile] ?? 0) + 1;
-      const bytes = extractBytes(msg);
-      if (bytes) mdWriteBytes[mdFile] = (mdWriteBytes[mdFile] ?? 0) + bytes;
-      addEvent({
-        time: tsDate.toISOString(),
-        type: "md_write",
-        category: mdFile,
-        message: fullContentForMdWrite(msg),
-        level,
-        subsystem,
-        runId: extractRunId(msg),
-        sessionId: extractSessionId(msg),
-        ...(bytes != null && { bytes }),
-      });
-    }
+  const tsDate = new Date(ts);
 
-    // Tool call
-    const tool = extractToolName(msg);
-    if (tool && (msg.includes("tool start") || msg.includes("run tool") || msg.includes("tool_call"))) {
-      addEvent({
-        time: tsDate.toISOString(),
-        type: "tool_call",
-        category: tool,
-        message: summarizePrompt(msg),
-        level,
-        subsystem,
-        runId: extractRunId(msg),
-        sessionId: extractSessionId(msg),
-      });
-    }
+  // MD file write / update (plain logs: only if message indicates write, not read)
+  const ml = msg.toLowerCase();
+  const isWrite = /\b(wrote|written|updated|edited|replaced)\b/i.test(ml) || extractBytes(msg) != null;
+  const mdFile = extractMdFile(msg);
+  if (mdFile && isWrite) {
+    mdWriteCounts[mdFile] = (mdWriteCounts[mdFile] ?? 0) + 1;
+    const bytes = extractBytes(msg);
+    if (bytes) mdWriteBytes[mdFile] = (mdWriteBytes[mdFile] ?? 0) + bytes;
+    addEvent({
+      time: tsDate.toISOString(),
+      type: "md_write",
+      category: mdFile,
+      message: fullContentForMdWrite(msg),
+      level,
+      subsystem,
+      runId: extractRunId(msg),
+      sessionId: extractSessionId(msg),
+      ...(bytes != null && { bytes }),
+    });
+  }
 
-    // Run lifecycle
-    if (msg.includes("run agent start") || msg.includes("run agent end")) {
-      addEvent({
-        time: tsDate.toISOString(),
-        type: "run_lifecycle",
-        category: msg.includes("start") ? "start" : "end",
-        message: summarizePrompt(msg),
-        level,
-        subsystem,
-        runId: extractRunId(msg),
-        sessionId: extractSessionId(msg),
-      });
-    }
+  // Tool call
+  const tool = extractToolName(msg);
+  if (tool && (msg.includes("tool start") || msg.includes("run tool") || msg.includes("tool_call"))) {
+    addEvent({
+      time: tsDate.toISOString(),
+      type: "tool_call",
+      category: tool,
+      message: summarizePrompt(msg),
+      level,
+      subsystem,
+      runId: extractRunId(msg),
+      sessionId: extractSessionId(msg),
+    });
+  }
 
-    // Heartbeat
-    if (msg.toLowerCase().includes("heartbeat") && !msg.includes("HEARTBEAT.md")) {
-      addEvent({
-        time: tsDate.toISOString(),
-        type: "heartbeat",
-        category: "heartbeat",
-        message: summarizePrompt(msg),
-        level,
-        subsystem,
-        runId: extractRunId(msg),
-        sessionId: extractSessionId(msg),
-      });
-    }
+  // Run lifecycle
+  if (msg.includes("run agent start") || msg.includes("run agent end")) {
+    addEvent({
+      time: tsDate.toISOString(),
+      type: "run_lifecycle",
+      category: msg.includes("start") ? "start" : "end",
+      message: summarizePrompt(msg),
+      level,
+      subsystem,
+      runId: extractRunId(msg),
+      sessionId: extractSessionId(msg),
+    });
+  }
 
-    // Errors / failures
-    if (level === "error" || level === "fatal" || msg.toLowerCase().includes("failed") || msg.toLowerCase().includes("error")) {
-      addEvent({
-        time: tsDate.toISOString(),
-        type: "failure",
-        category: "error",
-        message: summarizePrompt(msg),
-        level,
-        subsystem,
-        runId: extractRunId(msg),
-        sessionId: extractSessionId(msg),
-      });
-    }
+  // Heartbeat
+  if (msg.toLowerCase().includes("heartbeat") && !msg.includes("HEARTBEAT.md")) {
+    addEvent({
+      time: tsDate.toISOString(),
+      type: "heartbeat",
+      category: "heartbeat",
+      message: summarizePrompt(msg),
+      level,
+      subsystem,
+      runId: extractRunId(msg),
+      sessionId: extractSessionId(msg),
+    });
+  }
 
-    // Success indicators (e.g. HEARTBEAT_OK, completion)
-    if (msg.includes("HEARTBEAT_OK") || msg.includes("completed successfully") || msg.includes("run agent end")) {
-      addEvent({
-        time: tsDate.toISOString(),
-        type: "success",
-        category: "success",
-        message: summarizePrompt(msg),
-        level,
-        subsystem,
-        runId: extractRunId(msg),
-        sessionId: extractSessionId(msg),
-      });
+  // Errors / failures
+  if (level === "error" || level === "fatal" || msg.toLowerCase().includes("failed") || msg.toLowerCase().includes("error")) {
+    addEvent({
+      time: tsDate.toISOString(),
+      type: "failure",
+      category: "error",
+      message: summarizePrompt(msg),
+      level,
+      subsystem,
+      runId: extractRunId(msg),
+      sessionId: extractSessionId(msg),
+    });
+  }
+
+  // Success indicators (e.g. HEARTBEAT_OK, completion)
+  if (msg.includes("HEARTBEAT_OK") || msg.includes("completed successfully") || msg.includes("run agent end")) {
+    addEvent({
+      time: tsDate.toISOString(),
+      type: "success",
+      category: "success",
+      message: summarizePrompt(msg),
+      level,
+      subsystem,
+      runId: extractRunId(msg),
+      sessionId: extractSessionId(msg),
+    });
+  }
+  return typeOutcome ?? skipped("no_match");
+}
+
+/** Pre-ID match key (events.json written before events had an `id`). */
+const legacyKey = (e) => `${e.type}|${e.sessionId || ""}|${e.time || ""}|${(e.message || "").slice(0, 200)}`;
+
+/**
+ * Fields that cost API calls to produce: each annotator's field with its
+ * confidence, rationale and hand-label source (config/annotators.json, or
+ * ANNOTATORS as for annotate.js), and summarize-events' `summary`. The parser
+ * never writes them; everything else is re-extracted, or recomputed by its script.
+ */
+function enrichmentFields() {
+  const fields = new Set(["summary"]);
+  if (!fs.existsSync(annotatorsPath)) return fields;
+  for (const { field } of loadAnnotators(annotatorsPath)) {
+    for (const f of [field, `${field}Confidence`, `${field}Rationale`, `${field}Source`]) fields.add(f);
+  }
+  return fields;
+}
+
+/**
+ * Enrichments (see enrichmentFields) from an existing events.json, keyed by
+ * event ID, so a full re-parse doesn't throw away work that cost API calls to
+ * produce. Only events that have some are held, and only those fields.
+ */
+async function loadEnrichments() {
+  const byId = new Map();
+  const byLegacyKey = new Map();
+  const meta = {};
+  if (!fs.existsSync(outputPath)) return { byId, byLegacyKey, meta };
+  const fields = enrichmentFields();
+  try {
+    for await (const e of readEvents(outputPath, meta)) {
+      let kept = null;
+      for (const f of fields) if (e[f] != null) (kept ??= {})[f] = e[f];
+      if (!kept) continue;
+      if (e.id) byId.set(e.id, kept);
+      else byLegacyKey.set(legacyKey(e), kept);
     }
+  } catch (err) {
+    console.warn("Could not merge enrichments from existing file:", err.message);
+    byId.clear();
+    byLegacyKey.clear();
   }
+  return { byId, byLegacyKey, meta };
 }
 
-// Run
-const files = getLogFiles();
-if (files.length === 0) {
-  console.log("No log files in ./logs/. Run: node scripts/copy-logs.js");
-  console.log("Or: node scripts/generate-sample-logs.js (for demo)");
-  console.log("Writing empty events.json for demo UI.");
+/**
+ * Copy fields the new event lacks from its previous version. Returns the number copied.
+ * Text enrichments (summaries, previews) may predate the current redaction rules.
+ */
+function carryEnrichments(ev, old) {
+  if (!old) return 0;
+  let n = 0;
+  for (const [k, v] of Object.entries(old)) {
+    if (k in ev) continue;
+    ev[k] = typeof v === "string" ? redactText(redaction.rules, v, (rule, hits) => audit.record(rule, hits, k, { eventId: ev.id })) : v;
+    n++;
+  }
+  return n;
 }
 
-for (const f of files) {
-  processLogFile(f);
+/**
+ * The dedupe key secret (config/dedupe-secret.local.json, gitignored), created
+ * with owner-only permissions on first use.
+ */
+function loadDedupeSecret() {
+  if (fs.existsSync(dedupeSecretPath)) {
+    let secret;
+    try {
+      secret = JSON.parse(fs.readFileSync(dedupeSecretPath, "utf-8")).secret;
+    } catch (err) {
+      throw new Error(`${dedupeSecretPath}: ${err.message}`);
+    }
+    if (typeof secret !== "string" || !secret) throw new Error(`${dedupeSecretPath}: expected { "secret": "…" }`);
+    return secret;
+  }
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(path.dirname(dedupeSecretPath), { recursive: true });
+  fs.writeFileSync(dedupeSecretPath, JSON.stringify({ secret }, null, 2) + "\n", { encoding: "utf-8", mode: 0o600 });
+  return secret;
 }
 
-// Ensure public exists and write output even when empty
-fs.mkdirSync(publicDir, { recursive: true });
+/** Changes with the dedupe secret; stored dedupe keys from another secret never match new ones. */
+const dedupeHash = () => crypto.createHash("sha256").update(`dedupe:${dedupeSecret}`).digest("hex").slice(0, 16);
 
-// Dedupe events (same time+type+category+message)
-const seen = new Set();
-const uniqueEvents = events.filter((e) => {
-  const key = `${e.time}|${e.type}|${e.category}|${e.message}`;
-  if (seen.has(key)) return false;
-  seen.add(key);
-  return true;
-});
+/**
+ * Decide which files need parsing. Returns { full, reason?, jobs: [{ file, rel, from }] }.
+ * Falls back to a full parse without a usable manifest/events.json or when any
+ * previously parsed file was truncated or rotated, or when the event rules,
+ * redaction config, dedupe secret or log sources changed.
+ */
+function planParse(files) {
+  const allFiles = files.map((f) => ({ ...f, from: { offset: 0, lines: 0 } }));
+  if (FULL) return { full: true, reason: "--full", jobs: allFiles };
+  const manifest = loadManifest(manifestPath);
+  if (!manifest || !fs.existsSync(outputPath)) return { full: true, jobs: allFiles };
+  if (manifest.rulesHash !== eventRules.hash) return { full: true, reason: "event rules changed", jobs: allFiles };
+  if (manifest.sourcesHash !== sourcesHash) return { full: true, reason: "log sources changed", jobs: allFiles };
+  if (manifest.redactionHash !== redaction.hash) return { full: true, reason: "redaction config changed", jobs: allFiles };
+  if (manifest.dedupeHash !== dedupeHash()) return { full: true, reason: "dedupe secret changed", jobs: allFiles };
+  if ((manifest.pseudonymsHash ?? null) !== (pseudonyms?.hash ?? null)) {
+    return { full: true, reason: pseudonyms ? "pseudonymization on or salt changed" : "pseudonymization off", jobs: allFiles };
+  }
+
+  const jobs = [];
+  const checkpoints = {};
+  for (const job of allFiles) {
+    const entry = manifest.files[job.rel];
+    const { action, reason } = compareToCheckpoint(job.file, entry);
+    if (action === "changed") return { full: true, reason: `${job.rel} ${reason}`, jobs: allFiles };
+    if (action === "unchanged") checkpoints[job.rel] = entry;
+    else jobs.push(action === "append" ? { ...job, from: { offset: entry.offset, lines: entry.lines } } : job);
+  }
+  const removed = Object.keys(manifest.files).filter((rel) => !allFiles.some((j) => j.rel === rel));
+  if (removed.length) console.log(`${removed.length} previously parsed file(s) no longer found — keeping their events`);
+  return { full: false, jobs, checkpoints };
+}
+
+/** Existing events as merge entries that sort before any newly parsed event at the same time. */
+async function* existingEntries(meta) {
+  let seq = Number.MIN_SAFE_INTEGER;
+  for await (const ev of readEvents(outputPath, meta)) {
+    yield { t: timeKey(ev.time), seq: seq++, ev };
+  }
+}
 
-uniqueEvents.sort((a, b) => new Date(a.time) - new Date(b.time));
+function addCounts(base = {}, extra = {}) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(extra)) out[k] = (out[k] ?? 0) + v;
+  return out;
+}
 
-const activityCounts = {
-  email_sent: uniqueEvents.filter((e) => e.type === "email_sent").length,
-  moltbook_post: uniqueEvents.filter((e) => e.type === "moltbook_post").length,
-  moltbook_comment: uniqueEvents.filter((e) => e.type === "moltbook_comment").length,
-};
+async function main() {
+  eventRules = loadEventRules(rulesPath);
+  redaction = loadRedactionRules(redactionPath);
+  dedupeSecret = loadDedupeSecret();
+  pseudonyms = PSEUDONYMIZE ? createPseudonymizer(pseudonymMapPath) : null;
+  const sources = resolveSources(projectRoot, logsDir, sourcesPath);
+  sourcesHash = hashSources(sources);
+  const files = getSourceFiles(sources);
+  if (files.length === 0) {
+    console.log("No log files in ./logs/. Run: node scripts/copy-logs.js");
+    console.log("Or: node scripts/generate-sample-logs.js (for demo)");
+    console.log("Writing empty events.json for demo UI.");
+  }
 
-// Build summary
-const summary = {
-  mdWriteCounts,
-  mdWriteBytes,
-  activityCounts,
-  totalEvents: uniqueEvents.length,
-  eventTypes: [...new Set(uniqueEvents.map((e) => e.type))],
-  timeRange: uniqueEvents.length
-    ? {
-        start: uniqueEvents[0].time,
-        end: uniqueEvents[uniqueEvents.length - 1].time,
-      }
-    : null,
-};
+  const plan = planParse(files);
+  if (plan.full && plan.reason) console.log(`Full re-parse: ${plan.reason}`);
+  if (!plan.full && plan.jobs.length === 0) {
+    console.log(`No new log data in ${files.length} file(s). ${outputPath} is up to date.`);
+    return;
+  }
 
-// Preserve sentiment annotations from existing events.json (reuse when re-parsing)
-let finalEvents = uniqueEvents;
-if (fs.existsSync(outputPath)) {
+  const spool = createEventSpool();
+  sink = spool;
+  audit = createAuditLog(auditPath, "parse");
+  diagnostics = createDiagnostics({
+    redact: (text, rel, line) => redactText(redaction.rules, text, (rule, n) => audit.record(rule, n, "diagnostics", { file: rel, line })),
+  });
   try {
-    const existing = JSON.parse(fs.readFileSync(outputPath, "utf-8"));
-    const oldEvents = existing.events || [];
-    const sentimentMap = new Map();
-    for (const e of oldEvents) {
-      if (e.type === "user_message" && e.sentiment) {
-        const key = `${e.sessionId || ""}|${e.time || ""}|${(e.message || "").slice(0, 200)}`;
-        sentimentMap.set(key, e.sentiment);
-      }
+    const checkpoints = { ...plan.checkpoints };
+    for (const job of plan.jobs) {
+      const pos = await processLogFile(job.file, job.from, job);
+      checkpoints[job.rel] = checkpointFile(job.file, pos);
     }
+
+    // Ensure public exists and write output even when empty
+    fs.mkdirSync(publicDir, { recursive: true });
+
+    const existingMeta = {};
+    const previous = plan.full ? await loadEnrichments() : null;
+    const inputs = plan.full ? [spool.entries()] : [existingEntries(existingMeta), spool.entries()];
+    const writer = createEventsWriter(outputPath);
+    const activityCounts = Object.fromEntries(Object.keys(eventRules.types).map((t) => [t, 0]));
+    const eventTypes = new Set();
+    const botCounts = {};
+    const sessionIndex = createSessionIndex();
+    let firstTime = null;
+    let lastTime = null;
     let preserved = 0;
-    finalEvents = uniqueEvents.map((e) => {
-      if (e.type === "user_message") {
-        const key = `${e.sessionId || ""}|${e.time || ""}|${(e.message || "").slice(0, 200)}`;
-        const s = sentimentMap.get(key);
-        if (s) {
-          preserved++;
-          return { ...e, sentiment: s };
-        }
+
+    // Dedupe (same time+type+category+message) and write in time order
+    try {
+      for await (const { ev: parsed } of dedupeSorted(mergeSorted(inputs))) {
+        // Preserve enrichments from existing events.json (reuse when re-parsing)
+        if (previous && carryEnrichments(parsed, previous.byId.get(parsed.id) ?? previous.byLegacyKey.get(legacyKey(parsed)))) preserved++;
+        const ev = pseudonyms ? pseudonyms.event(parsed) : parsed;
+        if (ev.type in activityCounts) activityCounts[ev.type]++;
+        eventTypes.add(ev.type);
+        botCounts[ev.botId ?? DEFAULT_BOT] = (botCounts[ev.botId ?? DEFAULT_BOT] ?? 0) + 1;
+        firstTime ??= ev.time;
+        lastTime = ev.time;
+        sessionIndex.add(ev);
+        writer.write(ev);
       }
-      return e;
+    } catch (err) {
+      writer.abort();
+      throw err;
+    }
+
+    // MD write counts are tallied before dedupe, so incremental runs add to the previous totals
+    const prev = existingMeta.summary ?? {};
+    const summary = {
+      mdWriteCounts: plan.full ? mdWriteCounts : addCounts(prev.mdWriteCounts, mdWriteCounts),
+      mdWriteBytes: plan.full ? mdWriteBytes : addCounts(prev.mdWriteBytes, mdWriteBytes),
+      activityCounts,
+      activityTypes: eventRules.types,
+      totalEvents: writer.count,
+      eventTypes: [...eventTypes],
+      botCounts,
+      timeRange: writer.count ? { start: firstTime, end: lastTime } : null,
+    };
+    const { summary: _, ...otherMeta } = plan.full ? previous.meta : existingMeta;
+    writer.close({ summary, ...otherMeta });
+    fs.writeFileSync(sessionsPath, JSON.stringify({ generatedAt: new Date().toISOString(), sessions: sessionIndex.toJSON() }, null, 2), "utf-8");
+    saveManifest(manifestPath, checkpoints, {
+      rulesHash: eventRules.hash,
+      sourcesHash,
+      redactionHash: redaction.hash,
+      dedupeHash: dedupeHash(),
+      pseudonymsHash: pseudonyms?.hash ?? null,
     });
-    if (preserved > 0) console.log(`Preserved ${preserved} sentiment annotations from existing events.json`);
-  } catch (err) {
-    console.warn("Could not merge sentiment from existing file:", err.message);
+    pseudonyms?.save();
+    // Line counts cover the bytes parsed in this run, so incremental runs add to the previous report
+    const previousReport = plan.full ? null : loadDiagnostics(diagnosticsPath);
+    mergeDiagnostics(diagnostics, previousReport);
+    const report = diagnosticsReport(diagnostics, { complete: plan.full || !!previousReport?.complete });
+    if (pseudonyms) {
+      for (const f of Object.values(report.files)) {
+        for (const r of Object.values(f.reasons)) for (const sample of r.samples) sample.text = pseudonyms.text(sample.text);
+      }
+    }
+    fs.writeFileSync(diagnosticsPath, JSON.stringify(report, null, 2), "utf-8");
+    audit.close({ replace: plan.full });
+
+    if (audit.total) console.log(`Redacted ${audit.total} secret(s)/PII match(es); locations in ${auditPath}`);
+    if (pseudonyms) console.log(`Pseudonymized Discord users: ${pseudonyms.size} alias(es); mapping in ${pseudonymMapPath} (keep it private)`);
+    if (preserved > 0) console.log(`Preserved enrichments (sentiment, modSummary, summary, …) on ${preserved} events from existing events.json`);
+    if (sources.length > 1) console.log(`Bots: ${Object.entries(botCounts).map(([b, n]) => `${b} (${n})`).join(", ")}`);
+    if (plan.full) console.log(`Parsed ${files.length} log file(s) -> ${summary.totalEvents} events`);
+    else console.log(`Parsed new data in ${plan.jobs.length} of ${files.length} log file(s) -> ${summary.totalEvents} events (${spool.size} extracted)`);
+    console.log(`Output: ${outputPath}, ${sessionIndex.size} session(s) in ${sessionsPath}`);
+    console.log("MD write counts:", summary.mdWriteCounts);
+    console.log("Activity:", summary.activityCounts);
+    const { lines, parsed, skipped: skippedLines, unknown: unknownLines } = report.totals;
+    console.log(`Lines: ${parsed} parsed, ${skippedLines} skipped, ${unknownLines} unknown of ${lines} (${diagnosticsPath})`);
+    if (unknownLines) console.warn(`  ${unknownLines} line(s) not recognized — see public/data-quality-view.html`);
+  } finally {
+    spool.close();
+  }
+}
+
+/** Position just past the last complete line of a file (where tailing starts). */
+async function endOfLastLine(filePath) {
+  const pos = { offset: 0, lines: 0 };
+  for await (const { end, complete } of readLines(filePath)) {
+    if (!complete) break;
+    pos.offset = end;
+    pos.lines++;
   }
+  return pos;
 }
 
-fs.writeFileSync(
-  outputPath,
-  JSON.stringify({ events: finalEvents, summary }, null, 2),
-  "utf-8",
-);
+/**
+ * --watch: poll the log roots and run newly appended lines through the normal
+ * extraction. Files of the configured sources resume from the manifest; other files
+ * already present (e.g. in OPENCLAW_LOG_DIR) start at their end, files that appear
+ * later from their start, and a file that shrinks (rotated) starts over.
+ */
+async function watchLogs() {
+  const extra = process.env.OPENCLAW_LOG_DIR && path.resolve(process.env.OPENCLAW_LOG_DIR.replace("~", process.env.HOME || ""));
+  const sources = resolveSources(projectRoot, logsDir, sourcesPath);
+  const roots = sources.map((s) => s.root);
+  if (extra && !roots.includes(extra)) roots.push(extra);
+  const manifest = loadManifest(manifestPath);
+  const tails = new Map();
+  // main() already wrote (and closed) its audit and diagnostics; the next parse covers live lines
+  audit = null;
+  diagnostics = null;
+  fs.mkdirSync(publicDir, { recursive: true });
+  fs.writeFileSync(livePath, "", "utf-8");
+
+  async function poll(initial) {
+    const batch = [];
+    sink = { add: (ev) => batch.push(ev) };
+    const files = getSourceFiles(sources).map((f) => ({ ...f, inManifest: true }));
+    if (extra && !sources.some((s) => s.root === extra)) {
+      const rel = (file) => path.relative(extra, file).split(path.sep).join("/");
+      files.push(...getLogFiles(extra).map((file) => ({ file, rel: rel(file), botId: DEFAULT_BOT, inManifest: false })));
+    }
+    for (const { file, rel, botId, inManifest } of files) {
+      try {
+        let tail = tails.get(file);
+        if (!tail) {
+          const entry = inManifest ? manifest?.files[rel] : null;
+          const pos = entry ? { offset: entry.offset, lines: entry.lines } : initial ? await endOfLastLine(file) : { offset: 0, lines: 0 };
+          tails.set(file, (tail = { pos }));
+        }
+        const { size } = fs.statSync(file);
+        if (size < tail.pos.offset) {
+          console.log(`${rel} shrank — re-reading from the start`);
+          tail.pos = { offset: 0, lines: 0 };
+        }
+        if (size > tail.pos.offset) tail.pos = await processLogFile(file, tail.pos, { rel, botId });
+      } catch (err) {
+        console.warn(`Watch: skipping ${file}: ${err.message}`);
+        tails.delete(file);
+      }
+    }
+    if (batch.length === 0) return;
+    batch.sort((a, b) => new Date(a.time).getTime() - new Date(b.time).getTime());
+    const out = pseudonyms ? batch.map((ev) => pseudonyms.event(ev)) : batch;
+    pseudonyms?.save();
+    fs.appendFileSync(livePath, out.map((ev) => JSON.stringify(ev) + "\n").join(""), "utf-8");
+    console.log(`${new Date().toLocaleTimeString()} +${batch.length} live event(s): ${[...new Set(batch.map((e) => e.type))].join(", ")}`);
+  }
+
+  console.log(`Watching ${roots.join(", ")} (every ${WATCH_INTERVAL_MS} ms) -> ${livePath}`);
+  await poll(true);
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, WATCH_INTERVAL_MS));
+    await poll(false);
+  }
+}
 
-console.log(`Parsed ${files.length} log file(s) -> ${uniqueEvents.length} events`);
-console.log(`Output: ${outputPath}`);
-console.log("MD write counts:", summary.mdWriteCounts);
-console.log("Activity:", summary.activityCounts);
+main()
+  .then(() => (WATCH ? watchLogs() : undefined))
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
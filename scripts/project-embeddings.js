@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Project user and assistant message embeddings (public/embeddings/, from
+ * `npm run embed`) to 2D with PCA, for the message map view.
+ *
+ * The two principal components come from power iteration with deflation on the
+ * centred vectors (X^T X v is computed row by row, so the 384×384 covariance is
+ * never built). Axes carry no meaning beyond "direction of most variance".
+ *
+ * Output: public/message-map.json
+ *   { generatedAt, model, method: "pca", explained: [pc1, pc2], ids: [...], x: [...], y: [...] }
+ * `explained` is each component's share of the total variance.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { readEmbeddingStore } from "./lib/embedding-store.js";
+import { readEvents } from "./lib/event-store.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.resolve(__dirname, "..");
+const eventsPath = path.join(projectRoot, "public", "events.json");
+const embeddingsDir = path.join(projectRoot, "public", "embeddings");
+const outputPath = path.join(projectRoot, "public", "message-map.json");
+
+const MESSAGE_TYPES = new Set(["user_message", "assistant_message"]);
+const ITERATIONS = 100;
+const TOLERANCE = 1e-7;
+
+const round = (v) => Math.round(v * 1e4) / 1e4;
+
+function unit(v) {
+  let n = 0;
+  for (let i = 0; i < v.length; i++) n += v[i] * v[i];
+  n = Math.sqrt(n) || 1;
+  for (let i = 0; i < v.length; i++) v[i] /= n;
+  return v;
+}
+
+/**
+ * Top `components` principal axes of the rows of `matrix` (n × dim, already
+ * centred). Returns [{ axis, variance }].
+ */
+function principalAxes(matrix, n, dim, components) {
+  const found = [];
+  for (let c = 0; c < components; c++) {
+    // Deterministic start, so re-runs give the same map
+    let v = unit(Float64Array.from({ length: dim }, (_, i) => Math.sin(i * (c + 1) + 1)));
+    let variance = 0;
+    for (let it = 0; it < ITERATIONS; it++) {
+      const next = new Float64Array(dim);
+      for (let row = 0; row < n; row++) {
+        const off = row * dim;
+        let p = 0;
+        for (let i = 0; i < dim; i++) p += matrix[off + i] * v[i];
+        for (let i = 0; i < dim; i++) next[i] += p * matrix[off + i];
+      }
+      // Deflate: stay orthogonal to the axes already found
+      for (const { axis } of found) {
+        let d = 0;
+        for (let i = 0; i < dim; i++) d += next[i] * axis[i];
+        for (let i = 0; i < dim; i++) next[i] -= d * axis[i];
+      }
+      let norm = 0;
+      for (let i = 0; i < dim; i++) norm += next[i] * next[i];
+      norm = Math.sqrt(norm);
+      variance = norm / n;
+      if (!norm) break;
+      let diff = 0;
+      for (let i = 0; i < dim; i++) {
+        const u = next[i] / norm;
+        diff += (u - v[i]) ** 2;
+        v[i] = u;
+      }
+      if (diff < TOLERANCE) break;
+    }
+    found.push({ axis: v, variance });
+  }
+  return found;
+}
+
+async function main() {
+  if (!fs.existsSync(eventsPath)) {
+    console.error("events.json not found. Run: npm run parse");
+    process.exit(1);
+  }
+  const store = readEmbeddingStore(embeddingsDir);
+  if (!store) {
+    console.error("No embeddings in public/embeddings/. Run: npm run embed");
+    process.exit(1);
+  }
+
+  const ids = [];
+  for await (const e of readEvents(eventsPath)) {
+    if (MESSAGE_TYPES.has(e.type) && store.vectors.has(e.id)) ids.push(e.id);
+  }
+  if (ids.length < 2) {
+    console.error(`Only ${ids.length} embedded message(s). Run: npm run embed`);
+    process.exit(1);
+  }
+
+  const { dim } = store;
+  const n = ids.length;
+  const matrix = new Float32Array(n * dim);
+  ids.forEach((id, row) => matrix.set(store.vectors.get(id), row * dim));
+  const mean = new Float64Array(dim);
+  for (let row = 0; row < n; row++) for (let i = 0; i < dim; i++) mean[i] += matrix[row * dim + i] / n;
+  let total = 0;
+  for (let row = 0; row < n; row++) {
+    for (let i = 0; i < dim; i++) {
+      const v = (matrix[row * dim + i] -= mean[i]);
+      total += v * v;
+    }
+  }
+  total /= n;
+
+  console.log(`Projecting ${n} messages to 2D (PCA)…`);
+  const axes = principalAxes(matrix, n, dim, 2);
+  const [x, y] = axes.map(({ axis }) => {
+    const out = new Array(n);
+    for (let row = 0; row < n; row++) {
+      let p = 0;
+      for (let i = 0; i < dim; i++) p += matrix[row * dim + i] * axis[i];
+      out[row] = round(p);
+    }
+    return out;
+  });
+  const explained = axes.map(({ variance }) => round(total ? variance / total : 0));
+
+  fs.writeFileSync(
+    outputPath,
+    JSON.stringify({ generatedAt: new Date().toISOString(), model: store.model, method: "pca", explained, ids, x, y }),
+    "utf-8"
+  );
+  console.log(`PC1 ${(explained[0] * 100).toFixed(1)}%, PC2 ${(explained[1] * 100).toFixed(1)}% of variance`);
+  console.log(`Wrote ${outputPath}`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
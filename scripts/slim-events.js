@@ -3,21 +3,32 @@
  * Create a slim events.json for fast dashboard loading.
  * Strips embeddings and truncates long messages to reduce parse time.
  * Run after parse/embed/summarize: node scripts/slim-events.js
+ *
+ * Also splits the slim events into one shard per UTC day under public/shards/,
+ * for views that load lazily:
+ *   manifest.json   summary + per-shard { id, file, start, end, count, bytes, types }
+ *   overview.json   per-day counts by bot/type/category and session boundaries (no events)
+ *   ids/<xx>.json   id → day of the events whose id starts with xx, so a deep link
+ *                   fetches one small file to find its shard
+ *   events-<day>.json  the slim events of that day
  */
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { createSessionIndex } from "./lib/session-index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "..");
 const inputPath = path.join(projectRoot, "public", "events.json");
 const outputPath = path.join(projectRoot, "public", "events-slim.json");
+const shardsDir = path.join(projectRoot, "public", "shards");
 
 const MAX_MESSAGE_LEN = 400;
 const MAX_MESSAGE_LEN_MD_WRITE = 50000; // keep full content for md_write (modal view)
+const ID_PREFIX_LEN = 2; // event ids are hex: 256 id index files
 
 function slimEvent(e) {
-  const { embedding, embeddingText, ...rest } = e;
+  const { embedding, embeddingText, dedupeKey, ...rest } = e;
   let message = rest.message ?? "";
   const maxLen = e.type === "md_write" ? MAX_MESSAGE_LEN_MD_WRITE : MAX_MESSAGE_LEN;
   if (message.length > maxLen) {
@@ -26,6 +37,79 @@ function slimEvent(e) {
   return { ...rest, message }; // keeps summary, modSummary, bytes
 }
 
+/** Counts (and md_write bytes) of one day's events per bot, type and category. */
+function dayCounts(evs) {
+  const rows = new Map();
+  for (const e of evs) {
+    const botId = e.botId ?? "default";
+    const key = `${botId}\0${e.type}\0${e.category}`;
+    let row = rows.get(key);
+    if (!row) rows.set(key, (row = { botId, type: e.type, category: e.category, count: 0 }));
+    row.count++;
+    if (e.bytes) row.bytes = (row.bytes ?? 0) + e.bytes;
+  }
+  return [...rows.values()];
+}
+
+/** Start, end and event count of every session and cron job. */
+function sessionBounds(evs) {
+  const index = createSessionIndex();
+  for (const e of evs) index.add(e);
+  return index.toJSON().map(({ sessionId, botId, kind, start, end, events }) => ({ sessionId, botId, kind, start, end, events }));
+}
+
+/** UTC day of an event, "unknown" for unparseable times. */
+function shardId(e) {
+  const t = new Date(e.time);
+  return Number.isNaN(t.getTime()) ? "unknown" : t.toISOString().slice(0, 10);
+}
+
+/** Write public/shards/; shard files from earlier runs that no longer exist are removed. */
+function writeShards(events, summary) {
+  fs.mkdirSync(shardsDir, { recursive: true });
+  const byShard = new Map();
+  for (const e of events) {
+    const id = shardId(e);
+    if (!byShard.has(id)) byShard.set(id, []);
+    byShard.get(id).push(e);
+  }
+  const shards = [];
+  const days = [];
+  const ids = {};
+  for (const [id, evs] of [...byShard.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const file = `events-${id}.json`;
+    const json = JSON.stringify({ events: evs });
+    fs.writeFileSync(path.join(shardsDir, file), json, "utf-8");
+    const times = evs.map((e) => e.time).sort();
+    const types = {};
+    for (const e of evs) types[e.type] = (types[e.type] ?? 0) + 1;
+    shards.push({ id, file, start: times[0], end: times[times.length - 1], count: evs.length, bytes: Buffer.byteLength(json), types });
+    days.push({ id, counts: dayCounts(evs) });
+    for (const e of evs) {
+      if (!e.id) continue;
+      (ids[e.id.slice(0, ID_PREFIX_LEN)] ??= {})[e.id] = id;
+    }
+  }
+  const keep = new Set(shards.map((s) => s.file));
+  for (const f of fs.readdirSync(shardsDir)) {
+    if (/^events-.+\.json$/.test(f) && !keep.has(f)) fs.unlinkSync(path.join(shardsDir, f));
+  }
+  fs.writeFileSync(path.join(shardsDir, "overview.json"), JSON.stringify({ days, sessions: sessionBounds(events) }), "utf-8");
+  writeIdIndex(ids);
+  const manifest = { generatedAt: new Date().toISOString(), bucket: "day", overview: "overview.json", ids: { dir: "ids", prefixLength: ID_PREFIX_LEN }, summary, shards };
+  fs.writeFileSync(path.join(shardsDir, "manifest.json"), JSON.stringify(manifest, null, 2), "utf-8");
+  return shards;
+}
+
+/** Write shards/ids/<prefix>.json, replacing the index of an earlier run (and the old single ids.json). */
+function writeIdIndex(ids) {
+  const dir = path.join(shardsDir, "ids");
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(path.join(shardsDir, "ids.json"), { force: true });
+  fs.mkdirSync(dir);
+  for (const [prefix, days] of Object.entries(ids)) fs.writeFileSync(path.join(dir, `${prefix}.json`), JSON.stringify(days), "utf-8");
+}
+
 if (!fs.existsSync(inputPath)) {
   console.error("events.json not found. Run: npm run parse");
   process.exit(1);
@@ -41,3 +125,7 @@ const inputSize = (fs.statSync(inputPath).size / 1024 / 1024).toFixed(1);
 const outputSize = (fs.statSync(outputPath).size / 1024 / 1024).toFixed(1);
 console.log(`Slim: ${inputSize}MB → ${outputSize}MB (${slimEvents.length} events)`);
 console.log(`Output: ${outputPath}`);
+
+const shards = writeShards(slimEvents, output.summary);
+const overviewSize = (fs.statSync(path.join(shardsDir, "overview.json")).size / 1024 / 1024).toFixed(1);
+console.log(`Shards: ${shards.length} day(s), overview ${overviewSize}MB → ${shardsDir}`);
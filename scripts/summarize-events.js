@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 import "dotenv/config";
 /**
- * Precompute summaries for md_write events using OpenRouter API.
- * Run once after parse. Requires OPENROUTER_API_KEY.
- * Uses parallel requests (concurrency limit) for speed.
+ * Precompute summaries for md_write events with an LLM (OpenRouter by default,
+ * or any OpenAI-compatible server; see lib/llm-client.js for LLM_* settings).
+ * Run once after parse. Requires OPENROUTER_API_KEY unless LLM_BASE_URL is set.
+ * Uses parallel requests (concurrency limit) for speed; cached responses are reused on reruns.
+ * Text is redacted with config/redaction.json before it is sent (see lib/redact.js).
  *
  * node scripts/summarize-events.js
  * LIMIT=10 node scripts/summarize-events.js   # test run first (10 summaries)
@@ -11,20 +13,24 @@ import "dotenv/config";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { createLlmClient } from "./lib/llm-client.js";
+import { createRedactor } from "./lib/redact.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.resolve(__dirname, "..");
 const eventsPath = path.join(projectRoot, "public", "events.json");
+const redactionPath = process.env.REDACTION ? path.resolve(process.env.REDACTION) : path.join(projectRoot, "config", "redaction.json");
+const auditPath = path.join(projectRoot, "public", "redaction-audit.jsonl");
+const cacheDir = path.join(projectRoot, ".cache", "llm");
 
-const OPENROUTER_API = "https://openrouter.ai/api/v1/chat/completions";
 const MODEL = "meta-llama/llama-3.2-3b-instruct";
 const MAX_INPUT_CHARS = 1500;
 const CONCURRENCY = 20;
-const DELAY_MS = 400; // Delay between requests to avoid rate limits
 const SAVE_INTERVAL = 50;
 const BAR_WIDTH = 40;
 const LIMIT = parseInt(process.env.LIMIT || "0", 10) || 0;
 const TEST_FIRST = process.env.TEST_FIRST === "1" || process.env.TEST_FIRST === "true";
+const redactor = createRedactor(redactionPath, auditPath, "summarize");
 
 function truncate(text, maxLen = MAX_INPUT_CHARS) {
   const t = (text || "").trim();
@@ -32,35 +38,11 @@ function truncate(text, maxLen = MAX_INPUT_CHARS) {
   return t.length > maxLen ? t.slice(0, maxLen) + "…" : t;
 }
 
-async function summarizeText(apiKey, text) {
+async function summarizeText(llm, text) {
   const truncated = truncate(text);
   if (!truncated) return null;
 
-  const res = await fetch(OPENROUTER_API, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: [
-        {
-          role: "user",
-          content: `Summarize this in one short sentence (max 15 words):\n\n${truncated}`,
-        },
-      ],
-      max_tokens: 60,
-    }),
-  });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`OpenRouter API error ${res.status}: ${err}`);
-  }
-
-  const data = await res.json();
-  const msg = data.choices?.[0]?.message;
+  const msg = await llm.chat(`Summarize this in one short sentence (max 15 words):\n\n${truncated}`, { max_tokens: 60 });
   let summary = msg?.content?.trim();
   if (!summary && msg?.reasoning) {
     // stepfun puts output in reasoning; prefer content after "ANSWER:" or use last complete sentence
@@ -83,55 +65,7 @@ function progressBar(done, total, extras = "") {
   return `\r[${bar}] ${pct}% ${done}/${total}${extras ? `  ${extras}` : ""}   `;
 }
 
-function runWithConcurrency(tasks, concurrency, items, { onProgress, onComplete }) {
-  return new Promise((resolve) => {
-    const results = new Array(tasks.length);
-    let index = 0;
-    let completed = 0;
-    let okCount = 0;
-    let errCount = 0;
-
-    function runNext() {
-      if (index >= tasks.length) return;
-      if (completed === tasks.length) {
-        resolve(results);
-        return;
-      }
-
-      const i = index++;
-      const task = tasks[i];
-      const item = items[i];
-
-      const exec = () => task()
-        .then((value) => {
-          results[i] = { ok: true, value };
-          okCount++;
-          if (value && item?.ev) item.ev.summary = value;
-          if (onComplete) onComplete(completed + 1);
-        })
-        .catch((err) => {
-          results[i] = { ok: false, error: err };
-          errCount++;
-          if (onComplete) onComplete(completed + 1);
-        })
-        .finally(() => {
-          completed++;
-          if (onProgress) onProgress(completed, tasks.length, okCount, errCount);
-          if (completed === tasks.length) resolve(results);
-          else runNext();
-        });
-
-      if (i > 0) setTimeout(exec, DELAY_MS);
-      else exec();
-    }
-
-    for (let j = 0; j < Math.min(concurrency, tasks.length); j++) {
-      runNext();
-    }
-  });
-}
-
-async function runBatch(apiKey, data, limit = 0) {
+async function runBatch(llm, data, limit = 0) {
   const events = data.events ?? [];
   const mdWrites = events
     .map((e, i) => ({ ev: e, i }))
@@ -142,36 +76,42 @@ async function runBatch(apiKey, data, limit = 0) {
 
   if (limit > 0) toSummarize = toSummarize.slice(0, limit);
 
-  const tasks = toSummarize.map(({ ev }) => () => summarizeText(apiKey, ev.message));
   const start = Date.now();
+  let done = 0;
+  let okCount = 0;
+  let errCount = 0;
 
-  const results = await runWithConcurrency(tasks, CONCURRENCY, toSummarize, {
-    onProgress: (done, total, okCount, errCount) => {
+  // The client queues requests beyond its concurrency limit
+  await Promise.all(
+    toSummarize.map(async ({ ev }) => {
+      try {
+        const value = await summarizeText(llm, redactor.text(ev.message, ev.id));
+        if (value) {
+          ev.summary = value;
+          okCount++;
+        }
+      } catch {
+        errCount++;
+      }
+      done++;
       const elapsed = ((Date.now() - start) / 1000).toFixed(1);
-      process.stdout.write(progressBar(done, total, `${okCount} ok, ${errCount} err | ${elapsed}s`));
-    },
-    onComplete: (done) => {
+      process.stdout.write(progressBar(done, toSummarize.length, `${okCount} ok, ${errCount} err | ${elapsed}s`));
       if (done % SAVE_INTERVAL === 0) {
         fs.writeFileSync(eventsPath, JSON.stringify(data, null, 2), "utf-8");
       }
-    },
-  });
-
-  let okCount = 0;
-  let errCount = 0;
-  for (const r of results) {
-    if (r.ok && r.value) okCount++;
-    else if (!r.ok) errCount++;
-  }
+    })
+  );
 
   fs.writeFileSync(eventsPath, JSON.stringify(data, null, 2), "utf-8");
-  return { okCount, errCount, total: results.length };
+  return { okCount, errCount, total: toSummarize.length };
 }
 
 async function main() {
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  if (!apiKey) {
-    console.error("Set OPENROUTER_API_KEY env var. Get one at https://openrouter.ai/keys");
+  let llm;
+  try {
+    llm = createLlmClient({ model: MODEL, concurrency: CONCURRENCY, cacheDir });
+  } catch (e) {
+    console.error(e.message);
     process.exit(1);
   }
 
@@ -197,10 +137,11 @@ async function main() {
 
   if (doTestFirst) {
     console.log("TEST: Running 10 summaries first...\n");
-    const test = await runBatch(apiKey, data, 10);
+    const test = await runBatch(llm, data, 10);
     process.stdout.write("\n");
     if (test.errCount > 0 || test.okCount === 0) {
       console.error(`Test failed: ${test.okCount} ok, ${test.errCount} errors. Fix before full run.`);
+      redactor.close();
       process.exit(1);
     }
     console.log(`Test OK (${test.okCount} summaries). Running full batch...\n`);
@@ -210,9 +151,11 @@ async function main() {
     console.log(`TEST MODE: Limiting to ${effectiveLimit} summaries.\n`);
   }
 
-  const { okCount, errCount, total } = await runBatch(apiKey, data, doTestFirst ? 0 : effectiveLimit);
+  const { okCount, errCount, total } = await runBatch(llm, data, doTestFirst ? 0 : effectiveLimit);
   process.stdout.write("\n");
-  console.log(`Done. ${okCount} summaries, ${errCount} errors. Wrote to ${eventsPath}`);
+  redactor.close();
+  if (redactor.audit.total) console.log(`Redacted ${redactor.audit.total} match(es) before sending; see ${auditPath}`);
+  console.log(`Done. ${okCount} summaries, ${errCount} errors (${llm.stats.cached} from cache, ${llm.stats.retries} retries). Wrote to ${eventsPath}`);
 }
 
 main().catch((e) => {
@@ -1,8 +1,24 @@
-import type { EventsData } from "./types";
+import type { EventsData, LogEvent } from "./types";
 import { renderMdBarChart } from "./md-bar-chart";
-import { renderTimeline } from "./timeline";
+import { renderTimeline, type DayOutline } from "./timeline";
 import { renderMdEditsPanel } from "./md-edits-panel";
 import { renderSemanticSearchPanel, type SemanticPrompt } from "./semantic-search-panel";
+import { subscribeLiveEvents } from "./live";
+import { loadEmbeddings, type EmbeddingStore } from "./embeddings";
+import { searchStatus } from "./vector-search";
+import { loadTopics, renderTopicRiver, type TopicsData } from "./topic-river";
+import {
+  addToOverview,
+  createShardLoader,
+  loadOverview,
+  loadShardManifest,
+  manifestExtent,
+  tallyOverview,
+  type Overview,
+  type OverviewTally,
+  type ShardLoader,
+} from "./shards";
+import { deleteBookmark, loadBookmarks, renderBookmarksSidebar, saveBookmark, type BookmarksState } from "./bookmarks";
 
 const MD_FILES = [
   "SOUL.md",
@@ -28,24 +44,94 @@ const EVENT_COLORS: Record<string, string> = {
   moltbook_comment: "#06b6d4",
 };
 
+function escapeHtml(s: string): string {
+  const div = document.createElement("div");
+  div.textContent = s;
+  return div.innerHTML;
+}
+
+const botOf = (e: LogEvent) => e.botId ?? "default";
+const byTime = (a: LogEvent, b: LogEvent) => new Date(a.time).getTime() - new Date(b.time).getTime();
+
+// Sharded data: the newest days up to this much load at start
+const INITIAL_DETAIL_BYTES = 2 * 1024 * 1024;
+// Brushed ranges needing more than this aren't loaded until narrowed
+const MAX_DETAIL_BYTES = 20 * 1024 * 1024;
+// Jumping to a bookmark brushes this much either side of it
+const BOOKMARK_WINDOW_MS = 30 * 60 * 1000;
+
+/** The same totals as tallyOverview, counted from loaded events (no shards). */
+function tallyEvents(evs: LogEvent[]): OverviewTally {
+  const tally: OverviewTally = {
+    events: evs.length,
+    sessions: new Set(evs.filter((e) => e.sessionId && e.subsystem !== "cron").map((e) => e.sessionId)).size,
+    types: {},
+    mdWriteCounts: {},
+    mdWriteBytes: {},
+  };
+  for (const e of evs) {
+    tally.types[e.type] = (tally.types[e.type] ?? 0) + 1;
+    if (e.type !== "md_write") continue;
+    tally.mdWriteCounts[e.category] = (tally.mdWriteCounts[e.category] ?? 0) + 1;
+    tally.mdWriteBytes[e.category] = (tally.mdWriteBytes[e.category] ?? 0) + (e.bytes ?? 0);
+  }
+  return tally;
+}
+
+/** Rows of the side-by-side bot comparison: label + how to read it from one bot's totals. */
+function comparisonRows(activityTypes: Record<string, { label: string }>): [string, (t: OverviewTally) => number][] {
+  const count = (type: string) => (t: OverviewTally) => t.types[type] ?? 0;
+  return [
+    ["Events", (t) => t.events],
+    ["Sessions", (t) => t.sessions],
+    ["User messages", count("user_message")],
+    ["Assistant messages", count("assistant_message")],
+    ["Tool calls", count("tool_call")],
+    ["Tool failures", count("failure")],
+    ["MD writes", count("md_write")],
+    ["Cron runs", count("cron")],
+    ...Object.entries(activityTypes).map(([t, { label }]): [string, (t: OverviewTally) => number] => [label, count(t)]),
+  ];
+}
+
 export async function renderApp() {
   const app = document.getElementById("app");
   if (!app) return;
 
   app.innerHTML = `<div class="loading-state">Loading events…</div>`;
 
+  // Semantic search runs on the embed API when it has the embeddings indexed; otherwise
+  // they load alongside the events (?embeddings=int8 fetches the quantized variant)
+  const serverSearch = searchStatus();
+  const embeddingsLoading = serverSearch.then((status) =>
+    status ? null : loadEmbeddings(new URLSearchParams(location.search).get("embeddings") === "int8" ? "int8" : "float32")
+  );
+  const topicsLoading = loadTopics();
+  const bookmarksLoading = loadBookmarks();
   let data: EventsData;
+  let shards: ShardLoader | null = null;
+  let overview: Overview | null = null;
+  let extent: [Date, Date] | undefined;
   try {
-    // Prefer slim file (no embeddings, truncated messages) for fast load
-    const res = await fetch("/events-slim.json");
-    if (res.ok) {
+    // Prefer shards (overview counts for every day, events of the newest days; the rest
+    // load per brushed range), then the slim file
+    const manifest = await loadShardManifest();
+    const res = manifest ? null : await fetch("events-slim.json");
+    if (manifest) {
+      overview = await loadOverview(manifest);
+      shards = createShardLoader(manifest);
+      data = { events: (await shards.loadLatest(INITIAL_DETAIL_BYTES)).sort(byTime), summary: manifest.summary };
+      extent = manifestExtent(manifest) ?? undefined;
+    } else if (res?.ok) {
       data = await res.json();
     } else {
-      const fullRes = await fetch("/events.json");
+      const fullRes = await fetch("events.json");
       data = await fullRes.json();
     }
   } catch (e) {
     console.error("Failed to load events:", e);
+    shards = null;
+    overview = null;
     data = {
       events: [],
       summary: {
@@ -58,8 +144,29 @@ export async function renderApp() {
     };
   }
 
+  const embeddings: EmbeddingStore | null = await embeddingsLoading.catch((e) => {
+    console.error("Failed to load embeddings:", e);
+    return null;
+  });
+  const server = await serverSearch;
+  const topics: TopicsData | null = await topicsLoading;
+  const loadedBookmarks = await bookmarksLoading;
+  const bookmarkState: BookmarksState = { bookmarks: loadedBookmarks ?? {}, available: loadedBookmarks != null, editing: null, tag: null };
   const { events: allEvents, summary } = data;
   let events = [...allEvents];
+  const bots = [...new Set(overview ? overview.days.flatMap((d) => d.counts.map((c) => c.botId)) : allEvents.map(botOf))].sort();
+  // ?bot=<id> limits the dashboard to one bot
+  let selectedBot: string | null = new URLSearchParams(location.search).get("bot");
+  if (selectedBot && !bots.includes(selectedBot)) selectedBot = null;
+  const botEvents = () => (selectedBot ? allEvents.filter((e) => botOf(e) === selectedBot) : allEvents);
+  // Chart totals: from the overview when sharded (all days, loaded or not), else from the events
+  const tally = (bot: string | null) =>
+    overview ? tallyOverview(overview, bot) : tallyEvents(bot ? allEvents.filter((e) => botOf(e) === bot) : allEvents);
+
+  // Rule-defined event types can bring their own color (config/event-rules.json)
+  for (const [type, { color }] of Object.entries(summary.activityTypes ?? {})) {
+    if (color) EVENT_COLORS[type] = color;
+  }
 
   function filterByTimeRange(evs: typeof allEvents): typeof allEvents {
     const [start, end] = timeRange;
@@ -73,7 +180,8 @@ export async function renderApp() {
   }
 
   function render() {
-    events = filterByTimeRange(allEvents);
+    const scoped = botEvents();
+    events = filterByTimeRange(scoped);
 
     if (legend && events.length > 0) {
       const types = [...new Set(events.map((e) => e.type))];
@@ -86,35 +194,149 @@ export async function renderApp() {
     }
 
     const mdEdits = events.filter((e) => e.type === "md_write");
-    const allMdEdits = allEvents.filter((e) => e.type === "md_write");
+    const allMdEdits = scoped.filter((e) => e.type === "md_write");
     if (mdEditsPanel) renderMdEditsPanel(mdEditsPanel, mdEdits, timeRange, allMdEdits, (start, end) => {
       timeRange = [start, end];
       render();
-    });
-    if (timelineEl) renderTimeline(timelineEl, events, EVENT_COLORS, timeRange, allEvents, (start, end) => {
+    }, extent);
+    if (timelineEl) renderTimeline(timelineEl, events, EVENT_COLORS, timeRange, scoped, (start, end) => {
       timeRange = [start, end];
       render();
-    });
+    }, { bookmarked: new Set(Object.keys(bookmarkState.bookmarks)), onSelect: editBookmark, outline: outlineDays(), extent });
     if (semanticPanel) renderSemanticSearchPanel(semanticPanel, events, semanticPrompts, (p) => {
       semanticPrompts = p;
       render();
-    }, timeRange, allEvents, (start, end) => {
+    }, timeRange, scoped, (start, end) => {
       timeRange = [start, end];
       render();
+    }, { embeddings, server, bot: selectedBot, extent });
+    if (topicRiver) renderTopicRiver(topicRiver, events, topics, selectedTopic, (topic) => {
+      selectedTopic = topic;
+      render();
+    });
+    renderBookmarks();
+    loadDetail().catch((e) => console.error("Failed to load event shards:", e));
+  }
+
+  // Bookmarks sidebar (config/bookmarks.local.json through embed-api.js)
+  function renderBookmarks() {
+    if (!bookmarksSidebar) return;
+    if (bookmarksToggle) bookmarksToggle.textContent = `Bookmarks (${Object.keys(bookmarkState.bookmarks).length})`;
+    const eventsById = new Map(allEvents.filter((e) => e.id).map((e) => [e.id!, e]));
+    renderBookmarksSidebar(bookmarksSidebar, bookmarkState, eventsById, {
+      onSave: (event, tags, note) =>
+        updateBookmarks(async () => {
+          bookmarkState.bookmarks[event.id!] = await saveBookmark(event, tags, note);
+        }),
+      onRemove: (id) =>
+        updateBookmarks(async () => {
+          await deleteBookmark(id);
+          delete bookmarkState.bookmarks[id];
+        }),
+      onJump: (id) => {
+        const event = eventsById.get(id) ?? null;
+        const time = event?.time ?? bookmarkState.bookmarks[id]?.event.time;
+        bookmarkState.editing = event;
+        if (event && selectedBot && botOf(event) !== selectedBot && botFilter) {
+          botFilter.value = "";
+          botFilter.dispatchEvent(new Event("change"));
+        }
+        if (time) {
+          const t = new Date(time).getTime();
+          timeRange = [new Date(t - BOOKMARK_WINDOW_MS), new Date(t + BOOKMARK_WINDOW_MS)];
+        }
+        render();
+      },
+      onTag: (tag) => {
+        bookmarkState.tag = tag;
+        renderBookmarks();
+      },
+      onCancel: () => {
+        bookmarkState.editing = null;
+        renderBookmarks();
+      },
+    });
+  }
+
+  // Save or remove, then redraw the markers and the sidebar (with the error, if it failed)
+  async function updateBookmarks(change: () => Promise<void>) {
+    try {
+      await change();
+      bookmarkState.error = undefined;
+      bookmarkState.editing = null;
+    } catch (e) {
+      bookmarkState.error = e instanceof Error ? e.message : String(e);
+    }
+    render();
+  }
+
+  function editBookmark(event: LogEvent) {
+    bookmarkState.editing = event;
+    bookmarkState.error = undefined;
+    bookmarksSidebar?.classList.add("open");
+    renderBookmarks();
+  }
+
+  // Days in range (and of the selected bot) whose events aren't loaded: outlined on the timeline
+  function outlineDays(): DayOutline[] {
+    if (!overview || !shards) return [];
+    const counts = new Map(overview.days.map((d) => [d.id, d.counts]));
+    return shards.inRange(...timeRange).flatMap((s) => {
+      if (s.id === "unknown" || shards!.isLoaded(s.id)) return [];
+      const types: Record<string, number> = {};
+      for (const c of counts.get(s.id) ?? []) if (!selectedBot || c.botId === selectedBot) types[c.type] = (types[c.type] ?? 0) + c.count;
+      return Object.keys(types).length ? [{ id: s.id, start: new Date(s.start), end: new Date(s.end), types }] : [];
     });
   }
 
+  // Sharded data: fetch the events of the brushed range's days, then re-render with them
+  async function loadDetail() {
+    if (!shards || !detailStatus) return;
+    const [start, end] = timeRange;
+    const days = `Events of ${shards.loadedCount} of ${overview?.days.length ?? 0} day(s) loaded`;
+    const pending = start || end ? shards.pendingBytes(start, end) : 0;
+    if (pending > MAX_DETAIL_BYTES) {
+      detailStatus.textContent = `${days}; ${(pending / 1024 / 1024).toFixed(0)} MB more in range, brush a shorter range to load them`;
+      return;
+    }
+    if (!pending) {
+      detailStatus.textContent = shards.pendingBytes(null, null) ? `${days}; brush a range to load its days` : days;
+      return;
+    }
+    detailStatus.textContent = "Loading events…";
+    const detail = await shards.load(start, end);
+    const known = new Set(allEvents.map((e) => e.id).filter(Boolean));
+    allEvents.push(...detail.filter((e) => !e.id || !known.has(e.id)));
+    allEvents.sort(byTime);
+    render();
+  }
+
   let timeRange: [Date | null, Date | null] = [null, null];
   let semanticPrompts: SemanticPrompt[] = [];
+  let selectedTopic: number | null = null;
 
   app.innerHTML = `
     <header>
       <h1>Bot Log Analysis</h1>
       <p class="subtitle">Workspace MD files, tool calls, and event timeline from OpenClaw logs</p>
+      <div class="live-controls">
+        ${bots.length > 1 ? `<label>Bot <select id="bot-filter"><option value="">All bots</option>${bots.map((b) => `<option value="${escapeHtml(b)}">${escapeHtml(b)}</option>`).join("")}</select></label>` : ""}
+        <span id="live-status" class="live-status">Live: offline</span>
+        ${shards ? `<span id="detail-status"></span>` : ""}
+        <label><input type="checkbox" id="follow-latest" checked> Follow latest</label>
+        <button type="button" id="bookmarks-toggle" class="btn-reset">Bookmarks</button>
+      </div>
     </header>
 
+    <aside id="bookmarks-sidebar" class="bookmarks-sidebar"></aside>
+
+    ${bots.length > 1 ? `<section class="section">
+      <h2 class="section-title">Bots side by side</h2>
+      <div id="bot-comparison" class="bot-comparison"></div>
+    </section>` : ""}
+
     <section class="section">
-      <h2 class="section-title">Activity: Emails, Moltbook Posts & Comments</h2>
+      <h2 class="section-title">Activity</h2>
       <div id="activity-chart" class="activity-bar-grid"></div>
     </section>
 
@@ -137,6 +359,12 @@ export async function renderApp() {
       <div id="semantic-search-panel"></div>
     </section>
 
+    <section class="section">
+      <h2 class="section-title">Topics</h2>
+      <p class="subtitle">Messages clustered by meaning (<code>npm run topics</code>); volume per topic over the selected range</p>
+      <div id="topic-river"></div>
+    </section>
+
     <section class="section">
       <h2 class="section-title">Event Timeline</h2>
       <div class="event-legend" id="legend"></div>
@@ -151,31 +379,38 @@ export async function renderApp() {
     </section>
   `;
 
-  // Activity chart (emails, moltbook posts, comments)
+  // Activity chart: one bar per rule-defined event type (config/event-rules.json)
   const activityChart = document.getElementById("activity-chart");
-  if (activityChart) {
-    const counts = summary.activityCounts ?? { email_sent: 0, moltbook_post: 0, moltbook_comment: 0 };
-    activityChart.innerHTML = `
-      <div class="activity-bar-item">
-        <div class="activity-bar-label">Emails sent</div>
-        <div class="activity-bar-value">${counts.email_sent}</div>
-      </div>
+  function renderActivity() {
+    if (!activityChart) return;
+    const activityTypes = summary.activityTypes ?? {};
+    const counts: Record<string, number> = selectedBot ? tally(selectedBot).types : summary.activityCounts ?? {};
+    const types = [...new Set([...Object.keys(activityTypes), ...Object.keys(counts)])];
+    activityChart.innerHTML = types.length
+      ? types
+          .map(
+            (t) => `
       <div class="activity-bar-item">
-        <div class="activity-bar-label">Moltbook posts</div>
-        <div class="activity-bar-value">${counts.moltbook_post}</div>
-      </div>
-      <div class="activity-bar-item">
-        <div class="activity-bar-label">Moltbook comments</div>
-        <div class="activity-bar-value">${counts.moltbook_comment}</div>
-      </div>
-    `;
+        <div class="activity-bar-label">${escapeHtml(activityTypes[t]?.label ?? t.replace(/_/g, " "))}</div>
+        <div class="activity-bar-value" style="color:${EVENT_COLORS[t] ?? "#6b7a8f"}">${counts[t] ?? 0}</div>
+      </div>`
+          )
+          .join("")
+      : `<div class="activity-bar-label">No activity rules defined</div>`;
   }
 
   // MD bar chart - include known files + any extras from logs
   const mdChart = document.getElementById("md-chart");
-  if (mdChart) {
-    const counts = summary.mdWriteCounts ?? {};
-    const bytes = summary.mdWriteBytes ?? {};
+  function renderMdChart() {
+    if (!mdChart) return;
+    // The summary tallies all bots; for one bot, use that bot's totals instead
+    let counts = summary.mdWriteCounts ?? {};
+    let bytes = summary.mdWriteBytes ?? {};
+    if (selectedBot) {
+      const botTally = tally(selectedBot);
+      counts = botTally.mdWriteCounts;
+      bytes = botTally.mdWriteBytes;
+    }
     const extraFiles = Object.keys(counts).filter((k) => !MD_FILES.includes(k));
     const allFiles = [...MD_FILES, ...extraFiles];
     let items = allFiles.map((f) => ({
@@ -188,10 +423,29 @@ export async function renderApp() {
     renderMdBarChart(mdChart, items);
   }
 
+  // Bots side by side: one column per bot, the selected one highlighted
+  const botComparison = document.getElementById("bot-comparison");
+  function renderBotComparison() {
+    if (!botComparison) return;
+    const byBot = new Map(bots.map((b) => [b, tally(b)]));
+    const rows = comparisonRows(summary.activityTypes ?? {});
+    botComparison.innerHTML = `<table>
+      <thead><tr><th></th>${bots.map((b) => `<th class="${b === selectedBot ? "selected" : ""}">${escapeHtml(b)}</th>`).join("")}</tr></thead>
+      <tbody>${rows
+        .map(([label, count]) => `<tr><td>${escapeHtml(label)}</td>${bots.map((b) => `<td class="${b === selectedBot ? "selected" : ""}">${count(byBot.get(b)!)}</td>`).join("")}</tr>`)
+        .join("")}</tbody>
+    </table>`;
+  }
+
   const legend = document.getElementById("legend");
   const mdEditsPanel = document.getElementById("md-edits-panel");
   const semanticPanel = document.getElementById("semantic-search-panel");
+  const topicRiver = document.getElementById("topic-river");
   const timelineEl = document.getElementById("timeline");
+  const detailStatus = document.getElementById("detail-status");
+  const bookmarksSidebar = document.getElementById("bookmarks-sidebar");
+  const bookmarksToggle = document.getElementById("bookmarks-toggle");
+  bookmarksToggle?.addEventListener("click", () => bookmarksSidebar?.classList.toggle("open"));
 
   const resetTimeRange = () => {
     timeRange = [null, null];
@@ -201,5 +455,51 @@ export async function renderApp() {
   document.querySelector(".btn-reset-md")?.addEventListener("click", resetTimeRange);
   document.querySelector(".btn-reset-semantic")?.addEventListener("click", resetTimeRange);
 
+  const botFilter = document.getElementById("bot-filter") as HTMLSelectElement | null;
+  if (botFilter) {
+    botFilter.value = selectedBot ?? "";
+    botFilter.addEventListener("change", () => {
+      selectedBot = botFilter.value || null;
+      const url = new URL(location.href);
+      if (selectedBot) url.searchParams.set("bot", selectedBot);
+      else url.searchParams.delete("bot");
+      history.replaceState(null, "", url);
+      renderSummaries();
+      render();
+    });
+  }
+  function renderSummaries() {
+    renderActivity();
+    renderMdChart();
+    renderBotComparison();
+  }
+
+  // Live tail (npm run parse:watch + embed-api.js): append events as they arrive
+  const liveStatus = document.getElementById("live-status");
+  const followLatest = document.getElementById("follow-latest") as HTMLInputElement | null;
+  subscribeLiveEvents(
+    allEvents,
+    (incoming) => {
+      allEvents.push(...incoming);
+      allEvents.sort(byTime);
+      if (overview) addToOverview(overview, incoming);
+      if (liveStatus) liveStatus.textContent = `Live: +${incoming.length} at ${new Date().toLocaleTimeString()}`;
+      // Following: slide a brushed window so it ends at the newest event
+      const [start, end] = timeRange;
+      if (followLatest?.checked && end) {
+        const latest = new Date(allEvents[allEvents.length - 1].time);
+        timeRange = start ? [new Date(latest.getTime() - (end.getTime() - start.getTime())), latest] : [null, latest];
+      }
+      renderBotComparison();
+      render();
+    },
+    (connected) => {
+      liveStatus?.classList.toggle("connected", connected);
+      if (liveStatus && !connected) liveStatus.textContent = "Live: offline";
+      else if (liveStatus && liveStatus.textContent === "Live: offline") liveStatus.textContent = "Live: connected";
+    }
+  );
+
+  renderSummaries();
   render();
 }
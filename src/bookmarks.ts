@@ -0,0 +1,206 @@
+import * as d3 from "d3";
+import type { LogEvent } from "./types";
+
+const BOOKMARKS_URL = "api/bookmarks";
+const SNIPPET_LEN = 160;
+const EXPORT_MESSAGE_LEN = 1000;
+
+/** A bookmarked event (config/bookmarks.local.json, through embed-api.js) */
+export interface Bookmark {
+  tags: string[];
+  /** Markdown */
+  note: string;
+  /** Where the bookmark points, so it can be listed without the event loaded */
+  event: { time?: string; type?: string; category?: string; botId?: string; sessionId?: string };
+  createdAt: string;
+  updatedAt: string;
+}
+
+/** Event id → bookmark */
+export type Bookmarks = Record<string, Bookmark>;
+
+export interface BookmarksState {
+  bookmarks: Bookmarks;
+  /** False when the API isn't running: bookmarks can't be loaded or saved */
+  available: boolean;
+  /** Event being bookmarked or edited, shown in the editor at the top */
+  editing: LogEvent | null;
+  /** Only list bookmarks with this tag */
+  tag: string | null;
+  error?: string;
+}
+
+export interface BookmarksHandlers {
+  onSave: (event: LogEvent, tags: string[], note: string) => void;
+  onRemove: (id: string) => void;
+  /** Show the bookmarked event: brush around it and edit it */
+  onJump: (id: string) => void;
+  onTag: (tag: string | null) => void;
+  onCancel: () => void;
+}
+
+function escapeHtml(s: string): string {
+  const div = document.createElement("div");
+  div.textContent = s;
+  return div.innerHTML;
+}
+
+function formatTime(iso: string | undefined): string {
+  return iso ? d3.timeFormat("%b %d %H:%M:%S")(new Date(iso)) : "unknown time";
+}
+
+async function request(url: string, init?: RequestInit) {
+  const res = await fetch(url, init);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || "Bookmarks request failed");
+  }
+  return res.json();
+}
+
+/** Bookmarks from the API, or null when it isn't running (e.g. the standalone build). */
+export async function loadBookmarks(): Promise<Bookmarks | null> {
+  try {
+    const res = await fetch(BOOKMARKS_URL);
+    return res.ok ? (await res.json()).bookmarks ?? {} : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Create or update the bookmark of an event. Returns it as stored (tags tidied). */
+export async function saveBookmark(event: LogEvent, tags: string[], note: string): Promise<Bookmark> {
+  const { time, type, category, botId, sessionId } = event;
+  const body = { id: event.id, tags, note, event: { time, type, category, botId, sessionId } };
+  return (await request(BOOKMARKS_URL, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) })).bookmark;
+}
+
+export async function deleteBookmark(id: string): Promise<void> {
+  await request(`${BOOKMARKS_URL}?id=${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+/** Bookmarks with `tag` (all without one), oldest event first. */
+export function filterBookmarks(bookmarks: Bookmarks, tag: string | null): [string, Bookmark][] {
+  return Object.entries(bookmarks)
+    .filter(([, b]) => !tag || b.tags.includes(tag))
+    .sort(([, a], [, b]) => (a.event.time ?? "").localeCompare(b.event.time ?? ""));
+}
+
+/** Markdown report: one section per bookmark with its tags, the event's message quoted and the note. */
+export function bookmarksMarkdown(entries: [string, Bookmark][], eventsById: Map<string, LogEvent>): string {
+  const sections = entries.map(([id, b]) => {
+    const e = eventsById.get(id);
+    const what = [b.event.type, b.event.category, b.event.botId].filter(Boolean).join(" · ");
+    const message = (e?.message ?? "").trim();
+    const quote = message
+      ? (message.length > EXPORT_MESSAGE_LEN ? message.slice(0, EXPORT_MESSAGE_LEN) + "…" : message)
+          .split("\n")
+          .map((l) => `> ${l}`)
+          .join("\n")
+      : "";
+    return [
+      `## ${b.event.time ?? "Unknown time"}${what ? ` · ${what}` : ""}`,
+      `Event \`${id}\`${b.event.sessionId ? ` · session \`${b.event.sessionId}\`` : ""}${b.tags.length ? ` · ${b.tags.map((t) => `\`${t}\``).join(" ")}` : ""}`,
+      quote,
+      b.note,
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+  });
+  return `# Bookmarks\n\nExported ${new Date().toISOString()}, ${entries.length} bookmark(s).\n\n${sections.join("\n\n---\n\n")}\n`;
+}
+
+/** JSON export: the bookmarks as a list, each with its event's message when loaded. */
+export function bookmarksJson(entries: [string, Bookmark][], eventsById: Map<string, LogEvent>): string {
+  const bookmarks = entries.map(([id, b]) => ({ id, ...b, message: eventsById.get(id)?.message }));
+  return JSON.stringify({ exportedAt: new Date().toISOString(), bookmarks }, null, 2);
+}
+
+function download(name: string, text: string, type: string) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Bookmarks sidebar: the editor for the selected event (tags, markdown note),
+ * a tag filter, the bookmarks oldest first (click → onJump) and export of the
+ * listed ones as Markdown or JSON.
+ */
+export function renderBookmarksSidebar(container: HTMLElement, state: BookmarksState, eventsById: Map<string, LogEvent>, handlers: BookmarksHandlers) {
+  const { bookmarks, available, editing, tag } = state;
+  const entries = filterBookmarks(bookmarks, tag);
+  const allTags = [...new Set(Object.values(bookmarks).flatMap((b) => b.tags))].sort();
+  const current = editing?.id ? bookmarks[editing.id] : undefined;
+
+  const editor = editing
+    ? `<div class="bookmark-editor">
+        <div class="bookmark-meta">${escapeHtml(formatTime(editing.time))} · ${escapeHtml(editing.type)}${editing.category ? ` · ${escapeHtml(editing.category)}` : ""}</div>
+        <div class="bookmark-snippet">${escapeHtml(editing.message.slice(0, SNIPPET_LEN))}${editing.message.length > SNIPPET_LEN ? "…" : ""}</div>
+        ${editing.id
+          ? `<input type="text" id="bookmark-tags" placeholder="Tags, comma separated" value="${escapeHtml((current?.tags ?? []).join(", "))}">
+        <textarea id="bookmark-note" rows="6" placeholder="Note (markdown)">${escapeHtml(current?.note ?? "")}</textarea>
+        <div class="bookmark-actions">
+          <button type="button" id="bookmark-save"${available ? "" : " disabled"}>${current ? "Save" : "Bookmark"}</button>
+          ${current ? `<button type="button" id="bookmark-remove">Remove</button>` : ""}
+          <button type="button" id="bookmark-cancel">Close</button>
+        </div>`
+          : `<div class="bookmark-meta">This event has no id; re-parse to bookmark it.</div>`}
+      </div>`
+    : `<div class="bookmark-meta">Click an event on the timeline to bookmark it.</div>`;
+
+  container.innerHTML = `
+    <h2 class="section-title">Bookmarks</h2>
+    ${available ? "" : `<div class="bookmark-error">Bookmarks need the API: run <code>npm run dev</code>.</div>`}
+    ${state.error ? `<div class="bookmark-error">${escapeHtml(state.error)}</div>` : ""}
+    ${editor}
+    ${allTags.length
+      ? `<div class="bookmark-tags">${allTags
+          .map((t) => `<button type="button" class="topic-chip${t === tag ? " selected" : ""}" data-tag="${escapeHtml(t)}">${escapeHtml(t)}</button>`)
+          .join("")}</div>`
+      : ""}
+    <div class="bookmark-list">${entries.length
+      ? entries
+          .map(([id, b]) => {
+            const e = eventsById.get(id);
+            const text = e?.message ?? "";
+            return `<div class="bookmark-item${editing?.id === id ? " selected" : ""}" data-id="${escapeHtml(id)}">
+              <div class="bookmark-meta">${escapeHtml(formatTime(b.event.time))} · ${escapeHtml(b.event.type ?? "")} <a href="god-file-view.html#e-${escapeHtml(id)}" target="_blank">god file →</a></div>
+              ${b.tags.length ? `<div class="bookmark-item-tags">${b.tags.map((t) => `<span>${escapeHtml(t)}</span>`).join("")}</div>` : ""}
+              ${b.note ? `<div class="bookmark-note">${escapeHtml(b.note)}</div>` : text ? `<div class="bookmark-snippet">${escapeHtml(text.slice(0, SNIPPET_LEN))}</div>` : ""}
+            </div>`;
+          })
+          .join("")
+      : `<div class="bookmark-meta">${tag ? "No bookmarks with this tag." : "No bookmarks yet."}</div>`}</div>
+    ${entries.length
+      ? `<div class="bookmark-actions"><button type="button" id="bookmarks-export-md">Export Markdown</button><button type="button" id="bookmarks-export-json">Export JSON</button></div>`
+      : ""}
+  `;
+
+  const day = new Date().toISOString().slice(0, 10);
+  container.querySelector("#bookmarks-export-md")?.addEventListener("click", () =>
+    download(`bookmarks-${day}.md`, bookmarksMarkdown(entries, eventsById), "text/markdown")
+  );
+  container.querySelector("#bookmarks-export-json")?.addEventListener("click", () =>
+    download(`bookmarks-${day}.json`, bookmarksJson(entries, eventsById), "application/json")
+  );
+  container.querySelector("#bookmark-save")?.addEventListener("click", () => {
+    const tags = (container.querySelector("#bookmark-tags") as HTMLInputElement).value.split(",").map((t) => t.trim()).filter(Boolean);
+    const note = (container.querySelector("#bookmark-note") as HTMLTextAreaElement).value;
+    if (editing) handlers.onSave(editing, tags, note);
+  });
+  container.querySelector("#bookmark-remove")?.addEventListener("click", () => editing?.id && handlers.onRemove(editing.id));
+  container.querySelector("#bookmark-cancel")?.addEventListener("click", handlers.onCancel);
+  container.querySelectorAll<HTMLElement>("[data-tag]").forEach((el) =>
+    el.addEventListener("click", () => handlers.onTag(el.dataset.tag === tag ? null : el.dataset.tag ?? null))
+  );
+  container.querySelectorAll<HTMLElement>(".bookmark-item").forEach((el) =>
+    el.addEventListener("click", (ev) => {
+      if ((ev.target as HTMLElement).closest("a")) return;
+      handlers.onJump(el.dataset.id!);
+    })
+  );
+}
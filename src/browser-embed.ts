@@ -0,0 +1,64 @@
+const EMBED_URL = "api/embed";
+
+let worker: Worker | null = null;
+let nextId = 0;
+const pending = new Map<number, { resolve: (v: number[]) => void; reject: (e: Error) => void }>();
+
+function getWorker(): Worker {
+  if (worker) return worker;
+  worker = new Worker(new URL("./embed-worker.ts", import.meta.url), { type: "module" });
+  worker.onmessage = (msg: MessageEvent<{ id: number; embedding?: number[]; error?: string }>) => {
+    const { id, embedding, error } = msg.data;
+    const p = pending.get(id);
+    pending.delete(id);
+    if (embedding) p?.resolve(embedding);
+    else p?.reject(new Error(error || "Embed failed"));
+  };
+  worker.onerror = (e) => {
+    for (const p of pending.values()) p.reject(new Error(e.message || "Embed worker failed"));
+    pending.clear();
+    worker = null;
+  };
+  return worker;
+}
+
+/** Embed `text` with the bundled model in a Web Worker (the first call loads the model). */
+export function embedInBrowser(text: string): Promise<number[]> {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, text, base: new URL("./", location.href).href });
+  });
+}
+
+// null until the API has answered (or failed to) once
+let apiReachable: boolean | null = null;
+
+/**
+ * Embed a prompt with the embed API (POST /api/embed), or in the browser when
+ * the API can't be reached — no server (standalone build), or a non-JSON reply
+ * such as a static host's 404 page. Errors the API reports itself are thrown.
+ */
+export async function embedPrompt(text: string): Promise<number[]> {
+  if (apiReachable !== false) {
+    let res: Response | null = null;
+    let data: { embedding?: number[]; error?: string } | null = null;
+    try {
+      res = await fetch(EMBED_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text: text.trim() }),
+      });
+      data = await res.json();
+    } catch {
+      data = null;
+    }
+    apiReachable = data !== null;
+    if (data) {
+      if (!res!.ok) throw new Error(data.error || res!.statusText || "Embed failed");
+      if (!Array.isArray(data.embedding)) throw new Error("Invalid embed response");
+      return data.embedding;
+    }
+  }
+  return embedInBrowser(text.trim());
+}
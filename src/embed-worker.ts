@@ -0,0 +1,43 @@
+/**
+ * Embeds prompt text in the browser, off the main thread, when the embed API
+ * isn't reachable (e.g. the standalone build). Same model and options as
+ * scripts/embed-api.js, loaded from the bundled public/models/ weights and
+ * public/onnx-wasm/ runtime (`npm run download-model`).
+ *
+ * Messages in: { id, text, base } — `base` is the page's directory URL, since
+ * relative URLs here would resolve against the worker script.
+ * Messages out: { id, embedding } or { id, error }.
+ */
+import { env, pipeline } from "@xenova/transformers";
+
+const MODEL = "Xenova/all-MiniLM-L6-v2";
+
+type Extractor = (text: string, options: Record<string, unknown>) => Promise<{ data: Float32Array }>;
+
+let extractor: Promise<Extractor> | null = null;
+
+function loadExtractor(base: string): Promise<Extractor> {
+  env.localModelPath = new URL("models/", base).href;
+  env.allowRemoteModels = false;
+  env.useBrowserCache = false;
+  // Single-threaded, non-SIMD wasm works without cross-origin isolation (static hosts)
+  const wasm = env.backends.onnx.wasm;
+  wasm.wasmPaths = new URL("onnx-wasm/", base).href;
+  wasm.numThreads = 1;
+  wasm.simd = false;
+  wasm.proxy = false;
+  return pipeline("feature-extraction", MODEL, { local_files_only: true }) as unknown as Promise<Extractor>;
+}
+
+self.addEventListener("message", async (msg: MessageEvent<{ id: number; text: string; base: string }>) => {
+  const { id, text, base } = msg.data;
+  try {
+    extractor ??= loadExtractor(base);
+    const output = await (await extractor)(text, { padding: true, truncation: true, pooling: "mean", normalize: true });
+    self.postMessage({ id, embedding: Array.from(output.data) });
+  } catch (e) {
+    // A failed model load is retried on the next prompt
+    extractor = null;
+    self.postMessage({ id, error: e instanceof Error ? e.message : String(e) });
+  }
+});
@@ -0,0 +1,67 @@
+const EMBEDDINGS_URL = "embeddings/";
+
+/** Event embeddings from public/embeddings/ (written by `npm run embed`) */
+export interface EmbeddingStore {
+  model: string;
+  dim: number;
+  size: number;
+  get(id: string | undefined): Float32Array | undefined;
+}
+
+interface EmbeddingIndex {
+  model: string;
+  dim: number;
+  count: number;
+  ids: string[];
+  files: { float32?: string; int8?: string };
+}
+
+async function fetchBuffer(file: string): Promise<ArrayBuffer | null> {
+  const res = await fetch(EMBEDDINGS_URL + file);
+  return res.ok ? res.arrayBuffer() : null;
+}
+
+/**
+ * Load the binary embedding store, or null when there is none. Uses the Float32
+ * file unless `variant` is "int8" (a quarter of the download) or only the int8
+ * file exists; int8 rows are dequantized once here.
+ */
+export async function loadEmbeddings(variant: "float32" | "int8" = "float32"): Promise<EmbeddingStore | null> {
+  let index: EmbeddingIndex;
+  try {
+    const res = await fetch(EMBEDDINGS_URL + "index.json");
+    if (!res.ok) return null;
+    index = await res.json();
+  } catch {
+    return null;
+  }
+  const { dim, ids, files } = index;
+  const useInt8 = files.int8 && (variant === "int8" || !files.float32);
+  let vectors: Float32Array;
+  if (useInt8) {
+    const buf = await fetchBuffer(files.int8!);
+    if (!buf) return null;
+    const scales = new Float32Array(buf, 0, ids.length);
+    const q = new Int8Array(buf, ids.length * 4, ids.length * dim);
+    vectors = new Float32Array(ids.length * dim);
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i * dim; j < (i + 1) * dim; j++) vectors[j] = q[j] * scales[i];
+    }
+  } else if (files.float32) {
+    const buf = await fetchBuffer(files.float32);
+    if (!buf) return null;
+    vectors = new Float32Array(buf);
+  } else {
+    return null;
+  }
+  const row = new Map(ids.map((id, i) => [id, i]));
+  return {
+    model: index.model,
+    dim,
+    size: ids.length,
+    get(id) {
+      const i = id ? row.get(id) : undefined;
+      return i === undefined ? undefined : vectors.subarray(i * dim, (i + 1) * dim);
+    },
+  };
+}
@@ -0,0 +1,78 @@
+import type { LogEvent } from "./types";
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Words plus identifiers kept whole: read_file, SOUL.md, ECONNREFUSED, 0x1f, v2.3.1
+const TOKEN_RE = /[\p{L}\p{N}_](?:[\p{L}\p{N}_.\-/]*[\p{L}\p{N}_])?/gu;
+
+/**
+ * Lowercased tokens of `text`. Compound identifiers are also split into their
+ * parts, so "SOUL.md" matches "soul" and "read_file" matches "file".
+ */
+export function tokenize(text: string): string[] {
+  const out: string[] = [];
+  for (const [tok] of text.toLowerCase().matchAll(TOKEN_RE)) {
+    out.push(tok);
+    if (/[_.\-/]/.test(tok)) out.push(...tok.split(/[_.\-/]+/).filter(Boolean));
+  }
+  return out;
+}
+
+/** Text of an event that keyword search sees */
+const searchText = (e: LogEvent) => `${e.category ?? ""} ${e.message ?? ""}`;
+
+export interface KeywordHit {
+  event: LogEvent;
+  score: number;
+}
+
+/** BM25 index over the events' category and message. */
+export function createKeywordIndex(events: LogEvent[]) {
+  const postings = new Map<string, { doc: number; tf: number }[]>();
+  const lengths = new Float64Array(events.length);
+  events.forEach((e, doc) => {
+    const tokens = tokenize(searchText(e));
+    lengths[doc] = tokens.length;
+    const tf = new Map<string, number>();
+    for (const t of tokens) tf.set(t, (tf.get(t) ?? 0) + 1);
+    for (const [t, n] of tf) {
+      let list = postings.get(t);
+      if (!list) postings.set(t, (list = []));
+      list.push({ doc, tf: n });
+    }
+  });
+  const avgLength = lengths.reduce((a, b) => a + b, 0) / (events.length || 1);
+
+  return {
+    /** Events matching any query term, best first. */
+    search(query: string): KeywordHit[] {
+      const scores = new Map<number, number>();
+      for (const term of new Set(tokenize(query))) {
+        const list = postings.get(term);
+        if (!list) continue;
+        const idf = Math.log(1 + (events.length - list.length + 0.5) / (list.length + 0.5));
+        for (const { doc, tf } of list) {
+          const norm = tf + K1 * (1 - B + (B * lengths[doc]) / (avgLength || 1));
+          scores.set(doc, (scores.get(doc) ?? 0) + (idf * tf * (K1 + 1)) / norm);
+        }
+      }
+      return [...scores.entries()].map(([doc, score]) => ({ event: events[doc], score })).sort((a, b) => b.score - a.score);
+    },
+  };
+}
+
+export type KeywordIndex = ReturnType<typeof createKeywordIndex>;
+
+// One index per event list; rebuilt when events are added (live tail, newly loaded shards)
+const indexes = new WeakMap<LogEvent[], { key: string; index: KeywordIndex }>();
+
+export function keywordIndexFor(events: LogEvent[]): KeywordIndex {
+  const key = String(events.length);
+  const cached = indexes.get(events);
+  if (cached?.key === key) return cached.index;
+  const index = createKeywordIndex(events);
+  indexes.set(events, { key, index });
+  return index;
+}
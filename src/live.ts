@@ -0,0 +1,50 @@
+import type { LogEvent } from "./types";
+
+const LIVE_URL = "api/live";
+const FLUSH_MS = 1000;
+
+/**
+ * Subscribe to events streamed by `npm run parse:watch` through embed-api.js
+ * (`/live`, Server-Sent Events). New events are batched and delivered at most
+ * once per second; events whose id is already known are dropped. Returns an
+ * unsubscribe function.
+ */
+export function subscribeLiveEvents(
+  known: LogEvent[],
+  onEvents: (events: LogEvent[]) => void,
+  onStatus?: (connected: boolean) => void
+): () => void {
+  const seen = new Set(known.map((e) => e.id).filter(Boolean));
+  let pending: LogEvent[] = [];
+  let timer: ReturnType<typeof setTimeout> | null = null;
+
+  const flush = () => {
+    timer = null;
+    const batch = pending;
+    pending = [];
+    if (batch.length) onEvents(batch);
+  };
+
+  const source = new EventSource(LIVE_URL);
+  source.onopen = () => onStatus?.(true);
+  source.onerror = () => onStatus?.(false);
+  source.onmessage = (msg) => {
+    let ev: LogEvent;
+    try {
+      ev = JSON.parse(msg.data);
+    } catch {
+      return;
+    }
+    if (ev.id) {
+      if (seen.has(ev.id)) return;
+      seen.add(ev.id);
+    }
+    pending.push(ev);
+    timer ??= setTimeout(flush, FLUSH_MS);
+  };
+
+  return () => {
+    source.close();
+    if (timer) clearTimeout(timer);
+  };
+}
@@ -22,7 +22,9 @@ export function renderMdEditsPanel(
   mdEvents: LogEvent[],
   timeDomain?: [Date | null, Date | null],
   allMdEvents?: LogEvent[],
-  onRangeChange?: (start: Date | null, end: Date | null) => void
+  onRangeChange?: (start: Date | null, end: Date | null) => void,
+  /** Span the brush covers when not every day's events are loaded */
+  extent?: [Date, Date]
 ) {
   container.innerHTML = "";
 
@@ -134,7 +136,7 @@ export function renderMdEditsPanel(
       ...e,
       _lane: otherFiles.has(e.category) ? "Other" : e.category,
     }));
-    renderMdTimeline(timelineEl, timelineEvents, timelineFiles, colorScale, timeDomain, allMdEvents, onRangeChange);
+    renderMdTimeline(timelineEl, timelineEvents, timelineFiles, colorScale, timeDomain, allMdEvents, onRangeChange, extent);
   }
 
   const filterEl = document.getElementById("md-edits-filter");
@@ -152,7 +154,8 @@ function renderMdTimeline(
   colorScale: d3.ScaleOrdinal<string, string, never>,
   timeDomain?: [Date | null, Date | null],
   allEvents?: LogEvent[],
-  onRangeChange?: (start: Date | null, end: Date | null) => void
+  onRangeChange?: (start: Date | null, end: Date | null) => void,
+  extent?: [Date, Date]
 ) {
   container.innerHTML = "";
 
@@ -356,7 +359,7 @@ function renderMdTimeline(
 
   // Brush with d3.brushX for reliable interaction
   if (hasBrush && onRangeChange) {
-    const fullExtent = d3.extent(allEvents!, (e: LogEvent) => new Date(e.time)) as [Date, Date];
+    const fullExtent = d3.extent([...allEvents!.map((e) => new Date(e.time)), ...(extent ?? [])]) as [Date, Date];
     const [domainStart, domainEnd] = timeDomain ?? [null, null];
     const selStart = domainStart ?? fullExtent[0];
     const selEnd = domainEnd ?? fullExtent[1];
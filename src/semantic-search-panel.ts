@@ -1,5 +1,9 @@
 import * as d3 from "d3";
 import type { LogEvent } from "./types";
+import type { EmbeddingStore } from "./embeddings";
+import { searchEvents, type SearchHit, type SearchStatus } from "./vector-search";
+import { keywordIndexFor, tokenize } from "./keyword-search";
+import { embedPrompt } from "./browser-embed";
 
 const LANE_HEIGHT = 32;
 const DOT_R = 5;
@@ -16,7 +20,29 @@ function formatTime(iso: string): string {
   return d3.timeFormat("%b %d %H:%M:%S")(d);
 }
 
-function cosineSimilarity(a: number[], b: number[]): number {
+const escapeRegExp = (s: string) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Up to SNIPPET_LEN chars of `text` around the first query term, terms wrapped in <mark>. */
+function highlightSnippet(text: string, query: string): string {
+  const flat = text.replace(/\s+/g, " ").trim();
+  const terms = [...new Set(tokenize(query))].filter((t) => t.length > 1).sort((a, b) => b.length - a.length);
+  const re = terms.length ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`, "giu") : null;
+  const first = re ? flat.search(re) : -1;
+  const start = Math.max(0, first - Math.floor(SNIPPET_LEN / 3));
+  const slice = flat.slice(start, start + SNIPPET_LEN);
+  let out = "";
+  let last = 0;
+  if (re) {
+    for (const m of slice.matchAll(re)) {
+      out += `${escapeHtml(slice.slice(last, m.index))}<mark>${escapeHtml(m[0])}</mark>`;
+      last = m.index! + m[0].length;
+    }
+  }
+  out += escapeHtml(slice.slice(last));
+  return (start > 0 ? "…" : "") + out + (start + SNIPPET_LEN < flat.length ? "…" : "");
+}
+
+function cosineSimilarity(a: ArrayLike<number>, b: ArrayLike<number>): number {
   if (a.length !== b.length) return 0;
   let dot = 0, normA = 0, normB = 0;
   for (let i = 0; i < a.length; i++) {
@@ -35,6 +61,28 @@ export interface SemanticPrompt {
   color: string;
 }
 
+/** Where event embeddings come from: the embed API's search index when it's up, else vectors in the browser */
+export interface SemanticSearchSources {
+  embeddings?: EmbeddingStore | null;
+  server?: SearchStatus | null;
+  /** Selected bot, passed to the server search as a filter */
+  bot?: string | null;
+  /** Span the brush covers when not every day's events are loaded */
+  extent?: [Date, Date];
+}
+
+// Server results per prompt, role, time range and bot. Fetched down to the lowest
+// slider threshold so moving the slider only filters locally.
+const SERVER_TOP_K = 500;
+const SERVER_MIN_SCORE = 0.3;
+const serverResults = new Map<string, SearchHit[] | Error | "pending">();
+
+// Ranked results: hybrid = w × keyword + (1 − w) × semantic, keyword being BM25 relative to the best match
+const DEFAULT_KEYWORD_WEIGHT = 0.5;
+const RANK_CANDIDATES = 200;
+const RANKED_LIMIT = 50;
+const SNIPPET_LEN = 240;
+
 const PROMPT_COLORS = [
   "#5eb9ff", "#a78bfa", "#34d399", "#f59e0b", "#f472b6",
   "#4ade80", "#f87171", "#22c55e", "#eab308", "#06b6d4",
@@ -47,17 +95,25 @@ export function renderSemanticSearchPanel(
   setPrompts: (prompts: SemanticPrompt[]) => void,
   timeDomain?: [Date | null, Date | null],
   allEvents?: LogEvent[],
-  onRangeChange?: (start: Date | null, end: Date | null) => void
+  onRangeChange?: (start: Date | null, end: Date | null) => void,
+  { embeddings, server, bot, extent }: SemanticSearchSources = {}
 ) {
+  // Binary store (npm run embed); inline `embedding` arrays from older events.json files still work
+  const embeddingOf = (e: LogEvent): ArrayLike<number> | undefined => embeddings?.get(e.id) ?? e.embedding;
+  const hasEmbedding = (e: LogEvent) => (embeddingOf(e)?.length ?? 0) > 0;
+
   const prevThresholdEl = document.getElementById("semantic-threshold") as HTMLInputElement | null;
   const threshold = prevThresholdEl ? parseFloat(prevThresholdEl.value) : 0.6;
+  const prevWeightEl = document.getElementById("semantic-keyword-weight") as HTMLInputElement | null;
+  const keywordWeight = prevWeightEl ? parseFloat(prevWeightEl.value) : DEFAULT_KEYWORD_WEIGHT;
+  let rankedPromptId = (document.getElementById("semantic-ranked-prompt") as HTMLSelectElement | null)?.value ?? "";
 
   container.innerHTML = "";
 
-  const eventsWithEmbeddings = events.filter((e) => e.embedding && e.embedding.length > 0);
+  const eventsWithEmbeddings = events.filter(hasEmbedding);
   const userEvents = eventsWithEmbeddings.filter((e) => e.role === "user");
   const assistantEvents = eventsWithEmbeddings.filter((e) => e.role === "assistant");
-  const hasEmbeddings = userEvents.length > 0 || assistantEvents.length > 0;
+  const hasEmbeddings = server ? server.count > 0 : userEvents.length > 0 || assistantEvents.length > 0;
 
   const panel = document.createElement("div");
   panel.className = "semantic-search-panel";
@@ -110,6 +166,26 @@ export function renderSemanticSearchPanel(
 
   panel.appendChild(timelineWrap);
 
+  const rankedWrap = document.createElement("div");
+  rankedWrap.className = "semantic-ranked";
+  rankedWrap.innerHTML = `
+    <div class="semantic-ranked-controls">
+      <h4>Ranked results</h4>
+      <select id="semantic-ranked-prompt"></select>
+      <label>
+        <span>Keyword</span>
+        <input type="range" id="semantic-keyword-weight" min="0" max="1" step="0.05" value="${keywordWeight}" />
+        <span>Semantic</span>
+        <span id="semantic-keyword-weight-value"></span>
+      </label>
+    </div>
+    <div id="semantic-ranked-list" class="semantic-ranked-list"></div>
+  `;
+  panel.appendChild(rankedWrap);
+  const rankedSelect = rankedWrap.querySelector("#semantic-ranked-prompt") as HTMLSelectElement;
+  const weightEl = rankedWrap.querySelector("#semantic-keyword-weight") as HTMLInputElement;
+  const rankedList = rankedWrap.querySelector("#semantic-ranked-list") as HTMLElement;
+
   const resetWrap = document.createElement("div");
   resetWrap.className = "timeline-brush-controls";
   resetWrap.style.marginTop = "0.5rem";
@@ -118,26 +194,11 @@ export function renderSemanticSearchPanel(
 
   container.appendChild(panel);
 
-  async function embedText(text: string): Promise<number[]> {
-    const res = await fetch("/api/embed", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ text: text.trim() }),
-    });
-    if (!res.ok) {
-      const err = await res.json().catch(() => ({ error: res.statusText }));
-      throw new Error(err.error || "Embed failed");
-    }
-    const data = await res.json();
-    if (!Array.isArray(data.embedding)) throw new Error("Invalid embed response");
-    return data.embedding;
-  }
-
   function getMatchesForPrompt(p: SemanticPrompt, thresh: number, eventPool: LogEvent[]): { event: LogEvent; score: number }[] {
     if (!p.embedding) return [];
     const matches: { event: LogEvent; score: number }[] = [];
     for (const e of eventPool) {
-      const emb = e.embedding!;
+      const emb = embeddingOf(e)!;
       const score = cosineSimilarity(p.embedding!, emb);
       if (score >= thresh) matches.push({ event: e, score });
     }
@@ -145,6 +206,111 @@ export function renderSemanticSearchPanel(
     return matches;
   }
 
+  /** Matches from the embed API; starts the request (and re-renders when it returns) on first use. */
+  function getServerMatches(p: SemanticPrompt, role: "user" | "assistant" | undefined, thresh: number, byId: Map<string | undefined, LogEvent>) {
+    const [start, end] = timeDomain ?? [null, null];
+    const key = [p.id, role ?? "any", start?.toISOString(), end?.toISOString(), bot].join("|");
+    const cached = serverResults.get(key);
+    if (!cached && p.embedding) {
+      serverResults.set(key, "pending");
+      searchEvents({ vector: p.embedding, role, k: SERVER_TOP_K, minScore: SERVER_MIN_SCORE, bot, start: start?.toISOString(), end: end?.toISOString() })
+        .then(
+          (hits) => serverResults.set(key, hits),
+          (e) => serverResults.set(key, e instanceof Error ? e : new Error(String(e)))
+        )
+        .then(() => {
+          if (container.contains(panel)) render();
+        });
+    }
+    if (!Array.isArray(cached)) return { matches: [], pending: !cached || cached === "pending", error: cached instanceof Error ? cached : null };
+    const matches = cached.flatMap((h) => {
+      const event = h.score >= thresh ? byId.get(h.id) : undefined;
+      return event ? [{ event, score: h.score }] : [];
+    });
+    return { matches, pending: false, error: null };
+  }
+
+  function renderServerResults(currentThreshold: number) {
+    const byId = new Map((allEvents ?? events).map((e) => [e.id, e]));
+    for (const [role, el] of [["user", userTimelineEl], ["assistant", assistantTimelineEl]] as const) {
+      const results = prompts.map((p) => ({ prompt: p, ...getServerMatches(p, role, currentThreshold, byId) }));
+      const error = results.find((r) => r.error)?.error;
+      if (error) {
+        el.innerHTML = `<div class="empty-state"><p>Search failed: ${escapeHtml(error.message)}</p></div>`;
+      } else if (results.some((r) => r.pending)) {
+        el.innerHTML = `<div class="empty-state"><p>Searching…</p></div>`;
+      } else {
+        renderSemanticTimeline(el, results, timeDomain, allEvents ?? events, onRangeChange, extent);
+      }
+    }
+  }
+
+  /** Events in range ranked by keyword and semantic match to the selected prompt. */
+  function renderRanked() {
+    rankedSelect.innerHTML = prompts.map((p) => `<option value="${p.id}">${escapeHtml(p.text)}</option>`).join("");
+    if (!prompts.some((p) => p.id === rankedPromptId)) rankedPromptId = prompts[prompts.length - 1]?.id ?? "";
+    rankedSelect.value = rankedPromptId;
+    const w = parseFloat(weightEl.value);
+    const weightValue = rankedWrap.querySelector("#semantic-keyword-weight-value");
+    if (weightValue) weightValue.textContent = `${Math.round(w * 100)}% keyword`;
+
+    const prompt = prompts.find((p) => p.id === rankedPromptId);
+    if (!prompt) {
+      rankedList.innerHTML = '<div class="empty-state"><p>Add a prompt to rank events by keyword and semantic match.</p></div>';
+      return;
+    }
+
+    const pool = allEvents ?? events;
+    const [start, end] = timeDomain ?? [null, null];
+    const inRange = (e: LogEvent) => {
+      const t = new Date(e.time).getTime();
+      return (!start || t >= start.getTime()) && (!end || t <= end.getTime());
+    };
+    const keywordHits = keywordIndexFor(pool).search(prompt.text).filter((h) => inRange(h.event));
+    const bestKeyword = keywordHits[0]?.score ?? 0;
+    let semanticHits: { event: LogEvent; score: number }[];
+    if (server) {
+      const r = getServerMatches(prompt, undefined, SERVER_MIN_SCORE, new Map(pool.map((e) => [e.id, e])));
+      if (r.error || (r.pending && !keywordHits.length)) {
+        rankedList.innerHTML = `<div class="empty-state"><p>${r.error ? `Search failed: ${escapeHtml(r.error.message)}` : "Searching…"}</p></div>`;
+        return;
+      }
+      semanticHits = r.matches;
+    } else {
+      semanticHits = getMatchesForPrompt(prompt, 0, eventsWithEmbeddings);
+    }
+
+    const keywordOf = new Map(keywordHits.map((h) => [h.event, { raw: h.score, score: bestKeyword ? h.score / bestKeyword : 0 }]));
+    const semanticOf = new Map(semanticHits.map((h) => [h.event, Math.max(0, h.score)]));
+    const candidates = new Set([...keywordHits.slice(0, RANK_CANDIDATES), ...semanticHits.slice(0, RANK_CANDIDATES)].map((h) => h.event));
+    const ranked = [...candidates]
+      .map((event) => {
+        const keyword = keywordOf.get(event);
+        const semantic = semanticOf.get(event) ?? 0;
+        return { event, keyword, semantic, score: w * (keyword?.score ?? 0) + (1 - w) * semantic };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RANKED_LIMIT);
+
+    rankedList.innerHTML = ranked.length
+      ? ranked
+          .map(
+            ({ event: e, keyword, semantic, score }) => `
+      <div class="semantic-ranked-item">
+        <div class="semantic-ranked-meta">
+          <span class="semantic-ranked-score">${(score * 100).toFixed(0)}</span>
+          <span>${formatTime(e.time)}</span>
+          <span>${escapeHtml(e.type)}${e.category ? ` · ${escapeHtml(e.category)}` : ""}</span>
+          <span class="semantic-ranked-breakdown" title="BM25 ${keyword ? keyword.raw.toFixed(2) : "0"}, cosine ${semantic.toFixed(3)}">keyword ${((keyword?.score ?? 0) * 100).toFixed(0)}% · semantic ${(semantic * 100).toFixed(0)}%</span>
+          ${e.id ? `<a href="god-file-view.html#e-${encodeURIComponent(e.id)}" target="_blank">god file →</a>` : ""}
+        </div>
+        <div class="semantic-ranked-snippet">${highlightSnippet(e.message ?? "", prompt.text)}</div>
+      </div>`
+          )
+          .join("")
+      : '<div class="empty-state"><p>No keyword or semantic matches in range.</p></div>';
+  }
+
   function render() {
     const thresholdEl = document.getElementById("semantic-threshold") as HTMLInputElement;
     const thresholdVal = document.getElementById("semantic-threshold-value");
@@ -160,8 +326,9 @@ export function renderSemanticSearchPanel(
       if (end && t > end.getTime()) return false;
       return true;
     });
-    const filteredUser = filteredEvents.filter((e) => e.role === "user" && e.embedding && e.embedding.length > 0);
-    const filteredAssistant = filteredEvents.filter((e) => e.role === "assistant" && e.embedding && e.embedding.length > 0);
+    renderRanked();
+    const filteredUser = filteredEvents.filter((e) => e.role === "user" && hasEmbedding(e));
+    const filteredAssistant = filteredEvents.filter((e) => e.role === "assistant" && hasEmbedding(e));
 
     if (!hasEmbeddings) {
       userTimelineEl.innerHTML = `
@@ -191,6 +358,11 @@ export function renderSemanticSearchPanel(
       return;
     }
 
+    if (server) {
+      renderServerResults(currentThreshold);
+      return;
+    }
+
     const userPromptRows = prompts.map((p) => ({
       prompt: p,
       matches: getMatchesForPrompt(p, currentThreshold, userEvents).filter((m) =>
@@ -210,14 +382,16 @@ export function renderSemanticSearchPanel(
       userPromptRows,
       timeDomain,
       allEvents ?? events,
-      onRangeChange
+      onRangeChange,
+      extent
     );
     renderSemanticTimeline(
       assistantTimelineEl,
       assistantPromptRows,
       timeDomain,
       allEvents ?? events,
-      onRangeChange
+      onRangeChange,
+      extent
     );
   }
 
@@ -231,7 +405,7 @@ export function renderSemanticSearchPanel(
     addBtn.textContent = "Embedding…";
 
     try {
-      const embedding = await embedText(text);
+      const embedding = await embedPrompt(text);
       const next = [
         ...prompts,
         {
@@ -271,6 +445,11 @@ export function renderSemanticSearchPanel(
   });
 
   document.getElementById("semantic-threshold")?.addEventListener("input", () => render());
+  weightEl.addEventListener("input", renderRanked);
+  rankedSelect.addEventListener("change", () => {
+    rankedPromptId = rankedSelect.value;
+    renderRanked();
+  });
 
   // Prompt list with remove buttons
   function renderPromptList() {
@@ -306,7 +485,8 @@ function renderSemanticTimeline(
   promptRows: { prompt: SemanticPrompt; matches: { event: LogEvent; score: number }[] }[],
   timeDomain?: [Date | null, Date | null],
   allEvents?: LogEvent[],
-  onRangeChange?: (start: Date | null, end: Date | null) => void
+  onRangeChange?: (start: Date | null, end: Date | null) => void,
+  extent?: [Date, Date]
 ) {
   container.innerHTML = "";
 
@@ -318,7 +498,7 @@ function renderSemanticTimeline(
   }
 
   const width = Math.max(800, container.clientWidth || 800);
-  const hasBrush = onRangeChange && allEvents && allEvents.length > 0;
+  const hasBrush = onRangeChange && ((allEvents && allEvents.length > 0) || extent);
   const chartHeight = Math.min(400, promptRows.length * LANE_HEIGHT + 80);
   const height = chartHeight + (hasBrush ? BRUSH_HEIGHT : 0);
 
@@ -341,8 +521,8 @@ function renderSemanticTimeline(
   const dataExtent = events.length
     ? (d3.extent(events, (e) => new Date(e.time)) as [Date, Date])
     : ([new Date(), new Date()] as [Date, Date]);
-  const fullExtent = allEvents?.length
-    ? (d3.extent(allEvents, (e) => new Date(e.time)) as [Date, Date])
+  const fullExtent = allEvents?.length || extent
+    ? (d3.extent([...(allEvents ?? []).map((e) => new Date(e.time)), ...(extent ?? [])]) as [Date, Date])
     : dataExtent;
   const [domainStart, domainEnd] = timeDomain ?? [null, null];
   const useDomain = domainStart || domainEnd;
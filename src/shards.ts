@@ -0,0 +1,206 @@
+import type { LogEvent, Summary } from "./types";
+
+const SHARDS_URL = "shards/";
+
+export interface ShardInfo {
+  /** UTC day, e.g. "2026-03-14" */
+  id: string;
+  file: string;
+  /** Time of the first and last event in the shard */
+  start: string;
+  end: string;
+  count: number;
+  bytes: number;
+  types: Record<string, number>;
+}
+
+/** public/shards/manifest.json, written by `npm run slim` */
+export interface ShardManifest {
+  generatedAt: string;
+  bucket: "day";
+  overview: string;
+  /** Id → day index (to find a linked event's shard): `${dir}/${id.slice(0, prefixLength)}.json` */
+  ids?: { dir: string; prefixLength: number };
+  summary: Summary;
+  shards: ShardInfo[];
+}
+
+/** Events of one day with the same bot, type and category */
+export interface DayCount {
+  botId: string;
+  type: string;
+  category: string;
+  count: number;
+  /** md_write only: bytes written */
+  bytes?: number;
+}
+
+export interface DayCounts {
+  /** Shard id (UTC day) */
+  id: string;
+  counts: DayCount[];
+}
+
+export interface SessionBounds {
+  sessionId: string;
+  botId?: string;
+  kind: "session" | "cron";
+  start: string;
+  end: string;
+  events: number;
+}
+
+/** public/shards/overview.json: what the charts need before any shard is loaded */
+export interface Overview {
+  days: DayCounts[];
+  sessions: SessionBounds[];
+}
+
+/** Totals over the overview, optionally for one bot. */
+export interface OverviewTally {
+  events: number;
+  sessions: number;
+  types: Record<string, number>;
+  mdWriteCounts: Record<string, number>;
+  mdWriteBytes: Record<string, number>;
+}
+
+/** The shard manifest, or null when `npm run slim` hasn't written shards yet. */
+export async function loadShardManifest(): Promise<ShardManifest | null> {
+  try {
+    const res = await fetch(SHARDS_URL + "manifest.json");
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function loadOverview(manifest: ShardManifest): Promise<Overview> {
+  const res = await fetch(SHARDS_URL + manifest.overview);
+  if (!res.ok) throw new Error(`${manifest.overview} not found. Run: npm run slim`);
+  const data = await res.json();
+  if (!Array.isArray(data.days)) throw new Error(`${manifest.overview} is from an older version. Run: npm run slim`);
+  return { days: data.days, sessions: data.sessions ?? [] };
+}
+
+export function tallyOverview(overview: Overview, bot: string | null): OverviewTally {
+  const tally: OverviewTally = { events: 0, sessions: 0, types: {}, mdWriteCounts: {}, mdWriteBytes: {} };
+  for (const day of overview.days) {
+    for (const c of day.counts) {
+      if (bot && c.botId !== bot) continue;
+      tally.events += c.count;
+      tally.types[c.type] = (tally.types[c.type] ?? 0) + c.count;
+      if (c.type !== "md_write") continue;
+      tally.mdWriteCounts[c.category] = (tally.mdWriteCounts[c.category] ?? 0) + c.count;
+      tally.mdWriteBytes[c.category] = (tally.mdWriteBytes[c.category] ?? 0) + (c.bytes ?? 0);
+    }
+  }
+  tally.sessions = overview.sessions.filter((s) => s.kind === "session" && (!bot || (s.botId ?? "default") === bot)).length;
+  return tally;
+}
+
+/** Count events that arrived after the overview was written (live tail) into it. */
+export function addToOverview(overview: Overview, events: LogEvent[]) {
+  for (const e of events) {
+    const t = new Date(e.time);
+    const id = Number.isNaN(t.getTime()) ? "unknown" : t.toISOString().slice(0, 10);
+    let day = overview.days.find((d) => d.id === id);
+    if (!day) overview.days.push((day = { id, counts: [] }));
+    const botId = e.botId ?? "default";
+    let row = day.counts.find((c) => c.botId === botId && c.type === e.type && c.category === e.category);
+    if (!row) day.counts.push((row = { botId, type: e.type, category: e.category, count: 0 }));
+    row.count++;
+    if (e.bytes) row.bytes = (row.bytes ?? 0) + e.bytes;
+    if (!e.sessionId) continue;
+    let session = overview.sessions.find((s) => s.sessionId === e.sessionId && (s.botId ?? "default") === botId);
+    if (!session) {
+      session = { sessionId: e.sessionId, ...(e.botId && { botId: e.botId }), kind: "session", start: e.time, end: e.time, events: 0 };
+      overview.sessions.push(session);
+    }
+    if (e.subsystem === "cron") session.kind = "cron";
+    if (e.time < session.start) session.start = e.time;
+    if (e.time > session.end) session.end = e.time;
+    session.events++;
+  }
+}
+
+/** First and last event time over all shards. */
+export function manifestExtent(manifest: ShardManifest): [Date, Date] | null {
+  const { shards } = manifest;
+  const known = shards.filter((s) => s.id !== "unknown");
+  if (!known.length) return null;
+  return [new Date(known[0].start), new Date(known[known.length - 1].end)];
+}
+
+/**
+ * Fetches detailed shards on demand. Each shard is fetched once; concurrent
+ * requests for the same shard share the fetch.
+ */
+export function createShardLoader(manifest: ShardManifest) {
+  const cache = new Map<string, Promise<LogEvent[]>>();
+  // Shards whose events were handed out by load()
+  const loaded = new Set<string>();
+
+  const fetchShard = (s: ShardInfo) => {
+    let p = cache.get(s.file);
+    if (!p) {
+      p = fetch(SHARDS_URL + s.file)
+        .then((res) => (res.ok ? res.json() : { events: [] }))
+        .then((d) => d.events ?? []);
+      p.catch(() => cache.delete(s.file));
+      cache.set(s.file, p);
+    }
+    return p;
+  };
+
+  /** Shards with events between `start` and `end` (either open-ended when null). */
+  function inRange(start: Date | null, end: Date | null): ShardInfo[] {
+    return manifest.shards.filter(
+      (s) => (!end || new Date(s.start) <= end) && (!start || new Date(s.end) >= start)
+    );
+  }
+
+  /** Load the shards and return the events of those not loaded before (each shard's events are returned once). */
+  async function loadShards(list: ShardInfo[]): Promise<LogEvent[]> {
+    const fresh = list.filter((s) => !loaded.has(s.id));
+    fresh.forEach((s) => loaded.add(s.id));
+    try {
+      return (await Promise.all(fresh.map(fetchShard))).flat();
+    } catch (e) {
+      fresh.forEach((s) => loaded.delete(s.id));
+      throw e;
+    }
+  }
+
+  return {
+    inRange,
+
+    isLoaded: (id: string) => loaded.has(id),
+
+    get loadedCount() {
+      return loaded.size;
+    },
+
+    /** Bytes still to load for the range. */
+    pendingBytes(start: Date | null, end: Date | null): number {
+      return inRange(start, end).filter((s) => !loaded.has(s.id)).reduce((n, s) => n + s.bytes, 0);
+    },
+
+    load: (start: Date | null, end: Date | null) => loadShards(inRange(start, end)),
+
+    /** The newest shards that fit in `bytes` (at least one); the one of unparseable times counts as oldest. */
+    loadLatest(bytes: number): Promise<LogEvent[]> {
+      const picked: ShardInfo[] = [];
+      let total = 0;
+      const byAge = [...manifest.shards.filter((s) => s.id !== "unknown").reverse(), ...manifest.shards.filter((s) => s.id === "unknown")];
+      for (const s of byAge) {
+        if (picked.length && total + s.bytes > bytes) break;
+        picked.push(s);
+        total += s.bytes;
+      }
+      return loadShards(picked);
+    },
+  };
+}
+
+export type ShardLoader = ReturnType<typeof createShardLoader>;
@@ -5,6 +5,27 @@ const EVENT_TYPES = ["md_write", "tool_call", "heartbeat", "cron", "email_sent",
 const LANE_HEIGHT = 36;
 const DOT_R = 5;
 const BRUSH_HEIGHT = 36;
+const BOOKMARK_COLOR = "#fbbf24";
+
+export interface TimelineOptions {
+  /** Ids of bookmarked events: marked with a flag and a line across the lanes */
+  bookmarked?: Set<string>;
+  /** Click on an event dot or bookmark flag */
+  onSelect?: (event: LogEvent) => void;
+  /** Days whose events aren't loaded: one bar per type lane instead of dots */
+  outline?: DayOutline[];
+  /** Span the brush covers when allEvents doesn't hold every day */
+  extent?: [Date, Date];
+}
+
+/** Event counts per type of a day whose events aren't loaded */
+export interface DayOutline {
+  id: string;
+  /** First and last event of the day */
+  start: Date;
+  end: Date;
+  types: Record<string, number>;
+}
 
 export function renderTimeline(
   container: HTMLElement,
@@ -12,11 +33,12 @@ export function renderTimeline(
   colors: Record<string, string>,
   timeDomain?: [Date | null, Date | null],
   allEvents?: LogEvent[],
-  onRangeChange?: (start: Date | null, end: Date | null) => void
+  onRangeChange?: (start: Date | null, end: Date | null) => void,
+  { bookmarked, onSelect, outline = [], extent }: TimelineOptions = {}
 ) {
   container.innerHTML = "";
 
-  if (events.length === 0) {
+  if (events.length === 0 && outline.length === 0) {
     container.innerHTML = `
       <div class="empty-state">
         <p>No events to display.</p>
@@ -28,14 +50,14 @@ export function renderTimeline(
 
   const width = Math.max(800, container.clientWidth);
   const typeOrder = [...EVENT_TYPES];
-  const presentTypes = [...new Set(events.map((e: LogEvent) => e.type))];
+  const presentTypes = [...new Set([...events.map((e: LogEvent) => e.type), ...outline.flatMap((d) => Object.keys(d.types))])];
   presentTypes.sort((a, b) => {
     const ia = typeOrder.indexOf(a);
     const ib = typeOrder.indexOf(b);
     return (ia === -1 ? 999 : ia) - (ib === -1 ? 999 : ib);
   });
 
-  const hasBrush = onRangeChange && allEvents && allEvents.length > 0;
+  const hasBrush = onRangeChange && ((allEvents && allEvents.length > 0) || extent);
   const chartHeight = presentTypes.length * LANE_HEIGHT + 80;
   const height = chartHeight + (hasBrush ? BRUSH_HEIGHT : 0);
 
@@ -55,7 +77,7 @@ export function renderTimeline(
     .append("g")
     .attr("transform", `translate(${margin.left},${margin.top})`);
 
-  const dataExtent = d3.extent(events, (e: LogEvent) => new Date(e.time)) as [Date, Date];
+  const dataExtent = d3.extent([...events.map((e) => new Date(e.time)), ...outline.flatMap((d) => [d.start, d.end])]) as [Date, Date];
   const [domainStart, domainEnd] = timeDomain ?? [null, null];
   const useDomain = domainStart || domainEnd;
   const extentStart = useDomain && domainStart ? domainStart : dataExtent[0];
@@ -103,6 +125,43 @@ export function renderTimeline(
     .attr("stroke", "#1e2530")
     .attr("stroke-dasharray", "2,2");
 
+  // Days without loaded events: a bar per type, stronger for more events
+  const maxCount = d3.max(outline, (d) => d3.max(Object.values(d.types))) ?? 1;
+  const clampX = (t: Date) => Math.max(0, Math.min(innerWidth, xScale(t)));
+  g.selectAll(".day-outline")
+    .data(outline.flatMap((d) => Object.entries(d.types).map(([type, count]) => ({ day: d, type, count }))))
+    .join("rect")
+    .attr("class", "day-outline")
+    .attr("x", (d) => clampX(d.day.start) - 1.5)
+    .attr("width", (d) => Math.max(3, clampX(d.day.end) - clampX(d.day.start) + 3))
+    .attr("y", (d) => yScale(d.type) ?? 0)
+    .attr("height", yScale.bandwidth())
+    .attr("rx", 3)
+    .attr("fill", (d) => colors[d.type] ?? "#6b7a8f")
+    .attr("fill-opacity", (d) => 0.15 + 0.5 * (d.count / maxCount))
+    .append("title")
+    .text((d) => `${d.count} ${d.type.replace("_", " ")} on ${d.day.id}: brush this day to load its events`);
+
+  // Bookmarks: a line across the lanes and a flag above them
+  const marked = bookmarked?.size ? events.filter((e) => e.id && bookmarked.has(e.id)) : [];
+  const markers = g
+    .selectAll(".bookmark-marker")
+    .data(marked)
+    .join("g")
+    .attr("class", "bookmark-marker")
+    .attr("transform", (d: LogEvent) => `translate(${xScale(new Date(d.time))},0)`)
+    .style("cursor", onSelect ? "pointer" : "default");
+  markers
+    .append("line")
+    .attr("y1", 0)
+    .attr("y2", innerHeight)
+    .attr("stroke", BOOKMARK_COLOR)
+    .attr("stroke-opacity", 0.5)
+    .attr("stroke-dasharray", "3,3");
+  markers.append("path").attr("d", "M0,0 L0,-12 L8,-8 L0,-4").attr("fill", BOOKMARK_COLOR).attr("stroke", BOOKMARK_COLOR);
+  markers.append("title").text((d: LogEvent) => `Bookmarked: ${d.type} • ${d.time}`);
+  if (onSelect) markers.on("click", (_: MouseEvent, d: LogEvent) => onSelect(d));
+
   // Data points
   const dots = g
     .selectAll(".event-dot")
@@ -119,8 +178,9 @@ export function renderTimeline(
     .append("circle")
     .attr("r", DOT_R)
     .attr("fill", (d: LogEvent) => colors[d.type] ?? "#6b7a8f")
-    .attr("stroke", "#0d0f14")
+    .attr("stroke", (d: LogEvent) => (d.id && bookmarked?.has(d.id) ? BOOKMARK_COLOR : "#0d0f14"))
     .attr("stroke-width", 2);
+  if (onSelect) dots.style("cursor", "pointer");
 
   const HOVER_DELAY_MS = 600;
   let hoverTimer: ReturnType<typeof setTimeout> | null = null;
@@ -186,7 +246,7 @@ export function renderTimeline(
         .html(
           `<div style="color:#6b7a8f">${d.type} • ${d.category}</div>
            <div style="margin-top:4px">${escapeHtml(d.message)}</div>
-           <div style="margin-top:4px;color:#6b7a8f;font-size:10px">${d.time}</div>`
+           <div style="margin-top:4px;color:#6b7a8f;font-size:10px">${d.time}${onSelect ? " • click to bookmark" : ""}</div>`
         );
       hoverTimer = setTimeout(() => {
         tooltip.style("visibility", "hidden");
@@ -212,11 +272,12 @@ export function renderTimeline(
       currentD = null;
       tooltip.style("visibility", "hidden");
       popup.style("visibility", "hidden");
-    });
+    })
+    .on("click", (_: MouseEvent, d: LogEvent) => onSelect?.(d));
 
   // Brush with d3.brushX for reliable interaction
   if (hasBrush && onRangeChange) {
-    const fullExtent = d3.extent(allEvents!, (e: LogEvent) => new Date(e.time)) as [Date, Date];
+    const fullExtent = d3.extent([...(allEvents ?? []).map((e) => new Date(e.time)), ...(extent ?? [])]) as [Date, Date];
     const [domainStart, domainEnd] = timeDomain ?? [null, null];
     const selStart = domainStart ?? fullExtent[0];
     const selEnd = domainEnd ?? fullExtent[1];
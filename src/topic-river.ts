@@ -0,0 +1,199 @@
+import * as d3 from "d3";
+import type { LogEvent } from "./types";
+
+const TOPICS_URL = "topics.json";
+const RIVER_HEIGHT = 260;
+const BINS = 60;
+const LIST_LIMIT = 200;
+const SNIPPET_LEN = 200;
+
+/** Topics from public/topics.json (written by `npm run topics`) */
+export interface Topic {
+  id: number;
+  label: string;
+  keywords: string[];
+  size: number;
+  representatives: string[];
+}
+
+export interface TopicsData {
+  generatedAt: string;
+  model: string;
+  labeler: string;
+  topics: Topic[];
+  /** Event id → topic id */
+  assignments: Record<string, number>;
+}
+
+function escapeHtml(s: string): string {
+  const div = document.createElement("div");
+  div.textContent = s;
+  return div.innerHTML;
+}
+
+function formatTime(iso: string): string {
+  const d = new Date(iso);
+  return d3.timeFormat("%b %d %H:%M:%S")(d);
+}
+
+/** Load topics.json, or null when topics haven't been discovered. */
+export async function loadTopics(): Promise<TopicsData | null> {
+  try {
+    const res = await fetch(TOPICS_URL);
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stacked "topic river": message volume per topic over the events' time range
+ * (streamgraph, so topics rise and fade around a centre line). Clicking a
+ * stream or legend entry selects that topic and lists its messages below.
+ */
+export function renderTopicRiver(
+  container: HTMLElement,
+  events: LogEvent[],
+  data: TopicsData | null,
+  selected: number | null,
+  onSelect: (topic: number | null) => void
+) {
+  container.innerHTML = "";
+
+  if (!data) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <p>No topics found. Run <code>npm run embed</code> then <code>npm run topics</code>.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const messages = events.filter((e) => e.id != null && data.assignments[e.id] !== undefined);
+  const topicOf = (e: LogEvent) => data.assignments[e.id!];
+  if (messages.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <p>No topic-labeled messages in this range.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const counts = d3.rollup(messages, (v) => v.length, topicOf);
+  const topics = data.topics.filter((t) => counts.has(t.id));
+  const color = d3.scaleOrdinal<number, string>(
+    data.topics.map((t) => t.id),
+    [...d3.schemeTableau10, ...d3.schemeSet3]
+  );
+
+  const panel = document.createElement("div");
+  panel.className = "topic-river-panel";
+  panel.innerHTML = `
+    <div class="topic-river-legend">
+      ${topics
+        .map(
+          (t) => `<button type="button" class="topic-chip${t.id === selected ? " selected" : ""}" data-topic="${t.id}" title="${escapeHtml(t.keywords.join(", "))}">
+            <span class="legend-dot" style="background:${color(t.id)}"></span>${escapeHtml(t.label)} <span class="topic-chip-count">${counts.get(t.id)}</span>
+          </button>`
+        )
+        .join("")}
+    </div>
+    <div class="topic-river-chart"></div>
+    <div class="topic-river-list-wrap"></div>
+  `;
+  container.appendChild(panel);
+
+  panel.querySelectorAll<HTMLButtonElement>(".topic-chip").forEach((chip) =>
+    chip.addEventListener("click", () => {
+      const id = Number(chip.dataset.topic);
+      onSelect(id === selected ? null : id);
+    })
+  );
+
+  // Streamgraph: messages per topic per time bin
+  const chartEl = panel.querySelector(".topic-river-chart") as HTMLElement;
+  const width = Math.max(800, container.clientWidth || 800);
+  const margin = { top: 8, right: 16, bottom: 28, left: 16 };
+  const innerWidth = width - margin.left - margin.right;
+  const innerHeight = RIVER_HEIGHT - margin.top - margin.bottom;
+
+  const times = messages.map((e) => new Date(e.time));
+  const [min, max] = d3.extent(times) as [Date, Date];
+  const x = d3.scaleTime().domain(min.getTime() === max.getTime() ? [d3.timeHour.offset(min, -1), d3.timeHour.offset(max, 1)] : [min, max]).range([0, innerWidth]);
+  const bins = d3
+    .bin<LogEvent, Date>()
+    .value((e) => new Date(e.time))
+    .domain(x.domain() as [Date, Date])
+    .thresholds(x.ticks(BINS))(messages);
+  const rows = bins.map((b) => {
+    const row: Record<number, number> & { t: Date } = { t: new Date((b.x0!.getTime() + b.x1!.getTime()) / 2) };
+    for (const t of topics) row[t.id] = 0;
+    for (const e of b) row[topicOf(e)]++;
+    return row;
+  });
+
+  const series = d3
+    .stack<Record<number, number> & { t: Date }, number>()
+    .keys(topics.map((t) => t.id))
+    .offset(d3.stackOffsetWiggle)
+    .order(d3.stackOrderInsideOut)(rows);
+  const y = d3
+    .scaleLinear()
+    .domain([d3.min(series, (s) => d3.min(s, (d) => d[0]))!, d3.max(series, (s) => d3.max(s, (d) => d[1]))!])
+    .range([innerHeight, 0]);
+  const area = d3
+    .area<d3.SeriesPoint<Record<number, number> & { t: Date }>>()
+    .x((d) => x(d.data.t))
+    .y0((d) => y(d[0]))
+    .y1((d) => y(d[1]))
+    .curve(d3.curveBasis);
+
+  const svg = d3.select(chartEl).append("svg").attr("width", width).attr("height", RIVER_HEIGHT);
+  const g = svg.append("g").attr("transform", `translate(${margin.left},${margin.top})`);
+  const label = new Map(topics.map((t) => [t.id, t.label]));
+  g.selectAll("path")
+    .data(series)
+    .join("path")
+    .attr("class", "topic-stream")
+    .attr("d", area)
+    .attr("fill", (s) => color(s.key))
+    .attr("opacity", (s) => (selected === null || s.key === selected ? 0.9 : 0.25))
+    .style("cursor", "pointer")
+    .on("click", (_, s) => onSelect(s.key === selected ? null : s.key))
+    .append("title")
+    .text((s) => `${label.get(s.key)} (${counts.get(s.key)} messages)`);
+  g.append("g")
+    .attr("transform", `translate(0,${innerHeight})`)
+    .call(d3.axisBottom(x).ticks(8))
+    .attr("color", "var(--muted)");
+
+  // Messages of the selected topic, newest first
+  const listWrap = panel.querySelector(".topic-river-list-wrap") as HTMLElement;
+  const topic = data.topics.find((t) => t.id === selected);
+  if (!topic) {
+    listWrap.innerHTML = `<p class="subtitle">Click a topic to list its messages.</p>`;
+    return;
+  }
+  const inTopic = messages.filter((e) => topicOf(e) === topic.id).sort((a, b) => b.time.localeCompare(a.time));
+  listWrap.innerHTML = `
+    <h3 class="md-edits-list-title">${escapeHtml(topic.label)} — ${inTopic.length} message${inTopic.length === 1 ? "" : "s"}${inTopic.length > LIST_LIMIT ? ` (newest ${LIST_LIMIT})` : ""}</h3>
+    <div class="topic-river-keywords">${topic.keywords.map((k) => `<span>${escapeHtml(k)}</span>`).join("")}</div>
+    <div class="semantic-ranked-list">
+      ${inTopic
+        .slice(0, LIST_LIMIT)
+        .map((e) => {
+          const text = (e.message ?? "").replace(/\s+/g, " ").trim();
+          return `<div class="semantic-ranked-item">
+            <div class="semantic-ranked-meta">
+              <span>${formatTime(e.time)}</span>
+              <span>${e.type === "user_message" ? escapeHtml(e.userName ? `@${e.userName}` : "user") : "assistant"}</span>
+              ${e.id ? `<a href="god-file-view.html#e-${encodeURIComponent(e.id)}" target="_blank">god file →</a>` : ""}
+            </div>
+            <div class="semantic-ranked-snippet">${escapeHtml(text.slice(0, SNIPPET_LEN))}${text.length > SNIPPET_LEN ? "…" : ""}</div>
+          </div>`;
+        })
+        .join("")}
+    </div>
+  `;
+}
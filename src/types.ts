@@ -1,4 +1,6 @@
 export interface LogEvent {
+  /** Stable ID derived from the event's source (log file, line, content block). */
+  id?: string;
   time: string;
   type: string;
   category: string;
@@ -7,25 +9,49 @@ export interface LogEvent {
   subsystem?: string;
   runId?: string;
   sessionId?: string;
+  /** Log source the event came from (logs/bots/<botId>/ or config/sources.json); "default" otherwise */
+  botId?: string;
   /** Size of write in bytes (for md_write events) */
   bytes?: number;
   /** Precomputed summary (from summarize-events script) */
   summary?: string;
-  /** Precomputed embedding (from embed-events script) for semantic search */
+  /** Inline embedding from older embed-events runs; embeddings now live in public/embeddings/ (see embeddings.ts) */
   embedding?: number[];
   /** For user_message/assistant_message events: "user" | "assistant" */
   role?: "user" | "assistant";
+  /** user_message only: Discord display name, when the log line has one */
+  userName?: string;
   /** Clean text used for embedding (overrides message when present) */
   embeddingText?: string;
+  /** Links a tool_call to its success/failure result */
+  toolCallId?: string;
+  /** tool_call only, from pair-tool-calls script: result time − call time */
+  durationMs?: number;
+  /** tool_call only, from pair-tool-calls script */
+  outcome?: "success" | "error" | "no_result";
+  /** tool_call (from pair-tool-calls) and long tool results: first 200 chars of the full result text */
+  resultPreview?: string;
+  /** assistant_message only: model that produced the message, as logged */
+  model?: string;
+  provider?: string;
+  /** assistant_message only: token counts for the request */
+  usage?: { input: number; output: number; cacheRead: number; cacheWrite: number };
+  /** cron only: session the run executed in */
+  runSessionId?: string;
 }
 
 export interface Summary {
   mdWriteCounts: Record<string, number>;
   mdWriteBytes: Record<string, number>;
-  activityCounts?: { email_sent: number; moltbook_post: number; moltbook_comment: number };
+  /** Counts per rule-defined event type (config/event-rules.json) */
+  activityCounts?: Record<string, number>;
+  /** Display label and optional color per rule-defined event type */
+  activityTypes?: Record<string, { label: string; color?: string }>;
   totalEvents: number;
   eventTypes: string[];
   timeRange: { start: string; end: string } | null;
+  /** Events per bot */
+  botCounts?: Record<string, number>;
 }
 
 export interface EventsData {
@@ -0,0 +1,48 @@
+const SEARCH_URL = "api/search";
+
+/** What embed-api.js has indexed, from GET /search */
+export interface SearchStatus {
+  model: string;
+  count: number;
+}
+
+export interface SearchQuery {
+  text?: string;
+  vector?: number[];
+  k?: number;
+  minScore?: number;
+  role?: "user" | "assistant";
+  type?: string | string[];
+  bot?: string | null;
+  start?: string | null;
+  end?: string | null;
+}
+
+export interface SearchHit {
+  id: string;
+  score: number;
+}
+
+/** Status of the server-side search, or null when the embed API or its embeddings aren't there. */
+export async function searchStatus(): Promise<SearchStatus | null> {
+  try {
+    const res = await fetch(SEARCH_URL);
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Nearest events to the query text or vector that pass the filters, best first. */
+export async function searchEvents(query: SearchQuery): Promise<SearchHit[]> {
+  const res = await fetch(SEARCH_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(query),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || "Search failed");
+  }
+  return (await res.json()).results ?? [];
+}
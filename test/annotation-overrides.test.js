@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { applyOverrides, readOverrides, setOverride } from "../scripts/lib/annotation-overrides.js";
+import { tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("annotation-overrides");
+
+const sentiment = { field: "sentiment" };
+
+describe("readOverrides", () => {
+  it("is empty without a file and refuses anything but an object", () => {
+    assert.deepEqual(readOverrides(path.join(tmpDir, "none.json")), {});
+    const file = path.join(tmpDir, "list.json");
+    fs.writeFileSync(file, "[]");
+    assert.throws(() => readOverrides(file), /expected \{ "<field>"/);
+  });
+});
+
+describe("setOverride", () => {
+  it("saves corrections, keeps the model's first label and removes empty fields", () => {
+    const file = path.join(tmpDir, "nested", "overrides.json");
+    const first = setOverride(file, "sentiment", "a1", "upset", "neutral");
+    assert.deepEqual([first.label, first.was], ["upset", "neutral"]);
+    const second = setOverride(file, "sentiment", "a1", "very_upset", "upset");
+    assert.deepEqual([second.label, second.was], ["very_upset", "neutral"]);
+    assert.deepEqual(readOverrides(file).sentiment.a1, second);
+
+    assert.equal(setOverride(file, "sentiment", "a1", null), null);
+    assert.deepEqual(readOverrides(file), {});
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ["overrides.json"]);
+  });
+});
+
+describe("applyOverrides", () => {
+  it("labels overridden events by hand and clears removed overrides", () => {
+    const events = [
+      { id: "a1", sentiment: "neutral" },
+      { id: "b2", sentiment: "upset", sentimentSource: "human" },
+      { id: "c3", sentiment: "neutral" },
+      { sentiment: "neutral" },
+    ];
+    const overrides = { sentiment: { a1: { label: "delighted" } }, intent: { c3: { label: "question" } } };
+    assert.deepEqual(applyOverrides(sentiment, events, overrides), { applied: 1, cleared: 1 });
+    assert.deepEqual(events, [{ id: "a1", sentiment: "delighted", sentimentSource: "human" }, { id: "b2" }, { id: "c3", sentiment: "neutral" }, { sentiment: "neutral" }]);
+  });
+});
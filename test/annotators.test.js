@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { annotateEvents, loadAnnotators, parseReply, renderPrompt, selectEvents } from "../scripts/lib/annotators.js";
+import { jsonFile, tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("annotators");
+
+const annotatorsFile = (annotators) => jsonFile(tmpDir, "annotators", { annotators });
+
+const [mood, mods] = loadAnnotators(
+  annotatorsFile([
+    {
+      name: "mood",
+      types: ["user_message"],
+      prompt: ["Earlier:", "{{context}}", "Message from {{userName}}: {{message}}"],
+      labels: ["very_upset", "upset", "neutral"],
+      default: "neutral",
+      context: { turns: 1 },
+      explain: true,
+      maxInputChars: 10,
+    },
+    { name: "mods", field: "modSummary", types: ["md_write"], require: ["category"], prompt: "{{message}}" },
+  ])
+);
+
+const msg = (id, time, type, message, extra = {}) => ({ id, time, type, category: "c", message, sessionId: "s", ...extra });
+
+describe("loadAnnotators", () => {
+  it("fills in defaults", () => {
+    assert.equal(mood.field, "mood");
+    assert.equal(mood.title, "mood");
+    assert.deepEqual(mood.context, { turns: 1, types: ["user_message", "assistant_message"], maxChars: 500 });
+    assert.equal(mods.labels, null);
+  });
+
+  it("refuses parser fields, unknown defaults and {{context}} without context", () => {
+    const base = { name: "x", types: ["user_message"], prompt: "{{message}}" };
+    assert.throws(() => loadAnnotators(annotatorsFile([{ ...base, field: "message" }])), /"field" must be a word other than/);
+    assert.throws(() => loadAnnotators(annotatorsFile([{ ...base, labels: ["a"], default: "b" }])), /"default" must be one of/);
+    assert.throws(() => loadAnnotators(annotatorsFile([{ ...base, prompt: "{{context}} {{message}}" }])), /exactly when "context" is set/);
+    assert.throws(() => loadAnnotators(annotatorsFile([base, { ...base, name: "y", field: "x" }])), /used twice/);
+  });
+});
+
+describe("selectEvents", () => {
+  it("takes events of the types with a message and the required fields, skipping done and hand-labeled ones", () => {
+    const events = [
+      msg("a", "t", "user_message", "hi"),
+      msg("b", "t", "user_message", "  "),
+      msg("c", "t", "user_message", "hi", { mood: "upset" }),
+      msg("d", "t", "user_message", "hi", { mood: "upset", moodSource: "human" }),
+      msg("e", "t", "md_write", "diff", { category: "" }),
+    ];
+    assert.deepEqual(selectEvents(mood, events).map((e) => e.id), ["a"]);
+    assert.deepEqual(selectEvents(mood, events, { force: true }).map((e) => e.id), ["a", "c"]);
+    assert.deepEqual(selectEvents(mods, events), []);
+  });
+});
+
+describe("renderPrompt", () => {
+  it("fills redacted fields, cuts the message and inserts the context", () => {
+    const ev = msg("a", "t", "user_message", "0123456789abc", { userName: "ana" });
+    const fields = [];
+    const redact = (text, f) => {
+      fields.push(f);
+      return text.toUpperCase();
+    };
+    assert.equal(renderPrompt(mood, ev, redact, "User: x"), "Earlier:\nUser: x\nMessage from ANA: 0123456789…");
+    assert.deepEqual(fields, ["userName", "message"]);
+  });
+});
+
+describe("parseReply", () => {
+  it("takes the first whole label a reply names, else the default", () => {
+    assert.equal(parseReply({ ...mood, explain: false }, { content: "Very upset." }).value, "very_upset");
+    assert.equal(parseReply({ ...mood, explain: false }, { content: "the user is upset, not very_upset" }).value, "upset");
+    assert.equal(parseReply({ ...mood, explain: false }, { content: "unsure" }).value, "neutral");
+  });
+
+  it("reads label, confidence and rationale from JSON", () => {
+    assert.deepEqual(parseReply(mood, { content: 'Sure: {"label": "upset", "confidence": 85, "rationale": " repeats the request "}' }), {
+      value: "upset",
+      confidence: 0.85,
+      rationale: "repeats the request",
+    });
+    assert.deepEqual(parseReply(mood, { content: '{"label": "angry", "confidence": 0.9}' }), { value: "neutral", confidence: null, rationale: null });
+  });
+
+  it("falls back to the reasoning for free text", () => {
+    assert.equal(parseReply(mods, { content: "", reasoning: "thinking…\nANSWER: added a rule\n" }).value, "added a rule");
+  });
+});
+
+describe("annotateEvents", () => {
+  it("sends redacted prompts with context and writes values, reporting each annotated event", async () => {
+    const events = [
+      msg("a", "2026-01-01T00:00:00Z", "assistant_message", "secret plan"),
+      msg("b", "2026-01-01T00:00:01Z", "user_message", "ok", { userName: "secret name" }),
+      msg("c", "2026-01-01T00:00:02Z", "user_message", "whatever", { moodConfidence: 0.5 }),
+    ];
+    const prompts = [];
+    const llm = {
+      chat: async (prompt) => {
+        prompts.push(prompt);
+        return { content: prompt.includes("whatever") ? "{}" : '{"label": "upset", "confidence": 0.8}' };
+      },
+    };
+    const redactor = { text: (text) => text.replace("secret", "[REDACTED]") };
+    const annotated = [];
+    const result = await annotateEvents(mood, events, { llm, redactor, onAnnotated: (e) => annotated.push(e.id) });
+
+    assert.deepEqual(result, { ok: 2, err: 0, total: 2 });
+    assert.equal(prompts[0], "Earlier:\nAssistant: [REDACTED] plan\nMessage from [REDACTED] name: ok");
+    assert.deepEqual(annotated, ["b", "c"]);
+    assert.deepEqual([events[1].mood, events[1].moodConfidence], ["upset", 0.8]);
+    // A reply without a label is the default, and drops the old confidence
+    assert.deepEqual([events[2].mood, events[2].moodConfidence], ["neutral", undefined]);
+  });
+
+  it("keeps the old value and reports the event when the reply has no value", async () => {
+    const events = [msg("a", "t", "md_write", "diff", { modSummary: "old" })];
+    const errors = [];
+    const result = await annotateEvents(mods, events, {
+      llm: { chat: async () => ({ content: "" }) },
+      redactor: { text: (t) => t },
+      force: true,
+      onError: (e, err) => errors.push(`${e.id}: ${err.message}`),
+    });
+    assert.deepEqual(result, { ok: 0, err: 1, total: 1 });
+    assert.deepEqual(errors, ["a: empty reply"]);
+    assert.equal(events[0].modSummary, "old");
+  });
+});
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { MAX_TAGS, cleanBookmark, readBookmarks, removeBookmark, saveBookmark } from "../scripts/lib/bookmarks.js";
+import { tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("bookmarks");
+
+describe("cleanBookmark", () => {
+  it("tidies tags and note and keeps only the known event fields", () => {
+    const clean = cleanBookmark({ tags: [" Cron Failure ", "cron-failure", "", "x"], note: " **why** \n", event: { time: "t", type: "cron", message: "m", botId: "" } });
+    assert.deepEqual(clean, { tags: ["cron-failure", "x"], note: "**why**", event: { time: "t", type: "cron" } });
+    assert.deepEqual(cleanBookmark(), { tags: [], note: "", event: {} });
+  });
+
+  it("refuses wrong types and too much input", () => {
+    assert.throws(() => cleanBookmark({ tags: "a" }), /'tags' must be a list/);
+    assert.throws(() => cleanBookmark({ tags: Array.from({ length: MAX_TAGS + 1 }, (_, i) => `t${i}`) }), /At most/);
+    assert.throws(() => cleanBookmark({ note: 1 }), /'note' must be text/);
+    assert.throws(() => cleanBookmark({ event: null }), /'event' must be an object/);
+  });
+});
+
+describe("saveBookmark / removeBookmark", () => {
+  it("creates, updates and removes bookmarks by event id", () => {
+    const file = path.join(tmpDir, "config", "bookmarks.json");
+    assert.deepEqual(readBookmarks(file), {});
+
+    const created = saveBookmark(file, "a1", { tags: ["x"], event: { time: "t", type: "cron" } });
+    const updated = saveBookmark(file, "a1", { note: "n", event: { sessionId: "s" } });
+    assert.equal(updated.createdAt, created.createdAt);
+    assert.deepEqual([updated.tags, updated.note, updated.event], [[], "n", { time: "t", type: "cron", sessionId: "s" }]);
+    assert.deepEqual(readBookmarks(file), { a1: updated });
+
+    assert.equal(removeBookmark(file, "a1"), true);
+    assert.equal(removeBookmark(file, "a1"), false);
+    assert.equal(removeBookmark(file, "toString"), false);
+    assert.deepEqual(readBookmarks(file), {});
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ["bookmarks.json"]);
+  });
+
+  it("names the file when it isn't a bookmarks file", () => {
+    const file = path.join(tmpDir, "other.json");
+    fs.writeFileSync(file, JSON.stringify({ sentiment: {} }));
+    assert.throws(() => readBookmarks(file), /other\.json: expected \{ "bookmarks"/);
+  });
+});
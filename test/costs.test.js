@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createCostTally } from "../scripts/lib/costs.js";
+import { loadPrices } from "../scripts/lib/prices.js";
+import { jsonFile, tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("costs");
+// $1 per 1M input tokens and $2 per 1M output: 1M in + 1M out costs $3
+const prices = loadPrices(jsonFile(tmpDir, "prices", { models: { "acme/m1": { input: 1, output: 2 } } }));
+
+const M = 1_000_000;
+const reply = (time, sessionId, model, extra = {}) => ({ time, type: "assistant_message", sessionId, model, usage: { input: M, output: M }, ...extra });
+
+function tally(events) {
+  const t = createCostTally(prices);
+  for (const e of events) t.add(e);
+  return t;
+}
+
+describe("createCostTally", () => {
+  it("prices usage by day, model, bot and session, counting unpriced models as 0", () => {
+    const t = tally([
+      reply("2026-01-01T10:00:00Z", "s1", "m1", { botId: "a" }),
+      reply("2026-01-02T10:00:00Z", "s1", "m1", { botId: "a" }),
+      reply("2026-01-02T11:00:00Z", "s2", "mystery"),
+      { time: "2026-01-02T12:00:00Z", type: "assistant_message", sessionId: "s2", model: "m1" },
+    ]);
+    const out = t.result();
+    assert.equal(t.withoutUsage, 1);
+    assert.deepEqual(out.totals, { cost: 6, messages: 3, input: 3 * M, output: 3 * M, cacheRead: 0, cacheWrite: 0 });
+    assert.deepEqual(out.daily.map((d) => [d.day, d.model, d.cost]), [["2026-01-01", "m1", 3], ["2026-01-02", "m1", 3], ["2026-01-02", "mystery", 0]]);
+    assert.deepEqual(out.models.map((m) => [m.model, m.priced, m.cost, m.messages]), [["m1", true, 6, 2], ["mystery", false, 0, 1]]);
+    assert.deepEqual(out.bots.map((b) => [b.botId, b.cost]), [["a", 6]]);
+    assert.deepEqual(out.sessions.map((s) => [s.sessionId, s.botId, s.start, s.models, s.cost]), [["s1", "a", "2026-01-01T10:00:00Z", ["m1"], 6], ["s2", undefined, "2026-01-02T11:00:00Z", ["mystery"], 0]]);
+    assert.deepEqual(out.unpriced, { mystery: 1 });
+    assert.equal(out.currency, "USD");
+  });
+
+  it("charges cron runs to their job through runSessionId, per bot", () => {
+    const cron = (botId, runSessionId) => ({ time: "2026-01-01T00:00:00Z", type: "cron", sessionId: "job", botId, runSessionId });
+    const out = tally([
+      cron("a", "run1"),
+      cron("a", "run2"),
+      cron("b", "run1"),
+      reply("2026-01-01T00:00:01Z", "run1", "m1", { botId: "a" }),
+      reply("2026-01-01T00:00:02Z", "run2", "m1", { botId: "a" }),
+      reply("2026-01-01T00:00:03Z", "run1", "m1", { botId: "c" }),
+    ]).result();
+    assert.deepEqual(out.cronJobs.map((j) => [j.jobId, j.botId, j.runs, j.sessions, j.cost]), [["job", "a", 2, 2, 6], ["job", "b", 1, 1, 0]]);
+    assert.deepEqual(out.sessions.map((s) => [s.botId, s.sessionId, s.cronJob]), [["a", "run1", "job"], ["a", "run2", "job"], ["c", "run1", undefined]]);
+  });
+});
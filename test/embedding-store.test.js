@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { FLOAT32_FILE, INT8_FILE, quantizeInt8, readEmbeddingStore, textHash, writeEmbeddingStore } from "../scripts/lib/embedding-store.js";
+import { tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("embedding-store");
+
+const store = () => ({
+  model: "m",
+  dim: 3,
+  vectors: new Map([
+    ["a", Float32Array.from([0.5, -1, 0.25])],
+    ["b", Float32Array.from([0, 2, -4])],
+  ]),
+  hashes: new Map([["a", textHash("text a")]]),
+});
+
+describe("quantizeInt8", () => {
+  it("maps the largest component to ±127", () => {
+    const { scale, q } = quantizeInt8([0.5, -1, 0.25]);
+    assert.equal(scale, 1 / 127);
+    assert.deepEqual([...q], [64, -127, 32]);
+    assert.equal(quantizeInt8([0, 0]).scale, 1);
+  });
+});
+
+describe("writeEmbeddingStore / readEmbeddingStore", () => {
+  it("round-trips vectors and hashes by event id", () => {
+    const dir = path.join(tmpDir, "f32");
+    assert.deepEqual(writeEmbeddingStore(dir, store()), { float32: FLOAT32_FILE });
+    const read = readEmbeddingStore(dir);
+    assert.equal(read.model, "m");
+    assert.equal(read.dim, 3);
+    assert.deepEqual([...read.vectors.keys()], ["a", "b"]);
+    assert.deepEqual([...read.vectors.get("b")], [0, 2, -4]);
+    assert.equal(read.hashes.get("a"), textHash("text a"));
+    assert.equal(read.hashes.get("b"), null);
+  });
+
+  it("reads the int8 file without the float32 one, and removes it when not asked for", () => {
+    const dir = path.join(tmpDir, "i8");
+    assert.deepEqual(writeEmbeddingStore(dir, store(), { int8: true }), { float32: FLOAT32_FILE, int8: INT8_FILE });
+    fs.rmSync(path.join(dir, FLOAT32_FILE));
+    const read = readEmbeddingStore(dir);
+    read.vectors.get("b").forEach((v, i) => assert.ok(Math.abs(v - [0, 2, -4][i]) < 0.02));
+
+    writeEmbeddingStore(dir, store());
+    assert.equal(fs.existsSync(path.join(dir, INT8_FILE)), false);
+  });
+
+  it("is null without a store and names the file when the index is broken", () => {
+    assert.equal(readEmbeddingStore(path.join(tmpDir, "none")), null);
+    const dir = path.join(tmpDir, "broken");
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, "index.json"), "{");
+    assert.throws(() => readEmbeddingStore(dir), /index\.json: /);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { loadEventRules, matchRules } from "../scripts/lib/event-rules.js";
+import { jsonFile, tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("event-rules");
+
+const rulesFile = (rules) => jsonFile(tmpDir, "rules", { rules });
+
+describe("loadEventRules", () => {
+  it("loads the shipped config", () => {
+    const configPath = fileURLToPath(new URL("../config/event-rules.json", import.meta.url));
+    const { rules, hash } = loadEventRules(configPath);
+    assert.ok(rules.length > 0);
+    assert.match(hash, /^[0-9a-f]{40}$/);
+  });
+
+  it("takes label and color from the first rule of a type", () => {
+    const { types } = loadEventRules(
+      rulesFile([
+        { type: "email_sent", source: "toolCall", args: ["mail"] },
+        { type: "email_sent", source: "cron", text: ["mail"], label: "Emails", color: "#0f0" },
+        { type: "other_thing", source: "cron", text: ["x"] },
+      ])
+    );
+    assert.deepEqual(types, { email_sent: { label: "Emails", color: "#0f0" }, other_thing: { label: "other thing" } });
+  });
+
+  it("rejects malformed rules with the rule's position", () => {
+    assert.throws(() => loadEventRules(rulesFile([{ source: "cron" }])), /rule 1: missing "type"/);
+    assert.throws(() => loadEventRules(rulesFile([{ type: "x", source: "nope" }])), /"source" must be one of/);
+    assert.throws(() => loadEventRules(rulesFile([{ type: "x", source: "cron", args: ["a"] }])), /"args" patterns don't apply/);
+    assert.throws(() => loadEventRules(rulesFile([{ type: "x", source: "cron", tool: "exec" }])), /"tool" doesn't apply/);
+    assert.throws(() => loadEventRules(rulesFile([{ type: "x", source: "cron", text: ["("] }])), /rule 1 \(x\)/);
+  });
+});
+
+describe("matchRules", () => {
+  const { rules } = loadEventRules(
+    rulesFile([
+      { type: "email_sent", source: "toolCall", tool: ["exec"], args: ["sendmail", { regex: "TO:", flags: "gi" }], exclude: ["--dry-run"] },
+      { type: "any_tool", source: "toolCall", args: ["sendmail"] },
+      { type: "cron_fail", source: "cron", text: ["failed"] },
+    ])
+  );
+
+  it("needs every pattern, no exclude, and the tool", () => {
+    const types = (tool, text) => matchRules(rules, "toolCall", { tool, text }).map((r) => r.type);
+    assert.deepEqual(types("exec", "sendmail to: a"), ["email_sent", "any_tool"]);
+    assert.deepEqual(types("exec", "sendmail --dry-run to: a"), ["any_tool"]);
+    assert.deepEqual(types("read", "sendmail to: a"), ["any_tool"]);
+    assert.deepEqual(types("exec", "sendmail"), ["any_tool"]);
+  });
+
+  it("is stateless across calls even with a g flag", () => {
+    for (let i = 0; i < 3; i++) assert.equal(matchRules(rules, "toolCall", { tool: "exec", text: "sendmail to: a" }).length, 2);
+  });
+
+  it("only matches rules of the given source", () => {
+    assert.deepEqual(matchRules(rules, "cron", { text: "sendmail failed" }).map((r) => r.type), ["cron_fail"]);
+  });
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { createEventSpool, createEventsWriter, dedupeSorted, mergeSorted, readEvents, timeKey } from "../scripts/lib/event-store.js";
+import { collect, tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("event-store");
+
+const ev = (time, message, extra = {}) => ({ time, type: "tool_call", category: "exec", message, ...extra });
+
+async function* from(entries) {
+  yield* entries;
+}
+
+describe("timeKey", () => {
+  it("parses ISO times and maps unparseable ones to Infinity", () => {
+    assert.equal(timeKey("2026-01-01T00:00:00Z"), Date.UTC(2026, 0, 1));
+    assert.equal(timeKey("2026-01-01T00:00:00+00:00"), Date.UTC(2026, 0, 1));
+    assert.equal(timeKey("not a time"), Infinity);
+    assert.equal(timeKey(undefined), Infinity);
+  });
+});
+
+describe("createEventSpool", () => {
+  it("sorts by time, stable for equal times, across spilled runs", async () => {
+    const spool = createEventSpool({ runSize: 2 });
+    const input = [
+      ev("2026-01-01T00:00:03Z", "c"),
+      ev("2026-01-01T00:00:01Z", "a1"),
+      ev("garbage", "x"),
+      ev("2026-01-01T00:00:01Z", "a2"),
+      ev("2026-01-01T00:00:02Z", "b"),
+    ];
+    for (const e of input) spool.add(e);
+    try {
+      const out = await collect(spool.entries());
+      assert.deepEqual(out.map((x) => x.ev.message), ["a1", "a2", "b", "c", "x"]);
+    } finally {
+      spool.close();
+    }
+  });
+});
+
+describe("mergeSorted", () => {
+  it("breaks ties by seq, then by source", async () => {
+    const a = [{ t: 1, seq: 0, ev: "a0" }, { t: 2, seq: 5, ev: "a5" }];
+    const b = [{ t: 1, seq: 0, ev: "b0" }, { t: 2, seq: 1, ev: "b1" }];
+    const out = (await collect(mergeSorted([from(a), from(b)]))).map((x) => x.ev);
+    assert.deepEqual(out, ["a0", "b0", "b1", "a5"]);
+  });
+});
+
+describe("dedupeSorted", () => {
+  const entry = (e, seq) => ({ t: timeKey(e.time), seq, ev: e });
+
+  it("drops repeats and keeps the first", async () => {
+    const entries = [entry(ev("2026-01-01T00:00:00Z", "a"), 0), entry(ev("2026-01-01T00:00:00Z", "a"), 1), entry(ev("2026-01-01T00:00:00Z", "b"), 2)];
+    const out = await collect(dedupeSorted(from(entries)));
+    assert.deepEqual(out.map((x) => [x.seq, x.ev.message]), [[0, "a"], [2, "b"]]);
+  });
+
+  it("treats spellings of the same instant as one bucket", async () => {
+    const entries = [
+      entry(ev("2026-01-01T00:00:00Z", "a"), 0),
+      entry(ev("2026-01-01T00:00:00+00:00", "b"), 1),
+      entry(ev("2026-01-01T00:00:00+00:00", "a"), 2),
+      entry(ev("2026-01-01T00:00:00Z", "b"), 3),
+    ];
+    const out = await collect(dedupeSorted(from(entries)));
+    assert.deepEqual(out.map((x) => x.ev.message), ["a", "b"]);
+  });
+
+  it("keeps events of different bots and unparseable times apart", async () => {
+    const entries = [
+      entry(ev("2026-01-01T00:00:00Z", "a", { botId: "one" }), 0),
+      entry(ev("2026-01-01T00:00:00Z", "a", { botId: "two" }), 1),
+      entry(ev("garbage", "a"), 2),
+      entry(ev("other garbage", "a"), 3),
+      entry(ev("garbage", "a"), 4),
+    ];
+    const out = await collect(dedupeSorted(from(entries)));
+    assert.deepEqual(out.map((x) => x.seq), [0, 1, 2, 3]);
+  });
+
+  it("compares an event's dedupeKey instead of its message when it has one", async () => {
+    const redacted = (seq, dedupeKey) => entry(ev("2026-01-01T00:00:00Z", "pw=[REDACTED]", { dedupeKey }), seq);
+    const out = await collect(dedupeSorted(from([redacted(0, "hmac:a"), redacted(1, "hmac:b"), redacted(2, "hmac:a")])));
+    assert.deepEqual(out.map((x) => x.seq), [0, 1]);
+  });
+});
+
+describe("createEventsWriter / readEvents", () => {
+  it("writes the same bytes as JSON.stringify and streams them back", async () => {
+    const file = path.join(tmpDir, "events.json");
+    const events = [ev("2026-01-01T00:00:00Z", "line one\nline two", { id: "abc" }), {}, ev("2026-01-02T00:00:00Z", "{ }")];
+    const meta = { summary: { total: 3 }, embeddingModel: "m" };
+    const writer = createEventsWriter(file);
+    for (const e of events) writer.write(e);
+    writer.close(meta);
+    assert.equal(fs.readFileSync(file, "utf-8"), JSON.stringify({ events, ...meta }, null, 2));
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+    const readMeta = {};
+    assert.deepEqual(await collect(readEvents(file, readMeta)), events);
+    assert.deepEqual(readMeta, meta);
+  });
+
+  it("handles an empty list and falls back to JSON.parse for other layouts", async () => {
+    const empty = path.join(tmpDir, "empty.json");
+    const writer = createEventsWriter(empty);
+    writer.close({ summary: null });
+    assert.equal(fs.readFileSync(empty, "utf-8"), JSON.stringify({ events: [], summary: null }, null, 2));
+    assert.deepEqual(await collect(readEvents(empty)), []);
+
+    const compact = path.join(tmpDir, "compact.json");
+    fs.writeFileSync(compact, JSON.stringify({ meta: 1, events: [ev("2026-01-01T00:00:00Z", "a")] }));
+    const meta = {};
+    assert.deepEqual((await collect(readEvents(compact, meta))).map((e) => e.message), ["a"]);
+    assert.deepEqual(meta, { meta: 1 });
+  });
+});
@@ -0,0 +1,27 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after } from "node:test";
+
+/** A fresh directory under the OS temp dir, removed after the test file's tests. */
+export function tempDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+let fileCount = 0;
+
+/** Writes `data` as JSON to a new numbered file in `dir`; returns its path. */
+export function jsonFile(dir, name, data) {
+  const file = path.join(dir, `${name}-${++fileCount}.json`);
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+/** Drains an (async) iterable into an array. */
+export async function collect(iter) {
+  const out = [];
+  for await (const x of iter) out.push(x);
+  return out;
+}
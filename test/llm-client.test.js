@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import path from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { createLlmClient } from "../scripts/lib/llm-client.js";
+import { tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("llm-client");
+for (const name of Object.keys(process.env)) if (name.startsWith("LLM_") || name === "OPENROUTER_API_KEY") delete process.env[name];
+
+// Local OpenAI-style server: answers with the next queued status (then 200s), Retry-After: 0 on errors
+let queue = [];
+let requests = [];
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+    const status = queue.shift() ?? 200;
+    if (status !== 200) {
+      res.writeHead(status, { "Retry-After": "0" });
+      return res.end("busy");
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ choices: [{ message: { role: "assistant", content: `reply ${requests.length}` } }] }));
+  });
+});
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+after(() => server.close());
+beforeEach(() => {
+  queue = [];
+  requests = [];
+});
+
+describe("createLlmClient", () => {
+  it("needs a model, and a key for OpenRouter", () => {
+    assert.throws(() => createLlmClient({ baseUrl }), /No model/);
+    assert.throws(() => createLlmClient({ model: "m" }), /OPENROUTER_API_KEY/);
+  });
+
+  it("posts the model, messages and params to <base>/chat/completions", async () => {
+    const llm = createLlmClient({ model: "m", baseUrl, apiKey: "k" });
+    const reply = await llm.chat("hi", { max_tokens: 5 });
+    assert.equal(reply.content, "reply 1");
+    assert.deepEqual(requests, [{ url: "/v1/chat/completions", auth: "Bearer k", body: { model: "m", messages: [{ role: "user", content: "hi" }], max_tokens: 5 } }]);
+  });
+
+  it("caches responses on disk by request", async () => {
+    const cacheDir = path.join(tmpDir, "cache");
+    const llm = createLlmClient({ model: "m", baseUrl, cacheDir });
+    const first = await llm.chat("same");
+    assert.deepEqual(await llm.chat("same"), first);
+    assert.deepEqual(await createLlmClient({ model: "m", baseUrl, cacheDir }).chat("same"), first);
+    await llm.chat("other");
+    assert.equal(requests.length, 2);
+    assert.deepEqual(llm.stats, { requests: 2, cached: 1, retries: 0 });
+  });
+
+  it("keeps the cache of each server apart", async () => {
+    const cacheDir = path.join(tmpDir, "cache-servers");
+    await createLlmClient({ model: "m", baseUrl, cacheDir }).chat("same");
+    const other = createLlmClient({ model: "m", baseUrl: baseUrl.replace("/v1/", "/v2/"), cacheDir });
+    assert.equal((await other.chat("same")).content, "reply 2");
+    assert.deepEqual(requests.map((r) => r.url), ["/v1/chat/completions", "/v2/chat/completions"]);
+  });
+
+  it("retries 429 and 5xx, up to maxRetries", async () => {
+    const llm = createLlmClient({ model: "m", baseUrl, maxRetries: 2 });
+    queue = [503, 429];
+    assert.equal((await llm.chat("a")).content, "reply 3");
+    assert.equal(llm.stats.retries, 2);
+
+    queue = [500, 500, 500];
+    await assert.rejects(llm.chat("b"), /500: busy/);
+    assert.equal(requests.length, 6);
+  });
+
+  it("doesn't retry other HTTP errors", async () => {
+    const llm = createLlmClient({ model: "m", baseUrl });
+    queue = [400];
+    await assert.rejects(llm.chat("a"), /400: busy/);
+    assert.equal(requests.length, 1);
+  });
+});
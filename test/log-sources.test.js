@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { DEFAULT_BOT, hashSources, resolveSources, sourceRel } from "../scripts/lib/log-sources.js";
+import { tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("log-sources");
+
+function tree(name) {
+  const root = path.join(tmpDir, name);
+  fs.mkdirSync(path.join(root, "logs"), { recursive: true });
+  return { root, logsDir: path.join(root, "logs"), configPath: path.join(root, "config", "sources.json") };
+}
+
+describe("resolveSources", () => {
+  it("is all of logs/ as the default bot without bots/ or a config", () => {
+    const { root, logsDir, configPath } = tree("single");
+    assert.deepEqual(resolveSources(root, logsDir, configPath), [{ botId: DEFAULT_BOT, root: logsDir }]);
+  });
+
+  it("adds one bot per valid logs/bots/<botId>/ directory", () => {
+    const { root, logsDir, configPath } = tree("bots");
+    for (const dir of ["beta", "alpha", "bad name"]) fs.mkdirSync(path.join(logsDir, "bots", dir), { recursive: true });
+    fs.writeFileSync(path.join(logsDir, "bots", "file.log"), "");
+    assert.deepEqual(
+      resolveSources(root, logsDir, configPath).map((s) => [s.botId, path.relative(logsDir, s.root)]),
+      [[DEFAULT_BOT, ""], ["alpha", "bots/alpha"], ["beta", "bots/beta"]]
+    );
+  });
+
+  it("uses only the sources in the config and checks them", () => {
+    const { root, logsDir, configPath } = tree("config");
+    fs.mkdirSync(path.dirname(configPath));
+    fs.writeFileSync(configPath, JSON.stringify({ sources: { alpha: "logs/alpha", beta: "/var/beta" } }));
+    assert.deepEqual(resolveSources(root, logsDir, configPath), [
+      { botId: "alpha", root: path.join(root, "logs", "alpha") },
+      { botId: "beta", root: "/var/beta" },
+    ]);
+    fs.writeFileSync(configPath, JSON.stringify({ sources: { "a/b": "x" } }));
+    assert.throws(() => resolveSources(root, logsDir, configPath), /bot ID "a\/b"/);
+    fs.writeFileSync(configPath, JSON.stringify({ sources: {} }));
+    assert.throws(() => resolveSources(root, logsDir, configPath), /expected \{ "sources"/);
+  });
+});
+
+describe("sourceRel", () => {
+  it("keeps logs/-relative paths and prefixes outside files with the bot", () => {
+    const logsDir = "/p/logs";
+    assert.equal(sourceRel({ botId: "alpha", root: "/p/logs/bots/alpha" }, "/p/logs/bots/alpha/s.jsonl", logsDir), "bots/alpha/s.jsonl");
+    assert.equal(sourceRel({ botId: "beta", root: "/srv/beta" }, "/srv/beta/cron/j.jsonl", logsDir), "@beta/cron/j.jsonl");
+  });
+});
+
+describe("hashSources", () => {
+  it("changes with the bot → directory mapping", () => {
+    const a = hashSources([{ botId: "a", root: "/x" }]);
+    assert.equal(a, hashSources([{ botId: "a", root: "/x" }]));
+    assert.notEqual(a, hashSources([{ botId: "a", root: "/y" }]));
+  });
+});
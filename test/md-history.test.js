@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyUnifiedDiff, createMdHistory, linePatch } from "../scripts/lib/md-history.js";
+
+let n = 0;
+const md = (op, message, extra = {}) => ({ id: `e${++n}`, time: `2026-01-01T00:00:${String(n).padStart(2, "0")}Z`, type: "md_write", category: "NOTES.md", op, message, ...extra });
+const write = (path, content, extra) => md("write", JSON.stringify({ path, content }), { path, ...extra });
+const edit = (path, args, extra) => md("edit", JSON.stringify({ path, ...args }), { path, ...extra });
+
+function replay(events) {
+  const history = createMdHistory();
+  for (const e of events) history.scan(e);
+  for (const e of events) history.apply(e);
+  return history.result();
+}
+
+/** The text of a content table entry, following patches back to a full text. */
+function contentOf(contents, hash) {
+  const entry = contents[hash];
+  if (typeof entry === "string") return entry;
+  const lines = contentOf(contents, entry.base).split("\n");
+  lines.splice(entry.at, entry.remove, ...entry.lines);
+  return lines.join("\n");
+}
+
+describe("linePatch", () => {
+  it("replaces the lines between the common prefix and suffix", () => {
+    assert.deepEqual(linePatch("a\nb\nc\nd", "a\nx\ny\nd"), { at: 1, remove: 2, lines: ["x", "y"] });
+    assert.deepEqual(linePatch("a\nb", "a\nb\nc"), { at: 2, remove: 0, lines: ["c"] });
+  });
+});
+
+describe("applyUnifiedDiff", () => {
+  it("applies hunks and refuses ones that don't match", () => {
+    const diff = "--- a\n+++ b\n@@ -2,2 +2,2 @@\n b\n-c\n+C\n\\ No newline at end of file";
+    assert.equal(applyUnifiedDiff("a\nb\nc\nd", diff), "a\nb\nC\nd");
+    assert.equal(applyUnifiedDiff("a\nx\nc\nd", diff), null);
+    assert.equal(applyUnifiedDiff("a", "no hunks"), null);
+  });
+});
+
+describe("createMdHistory", () => {
+  it("replays writes and edits into versions with their content", () => {
+    const p = "/ws/NOTES.md";
+    const { files, contents } = replay([
+      write(p, "# Notes\none\ntwo"),
+      edit(p, { oldText: "one", newText: "uno" }),
+      edit(p, { edits: [{ old_string: "o", new_string: "0", replace_all: true }] }),
+      edit(p, { oldText: "missing", newText: "x" }),
+    ]);
+    const file = files[p];
+    assert.deepEqual([file.name, file.flagged], ["NOTES.md", 1]);
+    assert.deepEqual(file.versions.map((v) => v.status), ["ok", "ok", "ok", "mismatch"]);
+    assert.deepEqual(
+      file.versions.map((v) => contentOf(contents, v.contentHash)),
+      ["# Notes\none\ntwo", "# Notes\nuno\ntwo", "# N0tes\nun0\ntw0", "# N0tes\nun0\ntw0"]
+    );
+    assert.equal(file.versions[1].bytes, Buffer.byteLength("# Notes\nuno\ntwo"));
+  });
+
+  it("flags edits without a base and truncated writes", () => {
+    const p = "/ws/NOTES.md";
+    const { files } = replay([edit(p, { oldText: "a", newText: "b" }), md("write", "partial\n…[truncated]", { path: p }), md("edit", "not json", { path: p })]);
+    assert.deepEqual(files[p].versions.map((v) => [v.status, v.bytes]), [["unknown_base", null], ["truncated", 7], ["unparsed", 7]]);
+  });
+
+  it("keeps files of the same name in other directories and bots apart", () => {
+    const { files } = replay([write("/a/NOTES.md", "a"), write("/b/NOTES.md", "b"), write("/a/NOTES.md", "c", { botId: "other" })]);
+    assert.deepEqual(Object.keys(files), ["/a/NOTES.md", "/b/NOTES.md", "other:/a/NOTES.md"]);
+    assert.equal(files["other:/a/NOTES.md"].botId, "other");
+  });
+
+  it("applies a result diff to the one path of its name, unless its tool call is logged", () => {
+    const p = "/ws/NOTES.md";
+    const diff = "@@ -1 +1 @@\n-a\n+b";
+    const { files, contents } = replay([
+      write(p, "a", { toolCallId: "t1" }),
+      md("diff", diff, { toolCallId: "t1" }),
+      md("diff", diff, { toolCallId: "t2" }),
+    ]);
+    assert.deepEqual(files[p].versions.map((v) => [v.op, contentOf(contents, v.contentHash)]), [["write", "a"], ["diff", "b"]]);
+  });
+
+  it("stores identical contents once and small changes as patches", () => {
+    const p = "/ws/NOTES.md";
+    const big = Array.from({ length: 20 }, (_, i) => `line ${i}`).join("\n");
+    const { files, contents } = replay([write(p, big), edit(p, { oldText: "line 3", newText: "line three" }), write(p, big)]);
+    const [first, second, third] = files[p].versions.map((v) => v.contentHash);
+    assert.equal(third, first);
+    assert.equal(Object.keys(contents).length, 2);
+    assert.deepEqual(contents[second], { base: first, at: 3, remove: 1, lines: ["line three"] });
+  });
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createDiagnostics, diagnosticsReport, mergeDiagnostics } from "../scripts/lib/parse-diagnostics.js";
+
+const skipped = (reason) => ({ kind: "skipped", reason });
+const unknown = (reason) => ({ kind: "unknown", reason });
+
+describe("createDiagnostics", () => {
+  it("counts lines and keeps a few redacted, shortened samples per reason", () => {
+    const diag = createDiagnostics({ redact: (text, rel, line) => `${rel}:${line}:${text.replace("secret", "[REDACTED]")}` });
+    diag.line("a.jsonl", "default", "parsed", 1, "{}");
+    for (let i = 2; i <= 6; i++) diag.line("a.jsonl", "default", unknown("invalid_json"), i, `secret ${"x".repeat(400)}`);
+    diag.line("a.jsonl", "default", skipped("blank_line"), 7, "");
+
+    const f = diag.files["a.jsonl"];
+    assert.deepEqual([f.lines, f.parsed, f.skipped, f.unknown], [7, 1, 1, 5]);
+    const r = f.reasons.invalid_json;
+    assert.equal(r.count, 5);
+    assert.deepEqual(r.samples.map((s) => s.line), [2, 3, 4]);
+    assert.ok(r.samples[0].text.startsWith("a.jsonl:2:[REDACTED] x"));
+    assert.equal(r.samples[0].text.length, 301);
+  });
+});
+
+describe("mergeDiagnostics / diagnosticsReport", () => {
+  it("adds an earlier report, earlier samples first, and totals across files", () => {
+    const earlier = createDiagnostics();
+    earlier.line("a.jsonl", "default", unknown("invalid_json"), 1, "old");
+    earlier.line("b.jsonl", "beta", skipped("blank_line"), 1, "");
+    const previous = JSON.parse(JSON.stringify(diagnosticsReport(earlier)));
+
+    const diag = createDiagnostics();
+    diag.line("a.jsonl", "default", unknown("invalid_json"), 2, "new");
+    diag.line("a.jsonl", "default", "parsed", 3, "{}");
+    mergeDiagnostics(diag, previous);
+
+    const report = diagnosticsReport(diag, { complete: false });
+    assert.equal(report.complete, false);
+    assert.deepEqual(report.totals, { files: 2, lines: 4, parsed: 1, skipped: 1, unknown: 2 });
+    assert.deepEqual(report.reasons.invalid_json, { kind: "unknown", count: 2, files: 1 });
+    assert.deepEqual(report.files["a.jsonl"].reasons.invalid_json.samples.map((s) => s.text), ["old", "new"]);
+    assert.equal(report.files["b.jsonl"].botId, "beta");
+    assert.deepEqual(Object.keys(report.files), ["a.jsonl", "b.jsonl"]);
+  });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { tempDir } from "./helpers.js";
+
+const repoRoot = fileURLToPath(new URL("..", import.meta.url));
+const tmpDir = tempDir("parse-logs");
+
+/** A project copy with the parser and its config, so runs write only into the temp dir. */
+function project(name) {
+  const root = path.join(tmpDir, name);
+  fs.cpSync(path.join(repoRoot, "scripts", "lib"), path.join(root, "scripts", "lib"), { recursive: true });
+  fs.copyFileSync(path.join(repoRoot, "scripts", "parse-logs.js"), path.join(root, "scripts", "parse-logs.js"));
+  for (const file of ["annotators.json", "event-rules.json", "redaction.json"]) fs.cpSync(path.join(repoRoot, "config", file), path.join(root, "config", file));
+  fs.mkdirSync(path.join(root, "logs", "sessions_snap"), { recursive: true });
+  return {
+    log: (file, lines) => fs.appendFileSync(path.join(root, "logs", "sessions_snap", file), lines.map((l) => JSON.stringify(l) + "\n").join("")),
+    parse: (...args) => execFileSync(process.execPath, [path.join(root, "scripts", "parse-logs.js"), ...args], { cwd: root, encoding: "utf-8" }),
+    eventsPath: path.join(root, "public", "events.json"),
+    read: (file) => {
+      const { generatedAt, ...data } = JSON.parse(fs.readFileSync(path.join(root, "public", file), "utf-8"));
+      return data;
+    },
+  };
+}
+
+const email = (id, time, to) => ({
+  type: "message",
+  id,
+  timestamp: time,
+  message: { role: "assistant", content: [{ type: "toolCall", id: `call-${id}`, name: "send_email", arguments: { to, body: "hi" } }] },
+});
+const say = (id, time, text) => ({ type: "message", id, timestamp: time, message: { role: "user", content: [{ type: "text", text }] } });
+
+describe("parse-logs", () => {
+  it("merges a duplicated redacted event the same way incrementally as in a full parse", () => {
+    const p = project("dedupe");
+    const sent = email("m1", "2026-01-01T00:00:01.000Z", "ana@example.com");
+    p.log("a.jsonl", [say("u1", "2026-01-01T00:00:00.000Z", "mail ana"), sent]);
+    p.log("b.jsonl", [say("u2", "2026-01-01T00:00:02.000Z", "hello")]);
+    p.parse();
+
+    // The same call logged again, and one to another address that redacts to the same text
+    p.log("b.jsonl", [sent, email("m2", "2026-01-01T00:00:01.000Z", "bob@example.com")]);
+    p.parse();
+    const incremental = { events: p.read("events.json"), sessions: p.read("sessions.json") };
+
+    p.parse("--full");
+    const full = { events: p.read("events.json"), sessions: p.read("sessions.json") };
+
+    assert.deepEqual(incremental, full);
+    const calls = full.events.events.filter((e) => e.type === "tool_call");
+    assert.equal(calls.length, 2);
+    assert.ok(calls.every((e) => !e.message.includes("@example.com") && e.dedupeKey?.startsWith("hmac:")));
+    assert.notEqual(calls[0].dedupeKey, calls[1].dedupeKey);
+  });
+
+  it("carries annotations and summaries over a full re-parse, and nothing else", () => {
+    const p = project("enrich");
+    p.log("a.jsonl", [say("u1", "2026-01-01T00:00:00.000Z", "why is this broken"), say("u2", "2026-01-01T00:00:01.000Z", "thanks")]);
+    p.parse();
+    const data = JSON.parse(fs.readFileSync(p.eventsPath, "utf-8"));
+    Object.assign(data.events[0], { sentiment: "upset", sentimentConfidence: 0.9, sentimentSource: "human", summary: "asks why", durationMs: 5, message: "stale" });
+    fs.writeFileSync(p.eventsPath, JSON.stringify(data, null, 2));
+
+    p.parse("--full");
+    const [first, second] = p.read("events.json").events;
+    assert.deepEqual(
+      [first.sentiment, first.sentimentConfidence, first.sentimentSource, first.summary, first.durationMs, first.message],
+      ["upset", 0.9, "human", "asks why", undefined, "why is this broken"]
+    );
+    assert.equal(second.sentiment, undefined);
+  });
+});
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { checkpointFile, compareToCheckpoint, loadManifest, saveManifest } from "../scripts/lib/parse-manifest.js";
+import { tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("parse-manifest");
+
+function logFile(name, content) {
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe("compareToCheckpoint", () => {
+  it("is new without a checkpoint and unchanged at the checkpoint", () => {
+    const file = logFile("a.jsonl", "one\ntwo\n");
+    assert.deepEqual(compareToCheckpoint(file, undefined), { action: "new" });
+    const entry = checkpointFile(file, { offset: 8, lines: 2 });
+    assert.deepEqual(compareToCheckpoint(file, entry), { action: "unchanged" });
+  });
+
+  it("resumes appended files", () => {
+    const file = logFile("b.jsonl", "one\ntwo\n");
+    const entry = checkpointFile(file, { offset: 8, lines: 2 });
+    fs.appendFileSync(file, "three\n");
+    assert.deepEqual(compareToCheckpoint(file, entry), { action: "append" });
+  });
+
+  it("detects truncated and rewritten files", () => {
+    const file = logFile("c.jsonl", "one\ntwo\n");
+    const entry = checkpointFile(file, { offset: 8, lines: 2 });
+    fs.writeFileSync(file, "one\n");
+    assert.equal(compareToCheckpoint(file, entry).action, "changed");
+    fs.writeFileSync(file, "uno\ntwo\nthree\n");
+    const result = compareToCheckpoint(file, entry);
+    assert.equal(result.action, "changed");
+    assert.match(result.reason, /rotated or rewritten/);
+  });
+
+  it("only fingerprints the parsed prefix", () => {
+    const file = logFile("d.jsonl", "one\npartial");
+    const entry = checkpointFile(file, { offset: 4, lines: 1 });
+    fs.writeFileSync(file, "one\npartial line\n");
+    assert.deepEqual(compareToCheckpoint(file, entry), { action: "append" });
+  });
+});
+
+describe("loadManifest / saveManifest", () => {
+  it("round-trips files and extra fields", () => {
+    const manifestPath = path.join(tmpDir, "manifest.json");
+    saveManifest(manifestPath, { "a.jsonl": { offset: 1 } }, { rulesHash: "abc" });
+    const manifest = loadManifest(manifestPath);
+    assert.deepEqual(manifest.files, { "a.jsonl": { offset: 1 } });
+    assert.equal(manifest.rulesHash, "abc");
+  });
+
+  it("ignores missing, unreadable and other-version manifests", () => {
+    assert.equal(loadManifest(path.join(tmpDir, "missing.json")), null);
+    assert.equal(loadManifest(logFile("bad.json", "{")), null);
+    assert.equal(loadManifest(logFile("old.json", JSON.stringify({ version: 1, files: {} }))), null);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { costOf, loadPrices, priceFor } from "../scripts/lib/prices.js";
+import { jsonFile, tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("prices");
+
+const pricesFile = (config) => jsonFile(tmpDir, "prices", config);
+
+const prices = loadPrices(
+  pricesFile({
+    models: {
+      "Anthropic/Claude-Sonnet-4": { input: 3, output: 15, cacheRead: 0.3 },
+      "openai/gpt-4o": { input: 2.5, output: 10 },
+      "openai/gpt-4o-mini": { input: 0.15, output: 0.6 },
+      "openrouter/llama-3": { input: 1, output: 1 },
+      "together/llama-3": { input: 2, output: 2 },
+    },
+  })
+);
+
+describe("loadPrices", () => {
+  it("defaults the currency, unit and cache prices", () => {
+    assert.equal(prices.currency, "USD");
+    assert.equal(prices.per, 1_000_000);
+    assert.deepEqual(priceFor(prices, "openai/gpt-4o"), { input: 2.5, output: 10, cacheRead: 2.5, cacheWrite: 2.5 });
+  });
+
+  it("rejects models without numeric prices", () => {
+    assert.throws(() => loadPrices(pricesFile({ models: { x: { input: "1", output: 2 } } })), /model "x" needs numeric/);
+    assert.throws(() => loadPrices(pricesFile({})), /expected \{ "models"/);
+  });
+});
+
+describe("priceFor", () => {
+  const sonnet = priceFor(prices, "anthropic/claude-sonnet-4");
+
+  it("matches exact keys case-insensitively, with or without the provider prefix", () => {
+    assert.equal(sonnet.input, 3);
+    assert.equal(priceFor(prices, "claude-sonnet-4", "anthropic"), sonnet);
+    assert.equal(priceFor(prices, "claude-sonnet-4"), sonnet);
+    assert.equal(priceFor(prices, "gpt-4o-mini", "openai").input, 0.15);
+  });
+
+  it("prices dated snapshots as their model", () => {
+    assert.equal(priceFor(prices, "claude-sonnet-4-20250514", "anthropic"), sonnet);
+    assert.equal(priceFor(prices, "openai/gpt-4o-2024-08-06").input, 2.5);
+  });
+
+  it("has no price for unknown variants or ambiguous names", () => {
+    assert.equal(priceFor(prices, "gpt-4o-mini-xyz", "openai"), null);
+    assert.equal(priceFor(prices, "openai/gpt-4o-realtime"), null);
+    assert.equal(priceFor(prices, "claude-sonnet"), null);
+    assert.equal(priceFor(prices, "llama-3"), null);
+    assert.equal(priceFor(prices, "llama-3", "together").input, 2);
+    assert.equal(priceFor(prices, undefined), null);
+  });
+});
+
+describe("costOf", () => {
+  it("sums every token kind at its price per unit", () => {
+    const price = priceFor(prices, "anthropic/claude-sonnet-4");
+    assert.equal(costOf({ input: 1_000_000, output: 100_000, cacheRead: 1_000_000 }, price, prices.per), 3 + 1.5 + 0.3);
+  });
+});
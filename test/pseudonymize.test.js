@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { createPseudonymizer } from "../scripts/lib/pseudonymize.js";
+import { tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("pseudonymize");
+
+const mapPath = (name) => path.join(tmpDir, `${name}.json`);
+
+describe("createPseudonymizer", () => {
+  it("gives the same person the same alias, by handle", () => {
+    const p = createPseudonymizer(mapPath("stable"), { salt: "s" });
+    const alias = p.learn("Alice", "alice42");
+    assert.match(alias, /^user-[0-9a-f]{4,}$/);
+    assert.equal(p.learn("Alice B.", "alice42"), alias);
+    assert.equal(p.learn(null, "ALICE42"), alias);
+    assert.equal(p.learn(alias), alias);
+    assert.notEqual(p.learn("Bob", "bob7"), alias);
+    assert.equal(createPseudonymizer(mapPath("other"), { salt: "s" }).learn("Alice", "alice42"), alias);
+  });
+
+  it("replaces @mentions in any case and exact display names", () => {
+    const p = createPseudonymizer(mapPath("mentions"), { salt: "s" });
+    const alice = p.learn("Alice", "alice42");
+    assert.equal(p.text("Alice asked @ALICE42 and @alice"), `${alice} asked @${alice} and @${alice}`);
+    assert.equal(p.text("alice42 and alice stay"), "alice42 and alice stay");
+    assert.equal(p.text("Malice and Alice_x stay"), "Malice and Alice_x stay");
+  });
+
+  it("leaves names that are common words alone unless @-prefixed", () => {
+    const p = createPseudonymizer(mapPath("words"), { salt: "s" });
+    const max = p.learn("Max", "maxpower");
+    const will = p.learn("will", "will99");
+    assert.equal(p.text("Max it out, will do, ask @Max or @will"), `Max it out, will do, ask @${max} or @${will}`);
+  });
+
+  it("replaces userName, drops userHandle and skips ID fields", () => {
+    const p = createPseudonymizer(mapPath("event"), { salt: "s" });
+    const raw = { id: "Alice", userName: "Alice", userHandle: "alice42", message: "hi from Alice", details: { to: ["@alice42"] } };
+    // Callers learn every event's user first, so mentions of later users are replaced too
+    p.learnEvent(raw);
+    const ev = p.event(raw);
+    const alias = p.learn("Alice", "alice42");
+    assert.deepEqual(ev, { id: "Alice", userName: alias, message: `hi from ${alias}`, details: { to: [`@${alias}`] } });
+  });
+
+  it("saves the mapping privately and reloads it", () => {
+    const file = mapPath("saved");
+    const p = createPseudonymizer(file, { salt: "s" });
+    const alias = p.learn("Alice", "alice42");
+    p.save();
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    const reloaded = createPseudonymizer(file, { salt: undefined });
+    assert.equal(reloaded.text("@alice42 and Alice"), `@${alias} and ${alias}`);
+    assert.equal(reloaded.hash, p.hash);
+    assert.throws(() => createPseudonymizer(file, { salt: "different" }), /PSEUDONYM_SALT differs/);
+  });
+});
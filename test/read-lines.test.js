@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { readLines } from "../scripts/lib/read-lines.js";
+import { collect, tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("read-lines");
+
+describe("readLines", () => {
+  it("splits on \\n with byte offsets, multi-byte characters included", async () => {
+    const file = path.join(tmpDir, "a.log");
+    fs.writeFileSync(file, "héllo\n\nworld\n");
+    assert.deepEqual(await collect(readLines(file)), [
+      { line: "héllo", start: 0, end: 7, complete: true },
+      { line: "", start: 7, end: 8, complete: true },
+      { line: "world", start: 8, end: 14, complete: true },
+    ]);
+  });
+
+  it("reports a trailing line without newline as incomplete", async () => {
+    const file = path.join(tmpDir, "b.log");
+    fs.writeFileSync(file, "one\ntwo");
+    const lines = await collect(readLines(file));
+    assert.deepEqual(lines.at(-1), { line: "two", start: 4, end: 7, complete: false });
+  });
+
+  it("resumes from a byte offset", async () => {
+    const file = path.join(tmpDir, "c.log");
+    fs.writeFileSync(file, "one\ntwo\nthree\n");
+    const lines = await collect(readLines(file, { start: 4 }));
+    assert.deepEqual(lines.map((l) => [l.line, l.start]), [["two", 4], ["three", 8]]);
+  });
+});
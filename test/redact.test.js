@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { createAuditLog, loadRedactionRules, redactText, redactValue } from "../scripts/lib/redact.js";
+import { jsonFile, tempDir } from "./helpers.js";
+
+const tmpDir = tempDir("redact");
+
+const configFile = (config) => jsonFile(tmpDir, "redaction", config);
+
+const { rules } = loadRedactionRules(fileURLToPath(new URL("../config/redaction.json", import.meta.url)));
+
+describe("built-in patterns", () => {
+  const cases = {
+    github_token: "ghp_" + "a".repeat(36),
+    anthropic_key: "sk-ant-" + "b".repeat(40),
+    openai_key: "sk-proj-" + "c".repeat(40),
+    aws_access_key: "AKIA" + "D".repeat(16),
+    email: "someone@example.com",
+    phone: "+44 20 7946 0958",
+  };
+  for (const [name, secret] of Object.entries(cases)) {
+    it(`redacts ${name}`, () => {
+      assert.equal(redactText(rules, `x ${secret} y`), `x [REDACTED:${name}] y`);
+    });
+  }
+
+  it("leaves bare digit runs (IDs, timestamps) alone", () => {
+    assert.equal(redactText(rules, "id 1234567890123 at 1767225600000"), "id 1234567890123 at 1767225600000");
+  });
+});
+
+describe("password_assignment", () => {
+  it("redacts the value after password=, pwd:, secret=", () => {
+    assert.equal(redactText(rules, "password = hunter22;"), "password = [REDACTED:password_assignment];");
+    assert.equal(redactText(rules, "secret='qwerty12'"), "secret='[REDACTED:password_assignment]'");
+  });
+
+  it("keeps JSON-encoded tool arguments parseable", () => {
+    const args = JSON.stringify({ command: 'export PASSWORD="hunter2secret" && run', oldText: "pwd: abcdefgh" });
+    const out = redactText(rules, args);
+    assert.deepEqual(JSON.parse(out), { command: 'export PASSWORD="[REDACTED:password_assignment]" && run', oldText: "pwd: [REDACTED:password_assignment]" });
+  });
+});
+
+describe("loadRedactionRules", () => {
+  it("uses a builtin subset, custom patterns and the replacement template", () => {
+    const { rules: custom, hash } = loadRedactionRules(
+      configFile({ builtins: ["email"], patterns: [{ name: "host", regex: "\\bbox\\d+\\.corp\\b", flags: "i" }], replacement: "<{name}>" })
+    );
+    assert.equal(redactText(custom, "a@b.io on BOX1.corp, key sk-ant-" + "x".repeat(30)), "<email> on <host>, key sk-ant-" + "x".repeat(30));
+    assert.match(hash, /^[0-9a-f]{40}$/);
+  });
+
+  it("uses every builtin without a config file", () => {
+    const { rules: all } = loadRedactionRules(path.join(tmpDir, "missing.json"));
+    assert.equal(redactText(all, "me@example.com"), "[REDACTED:email]");
+  });
+
+  it("rejects unknown builtins and bad patterns", () => {
+    assert.throws(() => loadRedactionRules(configFile({ builtins: ["nope"] })), /unknown builtin "nope"/);
+    assert.throws(() => loadRedactionRules(configFile({ patterns: [{ name: "x", regex: "(" }] })), /pattern 1 \(x\)/);
+    assert.throws(() => loadRedactionRules(configFile({ patterns: [{ regex: "a" }] })), /missing "name"/);
+  });
+});
+
+describe("redactValue", () => {
+  it("redacts nested strings and reports their dotted path", () => {
+    const hits = [];
+    const out = redactValue(rules, { a: ["x", "me@example.com"], b: { c: "me@example.com me@example.com" }, n: 3 }, (rule, n, field) => hits.push([rule, n, field]));
+    assert.deepEqual(out, { a: ["x", "[REDACTED:email]"], b: { c: "[REDACTED:email] [REDACTED:email]" }, n: 3 });
+    assert.deepEqual(hits, [["email", 1, "a.1"], ["email", 2, "b.c"]]);
+  });
+});
+
+describe("createAuditLog", () => {
+  it("merges counts per location and replaces only its own stage", () => {
+    const auditPath = path.join(tmpDir, "audit.jsonl");
+    const other = createAuditLog(auditPath, "deploy");
+    other.record("email", 1, "message", { eventId: "e0" });
+    other.close();
+
+    const first = createAuditLog(auditPath, "parse");
+    first.record("email", 1, "message", { eventId: "e1" });
+    first.record("email", 2, "message", { eventId: "e1" });
+    assert.equal(first.total, 3);
+    first.close();
+
+    const second = createAuditLog(auditPath, "parse");
+    second.record("phone", 1, "message", { eventId: "e2", file: "a.jsonl", line: 4 });
+    second.close({ replace: true });
+
+    const lines = fs.readFileSync(auditPath, "utf-8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(lines.map(({ stage, rule, count, eventId }) => [stage, rule, count, eventId]), [["deploy", "email", 1, "e0"], ["parse", "phone", 1, "e2"]]);
+    assert.equal(lines[1].line, 4);
+    assert.equal(JSON.stringify(lines).includes("@"), false);
+  });
+});
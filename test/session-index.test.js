@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createSessionIndex } from "../scripts/lib/session-index.js";
+
+describe("createSessionIndex", () => {
+  it("aggregates messages, tools, MD files, failures and users per session", () => {
+    const index = createSessionIndex();
+    const base = { sessionId: "s1", subsystem: "session" };
+    index.add({ ...base, time: "2026-01-01T00:00:10Z", type: "user_message", category: "discord", userName: "ana", userHandle: "ana#1" });
+    index.add({ ...base, time: "2026-01-01T00:00:00Z", type: "user_message", category: "discord", userName: "ana" });
+    index.add({ ...base, time: "2026-01-01T00:00:20Z", type: "assistant_message", category: "reply" });
+    index.add({ ...base, time: "2026-01-01T00:00:30Z", type: "tool_call", category: "exec" });
+    index.add({ ...base, time: "2026-01-01T00:00:31Z", type: "failure", category: "exec" });
+    index.add({ ...base, time: "2026-01-01T00:00:40Z", type: "md_write", category: "MEMORY.md" });
+    index.add({ time: "2026-01-01T00:00:50Z", type: "heartbeat", category: "ping" });
+
+    assert.equal(index.size, 1);
+    const [s] = index.toJSON();
+    assert.equal(s.start, "2026-01-01T00:00:00Z");
+    assert.equal(s.end, "2026-01-01T00:00:40Z");
+    assert.equal(s.durationMs, 40_000);
+    assert.equal(s.events, 6);
+    assert.deepEqual(s.messages, { user: 2, assistant: 1, toolResult: 1 });
+    assert.deepEqual(s.tools, { exec: 1 });
+    assert.deepEqual(s.mdFiles, { "MEMORY.md": 1 });
+    assert.equal(s.failures, 1);
+    assert.deepEqual(s.users, [{ userName: "ana", userHandle: "ana#1", messages: 2 }]);
+  });
+
+  it("keeps bots apart, marks cron sessions and sorts by start", () => {
+    const index = createSessionIndex();
+    index.add({ sessionId: "s", botId: "b", time: "2026-01-02T00:00:00Z", type: "tool_call", category: "exec" });
+    index.add({ sessionId: "s", botId: "a", time: "2026-01-02T00:00:00Z", type: "tool_call", category: "exec" });
+    index.add({ sessionId: "job", time: "2026-01-01T00:00:00Z", type: "cron", category: "failure", subsystem: "cron" });
+    const sessions = index.toJSON();
+    assert.deepEqual(sessions.map((s) => [s.sessionId, s.botId, s.kind]), [["job", undefined, "cron"], ["s", "a", "session"], ["s", "b", "session"]]);
+    assert.equal(sessions[0].failures, 1);
+  });
+});
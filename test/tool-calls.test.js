@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { RESULT_PREVIEW_LEN, createToolPairer, createToolStats, isToolResult, percentile, resultPreview } from "../scripts/lib/tool-calls.js";
+
+const at = (s) => `2026-01-01T00:00:${String(s).padStart(2, "0")}.000Z`;
+const call = (s, extra = {}) => ({ time: at(s), type: "tool_call", category: "exec", sessionId: "s", ...extra });
+const result = (s, type, extra = {}) => ({ time: at(s), type, category: "exec", subsystem: "session", sessionId: "s", message: "done", ...extra });
+
+describe("resultPreview", () => {
+  it("keeps the first RESULT_PREVIEW_LEN chars on one line", () => {
+    const text = "a\nb" + "x".repeat(300);
+    assert.equal(resultPreview(text), ("a b" + "x".repeat(300)).slice(0, RESULT_PREVIEW_LEN));
+    assert.equal(resultPreview(" ok\n"), "ok");
+  });
+});
+
+describe("isToolResult", () => {
+  it("takes session success/failure events of a tool", () => {
+    assert.equal(isToolResult(result(0, "success")), true);
+    assert.equal(isToolResult(result(0, "failure", { subsystem: "cron" })), false);
+    assert.equal(isToolResult(result(0, "success", { category: "" })), false);
+  });
+});
+
+describe("createToolPairer", () => {
+  it("pairs calls with their result by toolCallId, per bot", () => {
+    const pairer = createToolPairer();
+    pairer.addResult(result(5, "failure", { toolCallId: "t1", message: "boom" }));
+    pairer.addResult(result(3, "success", { toolCallId: "t1", botId: "b" }));
+    assert.deepEqual(pairer.pair(call(1, { toolCallId: "t1" })), { ...call(1, { toolCallId: "t1" }), durationMs: 4000, outcome: "error", resultPreview: "boom" });
+    assert.equal(pairer.pair(call(1, { toolCallId: "t1", botId: "b" })).durationMs, 2000);
+  });
+
+  it("gives calls without an ID the next later result of the tool in the session", () => {
+    const pairer = createToolPairer();
+    for (const s of [1, 4, 6]) pairer.addResult(result(s, "success", { message: `r${s}` }));
+    assert.equal(pairer.pair(call(2)).resultPreview, "r4");
+    assert.equal(pairer.pair(call(5)).resultPreview, "r6");
+    assert.equal(pairer.pair(call(7)).outcome, "no_result");
+    assert.equal(pairer.pair(call(0, { sessionId: "other" })).outcome, "no_result");
+  });
+
+  it("replaces old pairing fields and prefers the result's full-text preview", () => {
+    const pairer = createToolPairer();
+    const long = "y".repeat(RESULT_PREVIEW_LEN);
+    pairer.addResult(result(1, "success", { toolCallId: "t1", message: "y".repeat(120) + "…", resultPreview: long }));
+    assert.equal(pairer.pair(call(0, { toolCallId: "t1", outcome: "error" })).resultPreview, long);
+    const unpaired = pairer.pair(call(0, { toolCallId: "t2", durationMs: 5, outcome: "success", resultPreview: "old" }));
+    assert.deepEqual(unpaired, { ...call(0, { toolCallId: "t2" }), outcome: "no_result" });
+  });
+
+  it("never gives a negative duration", () => {
+    const pairer = createToolPairer();
+    pairer.addResult(result(1, "success", { toolCallId: "t1" }));
+    assert.equal(pairer.pair(call(3, { toolCallId: "t1" })).durationMs, 0);
+  });
+});
+
+describe("percentile", () => {
+  it("takes the nearest rank", () => {
+    const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    assert.equal(percentile(sorted, 50), 50);
+    assert.equal(percentile(sorted, 95), 100);
+    assert.equal(percentile(sorted, 0), 10);
+    assert.equal(percentile([7], 95), 7);
+    assert.equal(percentile([], 50), null);
+  });
+});
+
+describe("createToolStats", () => {
+  it("counts outcomes, rates errors over answered calls and sorts durations", () => {
+    const stats = createToolStats();
+    for (const durationMs of [300, 100, 200]) stats.add({ outcome: "success", durationMs });
+    stats.add({ outcome: "error", durationMs: 400 });
+    stats.add({ outcome: "no_result" });
+    assert.deepEqual(stats.finish(), { calls: 5, errors: 1, noResult: 1, errorRate: 0.25, p50Ms: 200, p95Ms: 400 });
+  });
+
+  it("has no rate or latency without answered calls", () => {
+    const stats = createToolStats();
+    stats.add({ outcome: "no_result" });
+    assert.deepEqual(stats.finish(), { calls: 1, errors: 0, noResult: 1, errorRate: null, p50Ms: null, p95Ms: null });
+  });
+});
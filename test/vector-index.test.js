@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildVectorIndex } from "../scripts/lib/vector-index.js";
+
+// Deterministic rows around `groups` directions, so clusters exist
+function rows(n, dim, groups) {
+  let seed = 7;
+  const rand = () => ((seed = (seed * 1103515245 + 12345) >>> 0) / 2 ** 32) - 0.5;
+  return Array.from({ length: n }, (_, i) => Float32Array.from({ length: dim }, (_, d) => (d === i % groups ? 4 : 0) + rand()));
+}
+
+describe("buildVectorIndex", () => {
+  it("scans small stores in full, best cosine first", () => {
+    const index = buildVectorIndex([Float32Array.from([1, 0]), Float32Array.from([3, 3]), Float32Array.from([0, -2])], 2);
+    assert.equal(index.lists, 1);
+    const hits = index.search([2, 0], { k: 2 });
+    assert.deepEqual(hits.map((h) => h.row), [0, 1]);
+    assert.ok(Math.abs(hits[1].score - Math.SQRT1_2) < 1e-6);
+    assert.deepEqual(index.search([2, 0], { minScore: 0.5 }).map((h) => h.row), [0, 1]);
+    assert.deepEqual(index.search([2, 0], { filter: (row) => row !== 0 }).map((h) => h.row), [1, 2]);
+  });
+
+  it("finds the nearest rows through the clusters of a large store", () => {
+    const dim = 8;
+    const vectors = rows(6000, dim, dim);
+    const index = buildVectorIndex(vectors, dim);
+    assert.ok(index.lists > 1);
+    const query = vectors[3];
+    const [best] = index.search(query, { k: 1 });
+    assert.equal(best.row, 3);
+    assert.ok(Math.abs(best.score - 1) < 1e-5);
+  });
+
+  it("probes more clusters until a selective filter fills k", () => {
+    const dim = 8;
+    const index = buildVectorIndex(rows(6000, dim, dim), dim);
+    // Only rows of another direction pass: none of them are in the query's clusters
+    const hits = index.search(Float32Array.from({ length: dim }, (_, d) => (d === 0 ? 1 : 0)), { k: 5, nprobe: 1, filter: (row) => row % dim === 5 });
+    assert.equal(hits.length, 5);
+    assert.ok(hits.every((h) => h.row % dim === 5));
+  });
+});
@@ -6,18 +6,23 @@ export default defineConfig({
   server: {
     proxy: {
       "/api": {
-        target: "http://localhost:3001",
+        target: "http://127.0.0.1:3001",
         changeOrigin: true,
         rewrite: (path) => path.replace(/^\/api/, ""),
       },
     },
   },
+  // The prompt embedding worker (src/embed-worker.ts) loads transformers.js, which splits into chunks
+  worker: {
+    format: "es",
+  },
   build: {
     outDir: "dist-public",
     emptyOutDir: true,
     rollupOptions: {
       input: {
         main: "index.html",
+        dashboard: "dashboard.html",
       },
     },
   },